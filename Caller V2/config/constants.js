@@ -1,11 +1,51 @@
 // Configuration constants for outreach campaigns
 
 export const OUTREACH_CONFIG = {
-  // Agent configuration
+  // Agent configuration - agents live in the outreach_tracking.agents registry
   AGENTS: {
-    AGENT_1_ATTEMPTS: [1, 3], // Agent 1 handles attempts 1 and 3
-    AGENT_2_ATTEMPTS: [2, 4], // Agent 2 handles attempts 2 and 4
-    DESCRIPTION: "Alternating agent system: Agent 1 for attempts 1&3, Agent 2 for attempts 2&4",
+    DESCRIPTION:
+      "Agent registry: attempts dial with the agent chosen at creation, otherwise rotate across enabled agents by attempt number",
+    // Agents seeded into an empty registry from the legacy ELEVEN_LABS_*_1 / *_2 environment variables
+    LEGACY_ENV_SEEDS: [
+      { name: "agent_1", suffix: "1" },
+      { name: "agent_2", suffix: "2" },
+    ],
+    // How often each instance reloads the registry from Mongo
+    REFRESH_INTERVAL_SECONDS: 60,
+    // An attempt whose chosen agent was disabled or deleted fails with this reason - it's never dialed on another agent
+    UNAVAILABLE_REASON: "agent_unavailable",
+
+    // Agent health - unhealthy agents are skipped and calls fail over to the next healthy agent
+    HEALTH: {
+      WINDOW_SIZE: 20, // Number of recent call initiations used for the error rate
+      MIN_SAMPLES: 3, // Don't judge the error rate on fewer results than this
+      ERROR_RATE_THRESHOLD: 0.5, // Cool an agent down once half its recent initiations fail
+      COOLDOWN_SECONDS: Number.parseInt(process.env.AGENT_COOLDOWN_SECONDS) || 300,
+      // ElevenLabs responses that trigger failover (network errors always do)
+      FAILOVER_STATUS_CODES: [401, 429],
+      FAILOVER_ON_SERVER_ERRORS: true, // Any 5xx
+      // Responses that cool the agent down immediately (bad key, rate limited)
+      IMMEDIATE_COOLDOWN_STATUS_CODES: [401, 429],
+    },
+
+    // Default per-agent call limits - registry entries can override them with maxConcurrentCalls / maxCallsPerMinute
+    LIMITS: {
+      MAX_CONCURRENT_CALLS: Number.parseInt(process.env.AGENT_MAX_CONCURRENT_CALLS) || 5,
+      MAX_CALLS_PER_MINUTE: Number.parseInt(process.env.AGENT_MAX_CALLS_PER_MINUTE) || 10,
+    },
+
+    // Caller ID pools - an agent dials from a pool of ElevenLabs phone number IDs (`phoneNumberPool`) rather than
+    // one number, so no single UK number gets flagged as spam. Agents without a pool dial from `phoneNumberId`.
+    CALLER_ID: {
+      // "round_robin" - the pool number after the one used last
+      // "lru"         - the number unused for longest
+      // "sticky"      - the number the business was last called from, so a callback reaches the same number
+      STRATEGIES: ["round_robin", "lru", "sticky"],
+      DEFAULT_STRATEGY: process.env.CALLER_ID_STRATEGY || "round_robin",
+      // Calls per number per UK day - pool entries can override it with dailyCap (null = no cap)
+      DEFAULT_DAILY_CAP: Number.parseInt(process.env.CALLER_ID_DAILY_CAP) || null,
+      MAX_POOL_SIZE: 20,
+    },
   },
 
   // Call scheduling configuration
@@ -37,15 +77,285 @@ export const OUTREACH_CONFIG = {
 
     // Scheduler configuration - when to start making calls each day
     SCHEDULER: {
-      // Production: Start calls at specific time each day (UK time)
-      // DAILY_START_TIME: { hour: 9, minute: 0 }, // 9:00 AM UK time
-      // DAILY_END_TIME: { hour: 17, minute: 0 }, // 5:00 PM UK time
-      // DAYS_OF_WEEK: [1, 2, 3, 4, 5], // Monday to Friday (0=Sunday, 6=Saturday)
+      // Calling window (UK time) - due attempts outside it are deferred to the next allowed slot
+      ENFORCE_CALLING_WINDOW: process.env.ENFORCE_CALLING_WINDOW !== "false",
+      DAILY_START_TIME: { hour: Number.parseInt(process.env.CALLING_HOURS_START) || 9, minute: 0 }, // 9:00 AM UK time
+      DAILY_END_TIME: { hour: Number.parseInt(process.env.CALLING_HOURS_END) || 17, minute: 0 }, // 5:00 PM UK time
+      DAYS_OF_WEEK: [1, 2, 3, 4, 5], // Monday to Friday (0=Sunday, 6=Saturday)
+      SKIP_BANK_HOLIDAYS: true, // England & Wales bank holidays (config/bankHolidays.js)
 
       // Testing: Check every minute for ready calls
       CHECK_INTERVAL_MINUTES: Number.parseInt(process.env.SCHEDULER_POLL_INTERVAL) || 1, // Check every 1 minute
       ENABLED: true,
     },
+
+    // Per-business call timing - attempts are shifted out of these periods into the next acceptable gap
+    BUSINESS_HOURS: {
+      // Record fields that may hold scraped opening hours (first one found wins)
+      OPENING_HOURS_FIELDS: ["openingHours", "opening_hours", "openinghours", "hours"],
+      // Don't call when the record's opening hours say the business is closed
+      RESPECT_OPENING_HOURS: true,
+      // Quiet periods by category keyword (matched against category/subcategory, UK time)
+      QUIET_PERIODS: {
+        restaurant: [
+          { start: "12:00", end: "14:00", label: "lunch service" },
+          { start: "18:00", end: "21:00", label: "dinner service" },
+        ],
+        takeaway: [
+          { start: "12:00", end: "13:30", label: "lunch rush" },
+          { start: "17:00", end: "21:00", label: "evening rush" },
+        ],
+        cafe: [{ start: "08:00", end: "09:30", label: "breakfast rush" }],
+        pub: [
+          { start: "12:00", end: "14:00", label: "lunch service" },
+          { start: "18:00", end: "21:00", label: "dinner service" },
+        ],
+      },
+    },
+
+    // Call completion - the ElevenLabs post-call webhook finishes attempts,
+    // polling is only a fallback reconciler for webhooks that never arrived
+    COMPLETION: {
+      // How long to wait for the webhook before the reconciler asks ElevenLabs directly
+      WEBHOOK_GRACE_SECONDS: Number.parseInt(process.env.CALL_WEBHOOK_GRACE_SECONDS) || 120,
+      // Give up on a call that still hasn't finished after this long
+      MAX_WAIT_SECONDS: Number.parseInt(process.env.CALL_MAX_WAIT_SECONDS) || 1800,
+    },
+
+    // Attempt leases - an instance claims an attempt (pending -> claimed) before dialing and renews
+    // the lease while the call is live, so several instances can run the scheduler side by side
+    LEASE: {
+      // Identifies this instance on the leases it holds (defaults to hostname, pid and a random suffix)
+      OWNER_ID: process.env.INSTANCE_ID || null,
+      DURATION_SECONDS: Number.parseInt(process.env.CALL_LEASE_SECONDS) || 120,
+      RENEW_INTERVAL_SECONDS: Number.parseInt(process.env.CALL_LEASE_RENEW_SECONDS) || 30,
+    },
+
+    // Dispatch - due attempts are queued and handed to a bounded worker pool; an attempt only starts when the
+    // global limit and an agent's concurrent / per-minute limits have room (counted across all instances)
+    DISPATCH: {
+      MAX_CONCURRENT_CALLS: Number.parseInt(process.env.CALL_MAX_CONCURRENT) || 20,
+      WORKERS: Number.parseInt(process.env.CALL_DISPATCH_WORKERS) || 5, // Outbound-call requests in flight at once
+    },
+
+    // Crash recovery - in_progress attempts whose lease expired (their instance died mid-call)
+    // are finished from the conversation outcome, or handled by policy when no call was recorded
+    RECOVERY: {
+      // in_progress attempts from before leases existed count as stale after this long
+      STALE_AFTER_SECONDS: Number.parseInt(process.env.CALL_RECOVERY_STALE_SECONDS) || 900,
+      // No conversation ID - "fail" (the call may already have been placed) or "requeue" (dial again)
+      NO_CONVERSATION_POLICY: process.env.CALL_RECOVERY_POLICY === "requeue" ? "requeue" : "fail",
+      FAILURE_REASON: "recovered_after_crash",
+      // The agent that placed the call was deleted from the registry, so its conversation can't be fetched
+      AGENT_MISSING_REASON: "agent_missing",
+    },
+  },
+
+  // Campaign priority - due call attempts and email sends go out highest priority first, then round-robin across
+  // userIds so one user's large campaign can't hold up everyone else's
+  PRIORITY: {
+    LEVELS: { urgent: 3, high: 2, normal: 1, low: 0 }, // Level -> rank (higher ranks dispatch first)
+    DEFAULT: "normal",
+  },
+
+  // Pause / resume / cancel for call and email campaigns
+  CAMPAIGN_CONTROL: {
+    ACTIONS: ["pause", "resume", "cancel"],
+    // Campaigns in these states have nothing left to pause or cancel
+    FINISHED_STATUSES: ["completed", "failed", "skipped", "opted_out", "cancelled"],
+    // Source record campaign status after a cancel - anything outside processing/scheduled/in_progress can re-enrol
+    CANCELLED_RECORD_STATUS: "cancelled",
+    MAX_BULK_CAMPAIGNS: 5000, // Campaigns per bulk request
+    MAX_BODY_SIZE: "512kb", // Fits MAX_BULK_CAMPAIGNS trackingIds (~135kb of JSON; express defaults to 100kb)
+  },
+
+  // Do-Not-Call / suppression list - checked when campaigns are created and again at send time
+  SUPPRESSIONS: {
+    TYPES: ["phone", "email", "domain"], // Normalized phone number, email address, whole email domain
+    DEFAULT_SOURCE: "manual",
+    MAX_BULK_IMPORT: 5000, // Entries per bulk import request
+    IMPORT_MAX_BODY_SIZE: "1mb", // Fits MAX_BULK_IMPORT entries at ~100 bytes each (express defaults to 100kb)
+  },
+
+  // Data collection mapping - how an agent's ElevenLabs data collection results are coerced and stored.
+  // Agents can carry their own `dataCollection` mapping in the registry; this is used when they don't.
+  DATA_COLLECTION: {
+    TYPES: ["boolean", "string", "number", "date", "enum"],
+    // Attempt fields a mapping may not write to (they belong to the scheduler)
+    RESERVED_ATTEMPT_PATHS: [
+      "attemptNumber",
+      "agentId",
+      "scheduledAt",
+      "status",
+      "executedAt",
+      "callResults",
+      "conversationId",
+      "error",
+      "dataCollectionErrors",
+      "tags",
+      "callbackFor",
+      "callbackRequest",
+      "stopRule",
+      "outcome",
+      "outcomeReason",
+      "retryFor",
+      "dialedNumber",
+      "callerPhoneNumberId",
+      "dynamicVariables",
+    ],
+    // Source record fields a mapping may not write to (campaign bookkeeping lives there)
+    RESERVED_RECORD_PATHS: ["_id", "outreach.call", "outreach.email", "outreach.optOut", "outreach.status"],
+    DEFAULT_MAPPING: [
+      {
+        id: "isTheRestaurantPartneredWithInfinityClub",
+        // Older agents named the field differently - fall back to any result whose ID mentions these
+        keywords: ["partner", "infinity"],
+        type: "boolean",
+        recordPath: "outreach.alignment.status",
+        attemptPath: "dataCollection.isPartneredWithInfinityClub",
+      },
+    ],
+  },
+
+  // Opt-out capture (UK PECR) - a completed call whose data collection says the business wants no further
+  // contact suppresses its number and emails and cancels everything still scheduled for the record
+  OPT_OUT: {
+    ENABLED: process.env.OPT_OUT_DETECTION !== "false",
+    // ElevenLabs data collection fields that carry the opt-out (first one present wins)
+    DATA_COLLECTION_FIELDS: (process.env.OPT_OUT_FIELDS || "requestedNoFurtherContact,optOut,doNotContact")
+      .split(",")
+      .map((field) => field.trim())
+      .filter(Boolean),
+    // String values that count as "yes, stop contacting us"
+    TRUTHY_VALUES: ["true", "yes", "y", "1"],
+    SUPPRESSION_SOURCE: "call_opt_out",
+    SUPPRESSION_REASON: "Requested no further contact during call",
+  },
+
+  // Call outcomes - every finished attempt is classified from the termination reason, duration, transcript turns
+  // and data collection fields (see OutcomeService). Kanban columns and stop rules use them.
+  OUTCOMES: {
+    TYPES: ["answered_human", "voicemail", "no_answer", "busy", "wrong_number", "refused", "technical_failure"],
+    NOT_CALLED: "not_called", // Kanban column for campaigns with no finished attempt yet
+    // A connected call this short with nobody speaking is treated as unanswered
+    NO_ANSWER_MAX_SECONDS: Number.parseInt(process.env.OUTCOME_NO_ANSWER_SECONDS) || 10,
+    // ElevenLabs data collection fields that flag an outcome (any truthy one counts)
+    VOICEMAIL_FIELDS: (process.env.OUTCOME_VOICEMAIL_FIELDS || "voicemailDetected,isVoicemail,reachedVoicemail")
+      .split(",")
+      .map((field) => field.trim())
+      .filter(Boolean),
+    WRONG_NUMBER_FIELDS: (process.env.OUTCOME_WRONG_NUMBER_FIELDS || "wrongNumber,isWrongNumber")
+      .split(",")
+      .map((field) => field.trim())
+      .filter(Boolean),
+    REFUSED_FIELDS: (process.env.OUTCOME_REFUSED_FIELDS || "notInterested,refused,declined")
+      .split(",")
+      .map((field) => field.trim())
+      .filter(Boolean),
+  },
+
+  // Stop rules - checked after every finished call attempt. A matching rule skips the remaining attempts
+  // ("stop"), can also bring the follow-up email forward ("email"), or adds another attempt ("retry").
+  // Campaigns can send their own list.
+  STOP_RULES: {
+    // Call marked successful / any of `fields` collected / the attempt's outcome is one of `outcomes`
+    CONDITIONS: ["success", "collected", "outcome"],
+    ACTIONS: ["stop", "email", "retry"],
+    RETRY_AFTER_MINUTES: 60, // When a retry rule doesn't give `afterMinutes`
+    MAX_RETRIES_PER_CAMPAIGN: 2,
+    RETRY_TAG: "outcome_retry",
+    DEFAULT: [
+      { when: "success", then: "stop" },
+      { when: "collected", fields: ["isTheRestaurantPartneredWithInfinityClub"], then: "stop" },
+      { when: "outcome", outcomes: ["refused"], then: "stop" },
+      { when: "outcome", outcomes: ["busy"], then: "retry", afterMinutes: 30 },
+    ],
+  },
+
+  // Phone numbers - a call campaign dials an ordered list of numbers per record
+  PHONE_NUMBERS: {
+    // Region for numbers written without a country code (ISO 3166 code, e.g. "GB", "IE")
+    DEFAULT_REGION: process.env.PHONE_DEFAULT_REGION || "GB",
+    // Number types never dialed - a record left with none of its numbers is skipped at campaign creation
+    REJECTED_TYPES: ["premium"],
+    // "fallthrough" stays on a number until it's unreachable, "rotate" moves to the next number every attempt
+    STRATEGIES: ["fallthrough", "rotate"],
+    DEFAULT_STRATEGY: process.env.PHONE_NUMBER_STRATEGY || "fallthrough",
+    MAX_PER_RECORD: 5,
+    // Source record fields read (in order) when the request doesn't list a record's numbers - string or array
+    RECORD_FIELDS: (process.env.PHONE_NUMBER_FIELDS || "phonenumber,phonenumbers,additionalPhoneNumbers")
+      .split(",")
+      .map((field) => field.trim())
+      .filter(Boolean),
+    // Never dialed again, by any campaign
+    DEAD_OUTCOMES: ["wrong_number"],
+    // Fall through to the next number; this many in a row marks the number dead
+    UNREACHABLE_OUTCOMES: ["technical_failure"],
+    DEAD_AFTER_UNREACHABLE: Number.parseInt(process.env.PHONE_DEAD_AFTER_UNREACHABLE) || 3,
+    // Someone (or something) picked up - the line works
+    LIVE_OUTCOMES: ["answered_human", "voicemail", "busy", "refused"],
+  },
+
+  // Conversation templates - per campaign, which record fields become ElevenLabs dynamic variables and optional
+  // conversation overrides (first message, language). Campaigns without one send the default variables.
+  CONVERSATION_TEMPLATE: {
+    // Value formats for a variable: "firstLine" of an address, a postcode read out character by character, and so on
+    FORMATS: ["firstLine", "spokenPostcode", "titleCase", "lowercase", "uppercase", "domain"],
+    // Always sent - campaign templates can override them but not remove them
+    DEFAULT_VARIABLES: {
+      businessName: { field: "businessname", default: "valued business partner" },
+    },
+    MAX_VARIABLES: 30,
+    MAX_FIRST_MESSAGE_LENGTH: 1000,
+  },
+
+  // Callback requests - a completed call where the business asked to be rung back ("try us at 3pm tomorrow")
+  // gets a new pending attempt at that UK time, moved into the calling window if needed
+  CALLBACKS: {
+    ENABLED: process.env.CALLBACK_DETECTION !== "false",
+    // ElevenLabs data collection fields holding the requested time (first one present wins)
+    DATA_COLLECTION_FIELDS: (process.env.CALLBACK_FIELDS || "callbackRequestedAt,callbackTime,callBackAt")
+      .split(",")
+      .map((field) => field.trim())
+      .filter(Boolean),
+    // Without a field, look for "call back ..." in the transcript summary
+    PARSE_SUMMARY: process.env.CALLBACK_PARSE_SUMMARY !== "false",
+    // Time used when only a day was given ("ring back Thursday"), and for parts of the day (UK time)
+    DEFAULT_TIME: { hour: 10, minute: 0 },
+    PARTS_OF_DAY: {
+      morning: { hour: 10, minute: 0 },
+      lunchtime: { hour: 12, minute: 0 },
+      afternoon: { hour: 14, minute: 0 },
+      evening: { hour: 17, minute: 0 },
+    },
+    MAX_PER_CAMPAIGN: 2, // Callback attempts added on top of the scheduled ones
+    TAG: "callback_requested",
+    // Skip pending attempts due before the callback - the business asked us not to ring until then
+    SKIP_EARLIER_ATTEMPTS: true,
+  },
+
+  // Call cost accounting and budget caps
+  COSTS: {
+    // ElevenLabs reports call cost in credits (metadata.cost) and the LLM share in USD (charging.llm_price)
+    LLM_PRICE_CURRENCY: "USD",
+    ROLLUP_GROUPS: ["campaign", "userId", "agent", "day"],
+    // Budget caps stop dialing for a userId or agent once its spend in the period reaches the cap
+    BUDGET_SCOPES: ["user", "agent"],
+    BUDGET_PERIODS: ["daily", "monthly", "total"], // UK calendar day / month, or all time
+  },
+
+  // Incoming webhook configuration
+  WEBHOOKS: {
+    // Reject ElevenLabs webhooks whose signature timestamp is older than this
+    SIGNATURE_TOLERANCE_SECONDS: 30 * 60, // 30 minutes
+    // Post-call payloads carry the full transcript - far over express's 100kb default on a long call
+    MAX_BODY_SIZE: "5mb",
+  },
+
+  // Graceful shutdown on SIGTERM/SIGINT - Cloud Run allows 10 seconds between SIGTERM and SIGKILL
+  SHUTDOWN: {
+    // How long to wait for in-flight calls and email sends before handing them back
+    DEADLINE_SECONDS: Number.parseInt(process.env.SHUTDOWN_DEADLINE_SECONDS) || 8,
   },
 
   // Email configuration
@@ -71,15 +381,22 @@ export const OUTREACH_CONFIG = {
     TRACKING_DB_NAME: "outreach_tracking",
     CALL_CAMPAIGNS_COLLECTION: "call_campaigns", // Individual call campaign records for Kanban
     EMAIL_CAMPAIGNS_COLLECTION: "email_campaigns", // Individual email campaign records for Kanban
+    AGENTS_COLLECTION: "agents", // ElevenLabs agent registry
+    SUPPRESSIONS_COLLECTION: "suppressions", // Do-Not-Call / do-not-email list
+    CALL_TRANSCRIPTS_COLLECTION: "call_transcripts", // Full transcript and post-call analysis per call attempt
+    BUDGETS_COLLECTION: "budgets", // Spend caps per userId or agent
+    RECOVERY_LOG_COLLECTION: "recovery_log", // What crash recovery did with each stale attempt
+    PHONE_HEALTH_COLLECTION: "phone_number_health", // Per-number outcome history, shared by every campaign
+    CALLER_ID_USAGE_COLLECTION: "caller_id_usage", // Calls placed per caller ID per UK day
     // Legacy collections (keep for backward compatibility)
     CALL_TRACKING_COLLECTION: "call_campaigns", // Same as call campaigns
     EMAIL_TRACKING_COLLECTION: "email_campaigns", // Same as email campaigns
   },
 
-  // Working hours (for production scheduling) - UK TIME
+  // Working hours (for production scheduling) - UK TIME, same as the scheduler's calling window
   WORKING_HOURS: {
-    START: 9, // 9 AM UK time
-    END: 17, // 5 PM UK time
+    START: Number.parseInt(process.env.CALLING_HOURS_START) || 9, // 9 AM UK time
+    END: Number.parseInt(process.env.CALLING_HOURS_END) || 17, // 5 PM UK time
   },
 }
 
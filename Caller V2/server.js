@@ -1,10 +1,15 @@
 import express from "express"
 import dotenv from "dotenv"
 import { createServer } from "http"
-import { connectToMongoDB } from "./database/mongodb.js"
-import OutreachService from "./services/outreachService.js"
+import { connectToMongoDB, closeConnection } from "./database/mongodb.js"
 import ScheduledOutreachService from "./services/scheduledOutreachService.js"
 import CampaignCreationService from "./services/campaignCreationService.js"
+import CampaignControlService from "./services/campaignControlService.js"
+import WebhookService from "./services/webhookService.js"
+import AgentRegistryService from "./services/agentRegistryService.js"
+import CallingWindowService from "./services/callingWindowService.js"
+import CallerIdService from "./services/callerIdService.js"
+import SuppressionService from "./services/suppressionService.js"
 import OUTREACH_CONFIG from "./config/constants.js"
 
 // Load environment variables FIRST
@@ -28,17 +33,8 @@ console.log(
 )
 
 // Check if required environment variables are present
+// ElevenLabs agents now live in the agent registry (ELEVEN_LABS_*_1 / *_2 only seed an empty registry)
 const requiredEnvVars = [
-  // Account 1 (Agent 1)
-  "ELEVEN_LABS_API_KEY_1", // First account API key
-  "ELEVEN_LABS_AGENT_ID_1",
-  "ELEVEN_LABS_PHONE_NUMBER_ID_1",
-
-  // Account 2 (Agent 2)
-  "ELEVEN_LABS_API_KEY_2", // Second account API key
-  "ELEVEN_LABS_AGENT_ID_2",
-  "ELEVEN_LABS_PHONE_NUMBER_ID_2",
-
   "ZAPIER_EMAIL_WEBHOOK_URL",
   "GEMINI_API_KEY",
   "MONGODB_CONNECTION_STRING",
@@ -83,56 +79,49 @@ const initializeApp = async () => {
   // Connect to MongoDB
   await connectToMongoDB()
 
-  // Initialize services
-  const outreachService = new OutreachService(
-    {
-      agent1: {
-        apiKey: process.env.ELEVEN_LABS_API_KEY_1, // Account 1 API key
-        agentId: process.env.ELEVEN_LABS_AGENT_ID_1,
-        phoneNumberId: process.env.ELEVEN_LABS_PHONE_NUMBER_ID_1,
-      },
-      agent2: {
-        apiKey: process.env.ELEVEN_LABS_API_KEY_2, // Account 2 API key
-        agentId: process.env.ELEVEN_LABS_AGENT_ID_2,
-        phoneNumberId: process.env.ELEVEN_LABS_PHONE_NUMBER_ID_2,
-      },
-    },
-    {
-      apiKey: process.env.GEMINI_API_KEY,
-    },
-    {
-      webhookUrl: process.env.ZAPIER_EMAIL_WEBHOOK_URL,
-    },
-  )
+  // Initialize the agent registry first - validation and routing read from it
+  const agentRegistryService = new AgentRegistryService()
+  await agentRegistryService.initialize()
+
+  if (agentRegistryService.getEnabledAgents().length === 0) {
+    console.log("⚠️ No enabled agents in the registry - register one via POST /api/v1/agents before scheduling calls")
+  }
 
+  // Do-Not-Call / do-not-email list - checked at campaign creation and again at send time
+  const suppressionService = new SuppressionService()
+  await suppressionService.initialize()
+
+  // Initialize services
   const scheduledOutreachService = new ScheduledOutreachService(
-    {
-      agent1: {
-        apiKey: process.env.ELEVEN_LABS_API_KEY_1, // Account 1 API key
-        agentId: process.env.ELEVEN_LABS_AGENT_ID_1,
-        phoneNumberId: process.env.ELEVEN_LABS_PHONE_NUMBER_ID_1,
-      },
-      agent2: {
-        apiKey: process.env.ELEVEN_LABS_API_KEY_2, // Account 2 API key
-        agentId: process.env.ELEVEN_LABS_AGENT_ID_2,
-        phoneNumberId: process.env.ELEVEN_LABS_PHONE_NUMBER_ID_2,
-      },
-    },
+    agentRegistryService,
     {
       apiKey: process.env.GEMINI_API_KEY,
     },
     {
       webhookUrl: process.env.ZAPIER_EMAIL_WEBHOOK_URL,
     },
+    suppressionService,
   )
 
   // Initialize NEW campaign creation service
-  const campaignCreationService = new CampaignCreationService()
+  const campaignCreationService = new CampaignCreationService(agentRegistryService, suppressionService)
+  const campaignControlService = new CampaignControlService(agentRegistryService)
+  const callingWindowService = new CallingWindowService()
+  const callerIdService = new CallerIdService()
   await campaignCreationService.initialize()
 
   // Initialize scheduled outreach service
   await scheduledOutreachService.initialize()
 
+  // Post-call webhooks finish call attempts started by the scheduler
+  const webhookService = new WebhookService(scheduledOutreachService, {
+    secret: process.env.ELEVEN_LABS_WEBHOOK_SECRET,
+  })
+
+  if (!webhookService.isConfigured()) {
+    console.log("⚠️ ELEVEN_LABS_WEBHOOK_SECRET not set - call attempts will only be finished by the polling reconciler")
+  }
+
   const app = express()
 
   // Add request logging middleware with UK time
@@ -153,17 +142,46 @@ const initializeApp = async () => {
     next()
   })
 
-  app.use(express.json())
+  // Keep the raw body so webhook signatures can be verified
+  const keepRawBody = (req, res, buf) => {
+    req.rawBody = buf
+  }
+  // Routes with large bodies get their own limit, mounted before the general parser (express's 100kb default):
+  // a long call's transcript, a bulk suppression import, bulk pause / resume / cancel
+  app.use(
+    "/api/v1/webhooks/elevenlabs/post-call",
+    express.json({ limit: OUTREACH_CONFIG.WEBHOOKS.MAX_BODY_SIZE, verify: keepRawBody }),
+  )
+  app.use("/api/v1/suppressions/import", express.json({ limit: OUTREACH_CONFIG.SUPPRESSIONS.IMPORT_MAX_BODY_SIZE }))
+  app.use(
+    OUTREACH_CONFIG.CAMPAIGN_CONTROL.ACTIONS.map((action) => `/api/v1/campaigns/:type/${action}`),
+    express.json({ limit: OUTREACH_CONFIG.CAMPAIGN_CONTROL.MAX_BODY_SIZE }),
+  )
+  app.use(express.json({ verify: keepRawBody }))
   app.use(express.urlencoded({ extended: true }))
 
   // API ENDPOINTS FOR CAMPAIGN SYSTEM
 
+  // URL campaign types -> tracking campaign types
+  const campaignTypes = { calls: "call", emails: "email" }
+
   // Create call campaigns
   app.post("/api/v1/campaigns/calls", async (req, res) => {
     try {
       console.log(`🚀 Received call campaign request from ${req.ip}`)
 
-      const { records, attempts, emailConfig, databaseName, collectionName, userId } = req.body
+      const {
+        records,
+        attempts,
+        emailConfig,
+        priority,
+        stopRules,
+        numberStrategy,
+        conversationTemplate,
+        databaseName,
+        collectionName,
+        userId,
+      } = req.body
 
       // Validate required fields
       if (!records || !Array.isArray(records) || records.length === 0) {
@@ -190,7 +208,7 @@ const initializeApp = async () => {
       console.log(`🚀 Creating call campaigns for ${records.length} records`)
 
       const result = await campaignCreationService.createCallCampaigns(
-        { records, attempts, emailConfig },
+        { records, attempts, emailConfig, priority, stopRules, numberStrategy, conversationTemplate },
         databaseName,
         collectionName,
         userId,
@@ -213,6 +231,7 @@ const initializeApp = async () => {
         results: result.results,
         errors: result.errors,
         skipped: result.skipped, // NEW: Show which records were skipped and why
+        warnings: result.warnings, // Attempts outside the calling window (they will be deferred)
       })
     } catch (error) {
       console.error("❌ Error creating call campaigns:", error.message)
@@ -229,7 +248,7 @@ const initializeApp = async () => {
     try {
       console.log(`📧 Received email campaign request from ${req.ip}`)
 
-      const { records, scheduledAt, databaseName, collectionName, userId } = req.body
+      const { records, scheduledAt, priority, databaseName, collectionName, userId } = req.body
 
       // Validate required fields
       if (!records || !Array.isArray(records) || records.length === 0) {
@@ -256,7 +275,7 @@ const initializeApp = async () => {
       console.log(`📧 Creating email campaigns for ${records.length} records`)
 
       const result = await campaignCreationService.createEmailCampaigns(
-        { records, scheduledAt },
+        { records, scheduledAt, priority },
         databaseName,
         collectionName,
         userId,
@@ -315,6 +334,283 @@ const initializeApp = async () => {
     }
   })
 
+  // Change a campaign's priority (type is "calls" or "emails")
+  app.patch("/api/v1/campaigns/:type/:trackingId/priority", async (req, res) => {
+    try {
+      const campaignType = campaignTypes[req.params.type]
+      if (!campaignType) {
+        return res.status(400).json({
+          success: false,
+          error: "type must be calls or emails",
+        })
+      }
+
+      const { priority } = req.body || {}
+      const validation = campaignCreationService.validationService.validatePriority(priority)
+      if (!priority || !validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.error || "priority is required",
+        })
+      }
+
+      const campaign = await campaignCreationService.updateCampaignPriority(
+        req.params.trackingId,
+        campaignType,
+        priority,
+      )
+      if (!campaign) {
+        return res.status(404).json({
+          success: false,
+          error: `Campaign ${req.params.trackingId} not found`,
+        })
+      }
+
+      return res.json({
+        success: true,
+        message: `Priority for ${campaign.businessName} set to ${priority}`,
+        data: campaign,
+      })
+    } catch (error) {
+      console.error("❌ Error updating campaign priority:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to update campaign priority",
+        error: error.message,
+      })
+    }
+  })
+
+  // Pause, resume or cancel campaigns - bulk by trackingIds or userId, or one campaign by trackingId
+  const controlCampaigns = async (req, res, action, selection) => {
+    try {
+      const campaignType = campaignTypes[req.params.type]
+      if (!campaignType) {
+        return res.status(400).json({
+          success: false,
+          error: "type must be calls or emails",
+        })
+      }
+
+      const validation = campaignControlService.validateBulkSelection(selection)
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.error,
+        })
+      }
+
+      const result = await campaignControlService.controlCampaigns(action, campaignType, {
+        ...selection,
+        reason: req.body?.reason || null,
+      })
+
+      if (result.matched === 0) {
+        return res.status(404).json({
+          success: false,
+          error: selection.userId ? `No ${campaignType} campaigns for userId ${selection.userId}` : "Campaign not found",
+        })
+      }
+
+      return res.json({
+        success: result.applied > 0,
+        message: `${action} applied to ${result.applied}/${result.matched} ${campaignType} campaigns`,
+        data: result,
+      })
+    } catch (error) {
+      console.error(`❌ Error applying ${action} to campaigns:`, error.message)
+      return res.status(500).json({
+        success: false,
+        message: `Failed to ${action} campaigns`,
+        error: error.message,
+      })
+    }
+  }
+
+  for (const action of OUTREACH_CONFIG.CAMPAIGN_CONTROL.ACTIONS) {
+    app.post(`/api/v1/campaigns/:type/${action}`, (req, res) => {
+      const { trackingIds, userId } = req.body || {}
+      return controlCampaigns(req, res, action, { trackingIds, userId })
+    })
+
+    app.post(`/api/v1/campaigns/:type/:trackingId/${action}`, (req, res) => {
+      return controlCampaigns(req, res, action, { trackingIds: [req.params.trackingId] })
+    })
+  }
+
+  // Reschedule a pending call attempt or move it to another agent
+  app.patch("/api/v1/campaigns/calls/:trackingId/attempts/:attemptNumber", async (req, res) => {
+    try {
+      const attemptNumber = Number.parseInt(req.params.attemptNumber)
+      if (!Number.isInteger(attemptNumber) || attemptNumber < 1) {
+        return res.status(400).json({
+          success: false,
+          error: "attemptNumber must be a positive integer",
+        })
+      }
+
+      const validation = campaignControlService.validateAttemptChanges(req.body || {})
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: `Validation failed: ${validation.errors.join(", ")}`,
+        })
+      }
+
+      const result = await campaignControlService.updateAttempt(
+        req.params.trackingId,
+        attemptNumber,
+        validation.changes,
+      )
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: `Attempt ${attemptNumber} of campaign ${req.params.trackingId} not found`,
+        })
+      }
+      if (result.conflict) {
+        return res.status(409).json({
+          success: false,
+          error: result.conflict,
+        })
+      }
+
+      return res.json({
+        success: true,
+        message: `Attempt ${attemptNumber} updated`,
+        data: result.campaign,
+        warnings: validation.warnings, // Times outside the calling window (they will be deferred)
+      })
+    } catch (error) {
+      console.error("❌ Error updating call attempt:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to update call attempt",
+        error: error.message,
+      })
+    }
+  })
+
+  // Add a pending call attempt (up to MAX_CALL_ATTEMPTS)
+  app.post("/api/v1/campaigns/calls/:trackingId/attempts", async (req, res) => {
+    try {
+      const validation = campaignControlService.validateAttemptChanges(req.body || {}, true)
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: `Validation failed: ${validation.errors.join(", ")}`,
+        })
+      }
+
+      const result = await campaignControlService.addAttempt(req.params.trackingId, validation.changes)
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: `Campaign ${req.params.trackingId} not found`,
+        })
+      }
+      if (result.conflict) {
+        return res.status(409).json({
+          success: false,
+          error: result.conflict,
+        })
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: `Attempt ${result.attemptNumber} added`,
+        data: result.campaign,
+        warnings: validation.warnings,
+      })
+    } catch (error) {
+      console.error("❌ Error adding call attempt:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to add call attempt",
+        error: error.message,
+      })
+    }
+  })
+
+  // Remove a pending call attempt - it stays in the campaign as "removed"
+  app.delete("/api/v1/campaigns/calls/:trackingId/attempts/:attemptNumber", async (req, res) => {
+    try {
+      const attemptNumber = Number.parseInt(req.params.attemptNumber)
+      if (!Number.isInteger(attemptNumber) || attemptNumber < 1) {
+        return res.status(400).json({
+          success: false,
+          error: "attemptNumber must be a positive integer",
+        })
+      }
+
+      const result = await campaignControlService.removeAttempt(req.params.trackingId, attemptNumber)
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: `Attempt ${attemptNumber} of campaign ${req.params.trackingId} not found`,
+        })
+      }
+      if (result.conflict) {
+        return res.status(409).json({
+          success: false,
+          error: result.conflict,
+        })
+      }
+
+      // That was the last attempt still to run - move the campaign on (follow-up email or completed)
+      if (result.openAttempts === 0) {
+        await scheduledOutreachService.checkCallCampaignCompletion(req.params.trackingId)
+      }
+
+      return res.json({
+        success: true,
+        message: `Attempt ${attemptNumber} removed`,
+        data: result.campaign,
+      })
+    } catch (error) {
+      console.error("❌ Error removing call attempt:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to remove call attempt",
+        error: error.message,
+      })
+    }
+  })
+
+  // Full transcript and post-call analysis for a call attempt
+  app.get("/api/v1/campaigns/calls/:trackingId/attempts/:attemptNumber/transcript", async (req, res) => {
+    try {
+      const attemptNumber = Number.parseInt(req.params.attemptNumber)
+      if (!Number.isInteger(attemptNumber) || attemptNumber < 1) {
+        return res.status(400).json({
+          success: false,
+          error: "attemptNumber must be a positive integer",
+        })
+      }
+
+      const result = await scheduledOutreachService.getAttemptTranscript(req.params.trackingId, attemptNumber)
+      if (!result.found) {
+        return res.status(404).json({
+          success: false,
+          error: result.reason,
+        })
+      }
+
+      return res.json({
+        success: true,
+        message: "Transcript retrieved successfully",
+        data: scheduledOutreachService.transcriptService.describeTranscript(result.transcript),
+      })
+    } catch (error) {
+      console.error("❌ Error getting transcript:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to get transcript",
+        error: error.response?.data?.detail || error.message,
+      })
+    }
+  })
+
   // NEW: Check original record status
   app.get("/api/v1/records/status", async (req, res) => {
     try {
@@ -393,24 +689,74 @@ const initializeApp = async () => {
         calls: {
           maxAttempts: OUTREACH_CONFIG.CALLS.MAX_ATTEMPTS,
           maxFutureDays: OUTREACH_CONFIG.CALLS.MAX_FUTURE_DAYS,
+          callingWindow: callingWindowService.describe(),
+          outcomes: OUTREACH_CONFIG.OUTCOMES.TYPES,
+          defaultStopRules: OUTREACH_CONFIG.STOP_RULES.DEFAULT,
+          conversationTemplate: {
+            formats: OUTREACH_CONFIG.CONVERSATION_TEMPLATE.FORMATS,
+            defaultVariables: OUTREACH_CONFIG.CONVERSATION_TEMPLATE.DEFAULT_VARIABLES,
+          },
         },
         emails: {
           maxAttempts: OUTREACH_CONFIG.EMAILS.MAX_ATTEMPTS,
           maxFutureDays: OUTREACH_CONFIG.EMAILS.MAX_FUTURE_DAYS,
         },
+        priorities: {
+          levels: Object.keys(OUTREACH_CONFIG.PRIORITY.LEVELS),
+          default: OUTREACH_CONFIG.PRIORITY.DEFAULT,
+        },
         database: {
           trackingDbName: OUTREACH_CONFIG.DATABASE.TRACKING_DB_NAME,
           callCampaignsCollection: OUTREACH_CONFIG.DATABASE.CALL_CAMPAIGNS_COLLECTION,
           emailCampaignsCollection: OUTREACH_CONFIG.DATABASE.EMAIL_CAMPAIGNS_COLLECTION,
+          agentsCollection: OUTREACH_CONFIG.DATABASE.AGENTS_COLLECTION,
+        },
+        agents: {
+          description: OUTREACH_CONFIG.AGENTS.DESCRIPTION,
+          totalAgents: agentRegistryService.agents.length,
+          enabledAgents: agentRegistryService.getEnabledAgents().length,
+          callerId: {
+            strategies: OUTREACH_CONFIG.AGENTS.CALLER_ID.STRATEGIES,
+            defaultStrategy: OUTREACH_CONFIG.AGENTS.CALLER_ID.DEFAULT_STRATEGY,
+            defaultDailyCap: OUTREACH_CONFIG.AGENTS.CALLER_ID.DEFAULT_DAILY_CAP,
+          },
         },
       },
     })
   })
 
+  // Scheduler status: queue depth, active calls and limits per agent, this instance's leases
+  app.get("/api/v1/system/scheduler", async (req, res) => {
+    try {
+      const status = await scheduledOutreachService.getSchedulerStatus()
+
+      return res.json({
+        success: true,
+        message: "Scheduler status retrieved",
+        data: status,
+      })
+    } catch (error) {
+      console.error("❌ Error getting scheduler status:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to get scheduler status",
+        error: error.message,
+      })
+    }
+  })
+
   // Get Kanban data for call campaigns
   app.get("/api/v1/kanban/calls", async (req, res) => {
     try {
-      const { status, userId } = req.query
+      const { status, userId, outcome, groupBy } = req.query
+
+      const outcomeColumns = [...OUTREACH_CONFIG.OUTCOMES.TYPES, OUTREACH_CONFIG.OUTCOMES.NOT_CALLED]
+      if (outcome && !outcomeColumns.includes(outcome)) {
+        return res.status(400).json({
+          success: false,
+          error: `outcome must be one of: ${outcomeColumns.join(", ")}`,
+        })
+      }
 
       const status_filter = await campaignCreationService.getCampaignStatus(null, "call")
 
@@ -425,12 +771,27 @@ const initializeApp = async () => {
         campaigns = campaigns.filter((campaign) => campaign.userId === userId)
       }
 
+      // Filter by the outcome of the latest attempt if provided
+      if (outcome) {
+        campaigns = campaigns.filter((campaign) => campaign.lastOutcome === outcome)
+      }
+
+      // One column per outcome (voicemail, no_answer, busy...) instead of a flat list
+      const columns =
+        groupBy === "outcome"
+          ? outcomeColumns.map((column) => {
+              const columnCampaigns = campaigns.filter((campaign) => campaign.lastOutcome === column)
+              return { outcome: column, count: columnCampaigns.length, campaigns: columnCampaigns }
+            })
+          : null
+
       return res.json({
         success: true,
         message: "Kanban call campaigns retrieved",
         data: {
-          campaigns: campaigns,
+          ...(columns ? { columns: columns } : { campaigns: campaigns }),
           statusCounts: status_filter.statusCounts,
+          outcomeCounts: status_filter.outcomeCounts,
           totalCampaigns: campaigns.length,
         },
       })
@@ -481,52 +842,752 @@ const initializeApp = async () => {
     }
   })
 
-  // Health check endpoint
-  app.get("/health", (req, res) => {
-    res.json({
-      status: "OK",
-      timezone: process.env.TZ,
-      currentTime: new Date().toLocaleString("en-GB", {
-        timeZone: "Europe/London",
-        weekday: "long",
-        year: "numeric",
-        month: "long",
-        day: "numeric",
-        hour: "2-digit",
-        minute: "2-digit",
-        second: "2-digit",
-      }),
-      timestamp: new Date().toISOString(),
-      environment: {
-        // Account 1 (Agent 1)
-        elevenLabsAccount1Configured: !!process.env.ELEVEN_LABS_API_KEY_1,
-        agent1Configured: !!process.env.ELEVEN_LABS_AGENT_ID_1,
-        phoneNumber1Configured: !!process.env.ELEVEN_LABS_PHONE_NUMBER_ID_1,
-
-        // Account 2 (Agent 2)
-        elevenLabsAccount2Configured: !!process.env.ELEVEN_LABS_API_KEY_2,
-        agent2Configured: !!process.env.ELEVEN_LABS_AGENT_ID_2,
-        phoneNumber2Configured: !!process.env.ELEVEN_LABS_PHONE_NUMBER_ID_2,
+  // List registered agents
+  app.get("/api/v1/agents", (req, res) => {
+    try {
+      const { enabled, tag } = req.query
 
-        zapierWebhookConfigured: !!process.env.ZAPIER_EMAIL_WEBHOOK_URL,
-        geminiConfigured: !!process.env.GEMINI_API_KEY,
-        mongodbConfigured: !!process.env.MONGODB_CONNECTION_STRING,
-      },
-      campaigns: {
-        trackingDatabase: OUTREACH_CONFIG.DATABASE.TRACKING_DB_NAME,
-        maxCallAttempts: OUTREACH_CONFIG.CALLS.MAX_ATTEMPTS,
-        maxEmailAttempts: OUTREACH_CONFIG.EMAILS.MAX_ATTEMPTS,
-        maxFutureDays: OUTREACH_CONFIG.CALLS.MAX_FUTURE_DAYS,
-      },
-    })
-  })
+      const agents = agentRegistryService.listAgents({
+        enabled: enabled === undefined ? null : enabled === "true",
+        tag: tag || null,
+      })
 
-  // Test endpoint
-  app.get("/test", (req, res) => {
-    console.log(`🧪 Test endpoint hit from ${req.ip}`)
-    res.json({
-      success: true,
-      message: "Backend server is working!",
+      return res.json({
+        success: true,
+        message: "Agents retrieved successfully",
+        data: {
+          agents: agents,
+          totalAgents: agents.length,
+        },
+      })
+    } catch (error) {
+      console.error("❌ Error listing agents:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to list agents",
+        error: error.message,
+      })
+    }
+  })
+
+  // Get a single agent by registry ID, name or ElevenLabs agent ID
+  app.get("/api/v1/agents/:agentId", (req, res) => {
+    const agent = agentRegistryService.findAgent(req.params.agentId)
+
+    if (!agent) {
+      return res.status(404).json({
+        success: false,
+        error: `Agent ${req.params.agentId} not found`,
+      })
+    }
+
+    return res.json({
+      success: true,
+      message: "Agent retrieved successfully",
+      data: agentRegistryService.describeAgent(agent),
+    })
+  })
+
+  // Register a new agent
+  app.post("/api/v1/agents", async (req, res) => {
+    try {
+      const validation = agentRegistryService.validateAgentData(req.body || {})
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: `Validation failed: ${validation.errors.join(", ")}`,
+        })
+      }
+
+      const agent = await agentRegistryService.createAgent(req.body)
+
+      return res.status(201).json({
+        success: true,
+        message: `Agent ${agent.name} registered`,
+        data: agent,
+      })
+    } catch (error) {
+      console.error("❌ Error registering agent:", error.message)
+      return res.status(error.code === 11000 ? 409 : 500).json({
+        success: false,
+        message: "Failed to register agent",
+        error: error.code === 11000 ? "An agent with this name or agentId already exists" : error.message,
+      })
+    }
+  })
+
+  // Update an agent
+  app.patch("/api/v1/agents/:agentId", async (req, res) => {
+    try {
+      const validation = agentRegistryService.validateAgentData(req.body || {}, true)
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: `Validation failed: ${validation.errors.join(", ")}`,
+        })
+      }
+
+      const agent = await agentRegistryService.updateAgent(req.params.agentId, req.body)
+      if (!agent) {
+        return res.status(404).json({
+          success: false,
+          error: `Agent ${req.params.agentId} not found`,
+        })
+      }
+
+      return res.json({
+        success: true,
+        message: `Agent ${agent.name} updated`,
+        data: agent,
+      })
+    } catch (error) {
+      console.error("❌ Error updating agent:", error.message)
+      return res.status(error.code === 11000 ? 409 : 500).json({
+        success: false,
+        message: "Failed to update agent",
+        error: error.code === 11000 ? "An agent with this name or agentId already exists" : error.message,
+      })
+    }
+  })
+
+  // Remove an agent
+  app.delete("/api/v1/agents/:agentId", async (req, res) => {
+    try {
+      const agent = await agentRegistryService.deleteAgent(req.params.agentId)
+      if (!agent) {
+        return res.status(404).json({
+          success: false,
+          error: `Agent ${req.params.agentId} not found`,
+        })
+      }
+
+      return res.json({
+        success: true,
+        message: `Agent ${agent.name} removed`,
+        data: agent,
+      })
+    } catch (error) {
+      console.error("❌ Error removing agent:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to remove agent",
+        error: error.message,
+      })
+    }
+  })
+
+  // An agent's caller ID pool with today's calls per number
+  app.get("/api/v1/agents/:agentId/phone-numbers", async (req, res) => {
+    try {
+      const agent = agentRegistryService.findAgent(req.params.agentId)
+      if (!agent) {
+        return res.status(404).json({
+          success: false,
+          error: `Agent ${req.params.agentId} not found`,
+        })
+      }
+
+      const phoneNumbers = await callerIdService.describePool(agentRegistryService.getPhoneNumberPool(agent))
+
+      return res.json({
+        success: true,
+        message: "Caller ID pool retrieved successfully",
+        data: {
+          agent: agent.name,
+          callerIdStrategy: callerIdService.getStrategy(agent),
+          phoneNumbers: phoneNumbers,
+          totalPhoneNumbers: phoneNumbers.length,
+        },
+      })
+    } catch (error) {
+      console.error("❌ Error getting caller ID pool:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to get caller ID pool",
+        error: error.message,
+      })
+    }
+  })
+
+  // Add a caller ID to an agent's pool
+  app.post("/api/v1/agents/:agentId/phone-numbers", async (req, res) => {
+    try {
+      const agent = agentRegistryService.findAgent(req.params.agentId)
+      if (!agent) {
+        return res.status(404).json({
+          success: false,
+          error: `Agent ${req.params.agentId} not found`,
+        })
+      }
+
+      const errors = agentRegistryService.validatePoolAddition(agent, req.body || {})
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Validation failed: ${errors.join(", ")}`,
+        })
+      }
+
+      const updated = await agentRegistryService.addPoolNumber(agent, req.body)
+
+      return res.status(201).json({
+        success: true,
+        message: `Caller ID ${req.body.phoneNumberId.trim()} added to ${agent.name}`,
+        data: updated,
+      })
+    } catch (error) {
+      console.error("❌ Error adding caller ID:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to add caller ID",
+        error: error.message,
+      })
+    }
+  })
+
+  // Update a pool entry's label, enabled flag or daily cap
+  app.patch("/api/v1/agents/:agentId/phone-numbers/:phoneNumberId", async (req, res) => {
+    try {
+      const agent = agentRegistryService.findAgent(req.params.agentId)
+      if (!agent || !agentRegistryService.findPoolEntry(agent, req.params.phoneNumberId)) {
+        return res.status(404).json({
+          success: false,
+          error: agent
+            ? `Caller ID ${req.params.phoneNumberId} is not in ${agent.name}'s pool`
+            : `Agent ${req.params.agentId} not found`,
+        })
+      }
+
+      const { phoneNumberId, ...changes } = req.body || {}
+      const errors = agentRegistryService.validatePoolEntry(changes, "phone number", true)
+      if (phoneNumberId !== undefined && phoneNumberId !== req.params.phoneNumberId) {
+        errors.push("phoneNumberId can't be changed - add the new number and remove this one")
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Validation failed: ${errors.join(", ")}`,
+        })
+      }
+
+      const updated = await agentRegistryService.updatePoolNumber(agent, req.params.phoneNumberId, changes)
+
+      return res.json({
+        success: true,
+        message: `Caller ID ${req.params.phoneNumberId} updated`,
+        data: updated,
+      })
+    } catch (error) {
+      console.error("❌ Error updating caller ID:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to update caller ID",
+        error: error.message,
+      })
+    }
+  })
+
+  // Remove a caller ID from an agent's pool
+  app.delete("/api/v1/agents/:agentId/phone-numbers/:phoneNumberId", async (req, res) => {
+    try {
+      const agent = agentRegistryService.findAgent(req.params.agentId)
+      if (!agent || !agentRegistryService.findPoolEntry(agent, req.params.phoneNumberId)) {
+        return res.status(404).json({
+          success: false,
+          error: agent
+            ? `Caller ID ${req.params.phoneNumberId} is not in ${agent.name}'s pool`
+            : `Agent ${req.params.agentId} not found`,
+        })
+      }
+
+      const updated = await agentRegistryService.removePoolNumber(agent, req.params.phoneNumberId)
+      if (!updated) {
+        return res.status(400).json({
+          success: false,
+          error: `${req.params.phoneNumberId} is ${agent.name}'s only caller ID - add another before removing it`,
+        })
+      }
+
+      return res.json({
+        success: true,
+        message: `Caller ID ${req.params.phoneNumberId} removed from ${agent.name}`,
+        data: updated,
+      })
+    } catch (error) {
+      console.error("❌ Error removing caller ID:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to remove caller ID",
+        error: error.message,
+      })
+    }
+  })
+
+  // List suppressions (Do-Not-Call / do-not-email)
+  app.get("/api/v1/suppressions", async (req, res) => {
+    try {
+      const { type, source, search, includeExpired, limit = 100, skip = 0 } = req.query
+
+      const result = await suppressionService.listSuppressions({
+        type: type || null,
+        source: source || null,
+        search: search || null,
+        includeExpired: includeExpired === "true",
+        limit: Math.min(Number.parseInt(limit) || 100, 1000),
+        skip: Number.parseInt(skip) || 0,
+      })
+
+      return res.json({
+        success: true,
+        message: "Suppressions retrieved successfully",
+        data: {
+          suppressions: result.suppressions,
+          totalSuppressions: result.total,
+        },
+      })
+    } catch (error) {
+      console.error("❌ Error listing suppressions:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to list suppressions",
+        error: error.message,
+      })
+    }
+  })
+
+  // Add a suppression ({ type: "phone" | "email" | "domain", value, reason, source, expiresAt })
+  app.post("/api/v1/suppressions", async (req, res) => {
+    try {
+      const validation = suppressionService.validateSuppressionData(req.body || {})
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: `Validation failed: ${validation.errors.join(", ")}`,
+        })
+      }
+
+      const suppression = await suppressionService.addSuppression(req.body, req.body.userId || null)
+
+      return res.status(201).json({
+        success: true,
+        message: `Suppressed ${suppression.type} ${suppression.value}`,
+        data: suppression,
+      })
+    } catch (error) {
+      console.error("❌ Error adding suppression:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to add suppression",
+        error: error.message,
+      })
+    }
+  })
+
+  // Bulk import suppressions ({ entries: [...], reason, source, expiresAt } - top-level fields are defaults)
+  app.post("/api/v1/suppressions/import", async (req, res) => {
+    try {
+      const { entries, reason, source, expiresAt, userId } = req.body || {}
+
+      if (!entries || !Array.isArray(entries) || entries.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "entries array is required and must not be empty",
+        })
+      }
+
+      if (entries.length > OUTREACH_CONFIG.SUPPRESSIONS.MAX_BULK_IMPORT) {
+        return res.status(400).json({
+          success: false,
+          error: `Cannot import more than ${OUTREACH_CONFIG.SUPPRESSIONS.MAX_BULK_IMPORT} entries per request`,
+        })
+      }
+
+      const defaults = Object.fromEntries(
+        Object.entries({ reason, source, expiresAt }).filter(([, value]) => value !== undefined),
+      )
+      const result = await suppressionService.bulkImport(entries, defaults, userId || null)
+
+      return res.json({
+        success: result.inserted + result.updated > 0,
+        message: `Imported ${result.inserted + result.updated}/${result.totalEntries} suppressions`,
+        data: result,
+      })
+    } catch (error) {
+      console.error("❌ Error importing suppressions:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to import suppressions",
+        error: error.message,
+      })
+    }
+  })
+
+  // Remove a suppression by type and value (?type=phone&value=07700900123)
+  app.delete("/api/v1/suppressions", async (req, res) => {
+    try {
+      const { type, value } = req.query
+
+      if (!type || !value) {
+        return res.status(400).json({
+          success: false,
+          error: "type and value are required",
+        })
+      }
+
+      const suppression = await suppressionService.removeSuppression({ type, value })
+      if (!suppression) {
+        return res.status(404).json({
+          success: false,
+          error: `No suppression found for ${type} ${value}`,
+        })
+      }
+
+      return res.json({
+        success: true,
+        message: `Removed suppression for ${suppression.type} ${suppression.value}`,
+        data: suppression,
+      })
+    } catch (error) {
+      console.error("❌ Error removing suppression:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to remove suppression",
+        error: error.message,
+      })
+    }
+  })
+
+  // Remove a suppression by ID
+  app.delete("/api/v1/suppressions/:suppressionId", async (req, res) => {
+    try {
+      const suppression = await suppressionService.removeSuppression({ id: req.params.suppressionId })
+      if (!suppression) {
+        return res.status(404).json({
+          success: false,
+          error: `Suppression ${req.params.suppressionId} not found`,
+        })
+      }
+
+      return res.json({
+        success: true,
+        message: `Removed suppression for ${suppression.type} ${suppression.value}`,
+        data: suppression,
+      })
+    } catch (error) {
+      console.error("❌ Error removing suppression:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to remove suppression",
+        error: error.message,
+      })
+    }
+  })
+
+  // Phone number health across campaigns (?status=healthy|dead&limit=)
+  app.get("/api/v1/phone-numbers/health", async (req, res) => {
+    try {
+      const { status, limit = 100 } = req.query
+      if (status && !["healthy", "dead"].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: "status must be healthy or dead",
+        })
+      }
+
+      const result = await scheduledOutreachService.phoneNumberService.listHealth({
+        status: status || null,
+        limit: Math.min(Number.parseInt(limit) || 100, 1000),
+      })
+
+      return res.json({
+        success: true,
+        message: "Phone number health retrieved",
+        data: {
+          numbers: result.numbers,
+          totalNumbers: result.total,
+        },
+      })
+    } catch (error) {
+      console.error("❌ Error listing phone number health:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to list phone number health",
+        error: error.message,
+      })
+    }
+  })
+
+  // Health of one number (URL-encode the leading +)
+  app.get("/api/v1/phone-numbers/:phoneNumber/health", async (req, res) => {
+    try {
+      const health = await scheduledOutreachService.phoneNumberService.getNumberHealth(req.params.phoneNumber)
+      if (!health) {
+        return res.status(404).json({
+          success: false,
+          error: `No call history for ${req.params.phoneNumber}`,
+        })
+      }
+
+      return res.json({
+        success: true,
+        message: `Health for ${health.number} retrieved`,
+        data: health,
+      })
+    } catch (error) {
+      console.error("❌ Error getting phone number health:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to get phone number health",
+        error: error.message,
+      })
+    }
+  })
+
+  // Mark a dead number healthy so campaigns dial it again
+  app.post("/api/v1/phone-numbers/:phoneNumber/health/reset", async (req, res) => {
+    try {
+      const health = await scheduledOutreachService.phoneNumberService.resetHealth(req.params.phoneNumber)
+      if (!health) {
+        return res.status(404).json({
+          success: false,
+          error: `No call history for ${req.params.phoneNumber}`,
+        })
+      }
+
+      return res.json({
+        success: true,
+        message: `${health.number} marked healthy`,
+        data: health,
+      })
+    } catch (error) {
+      console.error("❌ Error resetting phone number health:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to reset phone number health",
+        error: error.message,
+      })
+    }
+  })
+
+  // Call costs rolled up per campaign, userId, agent or day (?groupBy=&from=&to=&userId=&agent=)
+  app.get("/api/v1/costs", async (req, res) => {
+    try {
+      const { groupBy = "campaign", from, to, userId, agent } = req.query
+      const costService = scheduledOutreachService.costService
+
+      if (!OUTREACH_CONFIG.COSTS.ROLLUP_GROUPS.includes(groupBy)) {
+        return res.status(400).json({
+          success: false,
+          error: `groupBy must be one of: ${OUTREACH_CONFIG.COSTS.ROLLUP_GROUPS.join(", ")}`,
+        })
+      }
+
+      const fromDate = from ? new Date(from) : null
+      const toDate = to ? new Date(to) : null
+      if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          error: "from and to must be valid dates",
+        })
+      }
+
+      let agentId = null
+      if (agent) {
+        const registryAgent = agentRegistryService.findAgent(agent)
+        if (!registryAgent) {
+          return res.status(404).json({
+            success: false,
+            error: `Agent ${agent} not found`,
+          })
+        }
+        agentId = registryAgent.agentId
+      }
+
+      const rollup = await costService.getCostRollup({
+        groupBy,
+        from: fromDate,
+        to: toDate,
+        userId: userId || null,
+        agentId,
+      })
+
+      return res.json({
+        success: true,
+        message: `Costs retrieved for ${rollup.groups.length} ${groupBy} groups`,
+        data: rollup,
+      })
+    } catch (error) {
+      console.error("❌ Error getting costs:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to get costs",
+        error: error.message,
+      })
+    }
+  })
+
+  // List budgets with spend so far this period
+  app.get("/api/v1/budgets", async (req, res) => {
+    try {
+      const budgets = await scheduledOutreachService.costService.listBudgets()
+
+      return res.json({
+        success: true,
+        message: "Budgets retrieved successfully",
+        data: {
+          budgets: budgets,
+          totalBudgets: budgets.length,
+        },
+      })
+    } catch (error) {
+      console.error("❌ Error listing budgets:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to list budgets",
+        error: error.message,
+      })
+    }
+  })
+
+  // Set the budget for a userId or agent ({ period: "daily" | "monthly" | "total", maxCredits, maxLlmPrice, enabled })
+  app.put("/api/v1/budgets/:scope/:scopeId", async (req, res) => {
+    try {
+      const { scope, scopeId } = req.params
+      const costService = scheduledOutreachService.costService
+
+      const validation = costService.validateBudgetData(scope, req.body || {})
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: `Validation failed: ${validation.errors.join(", ")}`,
+        })
+      }
+
+      const budget = await costService.setBudget(scope, scopeId, req.body)
+      if (!budget) {
+        return res.status(404).json({
+          success: false,
+          error: `Agent ${scopeId} not found`,
+        })
+      }
+
+      return res.json({
+        success: true,
+        message: `Set ${budget.period} budget for ${scope} ${budget.scopeName || budget.scopeId}`,
+        data: budget,
+      })
+    } catch (error) {
+      console.error("❌ Error setting budget:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to set budget",
+        error: error.message,
+      })
+    }
+  })
+
+  // Remove the budget for a userId or agent
+  app.delete("/api/v1/budgets/:scope/:scopeId", async (req, res) => {
+    try {
+      const { scope, scopeId } = req.params
+
+      const budget = await scheduledOutreachService.costService.deleteBudget(scope, scopeId)
+      if (!budget) {
+        return res.status(404).json({
+          success: false,
+          error: `No budget found for ${scope} ${scopeId}`,
+        })
+      }
+
+      return res.json({
+        success: true,
+        message: `Removed budget for ${scope} ${budget.scopeName || budget.scopeId}`,
+        data: budget,
+      })
+    } catch (error) {
+      console.error("❌ Error removing budget:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to remove budget",
+        error: error.message,
+      })
+    }
+  })
+
+  // ElevenLabs post-call webhook - finishes the matching call attempt
+  app.post("/api/v1/webhooks/elevenlabs/post-call", async (req, res) => {
+    try {
+      if (!webhookService.isConfigured()) {
+        return res.status(503).json({
+          success: false,
+          error: "ELEVEN_LABS_WEBHOOK_SECRET is not configured",
+        })
+      }
+
+      const verification = webhookService.verifySignature(req.rawBody, req.get("ElevenLabs-Signature"))
+      if (!verification.valid) {
+        console.log(`❌ Rejected ElevenLabs webhook from ${req.ip}: ${verification.error}`)
+        return res.status(401).json({
+          success: false,
+          error: verification.error,
+        })
+      }
+
+      const result = await webhookService.handlePostCallEvent(req.body)
+
+      return res.json({
+        success: true,
+        message: result.handled ? "Webhook processed" : "Webhook acknowledged",
+        data: result,
+      })
+    } catch (error) {
+      console.error("❌ Error processing ElevenLabs webhook:", error.message)
+      return res.status(500).json({
+        success: false,
+        message: "Failed to process webhook",
+        error: error.message,
+      })
+    }
+  })
+
+  // Health check endpoint
+  app.get("/health", (req, res) => {
+    res.json({
+      status: "OK",
+      timezone: process.env.TZ,
+      currentTime: new Date().toLocaleString("en-GB", {
+        timeZone: "Europe/London",
+        weekday: "long",
+        year: "numeric",
+        month: "long",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      }),
+      timestamp: new Date().toISOString(),
+      environment: {
+        elevenLabsWebhookConfigured: webhookService.isConfigured(),
+        zapierWebhookConfigured: !!process.env.ZAPIER_EMAIL_WEBHOOK_URL,
+        geminiConfigured: !!process.env.GEMINI_API_KEY,
+        mongodbConfigured: !!process.env.MONGODB_CONNECTION_STRING,
+      },
+      agents: agentRegistryService.getHealthSummary(),
+      campaigns: {
+        trackingDatabase: OUTREACH_CONFIG.DATABASE.TRACKING_DB_NAME,
+        maxCallAttempts: OUTREACH_CONFIG.CALLS.MAX_ATTEMPTS,
+        maxEmailAttempts: OUTREACH_CONFIG.EMAILS.MAX_ATTEMPTS,
+        maxFutureDays: OUTREACH_CONFIG.CALLS.MAX_FUTURE_DAYS,
+      },
+    })
+  })
+
+  // Test endpoint
+  app.get("/test", (req, res) => {
+    console.log(`🧪 Test endpoint hit from ${req.ip}`)
+    res.json({
+      success: true,
+      message: "Backend server is working!",
       timezone: process.env.TZ,
       currentTime: new Date().toLocaleString("en-GB", { timeZone: "Europe/London" }),
       timestamp: new Date().toISOString(),
@@ -535,11 +1596,45 @@ const initializeApp = async () => {
         "POST /api/v1/campaigns/calls",
         "POST /api/v1/campaigns/emails",
         "GET /api/v1/campaigns/status",
+        "PATCH /api/v1/campaigns/:type/:trackingId/priority",
+        "POST /api/v1/campaigns/:type/pause",
+        "POST /api/v1/campaigns/:type/resume",
+        "POST /api/v1/campaigns/:type/cancel",
+        "POST /api/v1/campaigns/:type/:trackingId/pause",
+        "POST /api/v1/campaigns/:type/:trackingId/resume",
+        "POST /api/v1/campaigns/:type/:trackingId/cancel",
+        "PATCH /api/v1/campaigns/calls/:trackingId/attempts/:attemptNumber",
+        "POST /api/v1/campaigns/calls/:trackingId/attempts",
+        "DELETE /api/v1/campaigns/calls/:trackingId/attempts/:attemptNumber",
+        "GET /api/v1/campaigns/calls/:trackingId/attempts/:attemptNumber/transcript",
         "GET /api/v1/records/status",
         "GET /api/v1/records/eligibility",
         "GET /api/v1/system/config",
+        "GET /api/v1/system/scheduler",
         "GET /api/v1/kanban/calls",
         "GET /api/v1/kanban/emails",
+        "GET /api/v1/agents",
+        "GET /api/v1/agents/:agentId",
+        "POST /api/v1/agents",
+        "PATCH /api/v1/agents/:agentId",
+        "DELETE /api/v1/agents/:agentId",
+        "GET /api/v1/agents/:agentId/phone-numbers",
+        "POST /api/v1/agents/:agentId/phone-numbers",
+        "PATCH /api/v1/agents/:agentId/phone-numbers/:phoneNumberId",
+        "DELETE /api/v1/agents/:agentId/phone-numbers/:phoneNumberId",
+        "GET /api/v1/suppressions",
+        "POST /api/v1/suppressions",
+        "POST /api/v1/suppressions/import",
+        "DELETE /api/v1/suppressions",
+        "DELETE /api/v1/suppressions/:suppressionId",
+        "GET /api/v1/phone-numbers/health",
+        "GET /api/v1/phone-numbers/:phoneNumber/health",
+        "POST /api/v1/phone-numbers/:phoneNumber/health/reset",
+        "GET /api/v1/costs",
+        "GET /api/v1/budgets",
+        "PUT /api/v1/budgets/:scope/:scopeId",
+        "DELETE /api/v1/budgets/:scope/:scopeId",
+        "POST /api/v1/webhooks/elevenlabs/post-call",
         "GET /health",
         "GET /test",
       ],
@@ -557,11 +1652,45 @@ const initializeApp = async () => {
         "POST /api/v1/campaigns/calls",
         "POST /api/v1/campaigns/emails",
         "GET /api/v1/campaigns/status",
+        "PATCH /api/v1/campaigns/:type/:trackingId/priority",
+        "POST /api/v1/campaigns/:type/pause",
+        "POST /api/v1/campaigns/:type/resume",
+        "POST /api/v1/campaigns/:type/cancel",
+        "POST /api/v1/campaigns/:type/:trackingId/pause",
+        "POST /api/v1/campaigns/:type/:trackingId/resume",
+        "POST /api/v1/campaigns/:type/:trackingId/cancel",
+        "PATCH /api/v1/campaigns/calls/:trackingId/attempts/:attemptNumber",
+        "POST /api/v1/campaigns/calls/:trackingId/attempts",
+        "DELETE /api/v1/campaigns/calls/:trackingId/attempts/:attemptNumber",
+        "GET /api/v1/campaigns/calls/:trackingId/attempts/:attemptNumber/transcript",
         "GET /api/v1/records/status",
         "GET /api/v1/records/eligibility",
         "GET /api/v1/system/config",
+        "GET /api/v1/system/scheduler",
         "GET /api/v1/kanban/calls",
         "GET /api/v1/kanban/emails",
+        "GET /api/v1/agents",
+        "GET /api/v1/agents/:agentId",
+        "POST /api/v1/agents",
+        "PATCH /api/v1/agents/:agentId",
+        "DELETE /api/v1/agents/:agentId",
+        "GET /api/v1/agents/:agentId/phone-numbers",
+        "POST /api/v1/agents/:agentId/phone-numbers",
+        "PATCH /api/v1/agents/:agentId/phone-numbers/:phoneNumberId",
+        "DELETE /api/v1/agents/:agentId/phone-numbers/:phoneNumberId",
+        "GET /api/v1/suppressions",
+        "POST /api/v1/suppressions",
+        "POST /api/v1/suppressions/import",
+        "DELETE /api/v1/suppressions",
+        "DELETE /api/v1/suppressions/:suppressionId",
+        "GET /api/v1/phone-numbers/health",
+        "GET /api/v1/phone-numbers/:phoneNumber/health",
+        "POST /api/v1/phone-numbers/:phoneNumber/health/reset",
+        "GET /api/v1/costs",
+        "GET /api/v1/budgets",
+        "PUT /api/v1/budgets/:scope/:scopeId",
+        "DELETE /api/v1/budgets/:scope/:scopeId",
+        "POST /api/v1/webhooks/elevenlabs/post-call",
         "GET /health",
         "GET /test",
       ],
@@ -586,12 +1715,35 @@ const initializeApp = async () => {
         )
       })
 
-      process.on("SIGINT", () => {
-        console.log("Shutting down gracefully...")
-        server.close(() => {
+      // Cloud Run sends SIGTERM on every deploy - stop claiming work, drain in-flight calls and emails up to
+      // SHUTDOWN_DEADLINE_SECONDS, hand back the rest, then close HTTP and Mongo
+      let shuttingDown = false
+      const shutdown = async (signal) => {
+        if (shuttingDown) {
+          return
+        }
+        shuttingDown = true
+        console.log(`🛑 ${signal} received, shutting down gracefully...`)
+
+        try {
+          agentRegistryService.stopAutoRefresh()
+          await scheduledOutreachService.shutdown()
+
+          // Webhooks can still land while we drain, so HTTP closes last
+          await new Promise((resolve) => {
+            server.close(resolve)
+            server.closeIdleConnections()
+          })
+          await closeConnection()
           process.exit(0)
-        })
-      })
+        } catch (error) {
+          console.error("❌ Error during shutdown:", error.message)
+          process.exit(1)
+        }
+      }
+
+      process.on("SIGTERM", () => shutdown("SIGTERM"))
+      process.on("SIGINT", () => shutdown("SIGINT"))
     } catch (error) {
       console.error("Error starting server:", error)
     }
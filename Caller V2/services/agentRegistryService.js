@@ -0,0 +1,564 @@
+import { getCollection } from "../database/mongodb.js"
+import DataCollectionService from "./dataCollectionService.js"
+import OUTREACH_CONFIG from "../config/constants.js"
+import chalk from "chalk"
+
+export class AgentRegistryService {
+  constructor() {
+    this.trackingDbName = OUTREACH_CONFIG.DATABASE.TRACKING_DB_NAME
+    this.agentsCollection = OUTREACH_CONFIG.DATABASE.AGENTS_COLLECTION
+    this.agents = [] // In-memory copy of the registry (validation and routing read from this)
+    this.healthState = new Map() // Agent registry ID -> recent initiation results and cool-down
+    this.refreshInterval = null
+    this.dataCollectionService = new DataCollectionService()
+  }
+
+  // Initialize the registry (indexes, legacy seeding and cache)
+  async initialize() {
+    try {
+      const collection = getCollection(this.trackingDbName, this.agentsCollection)
+      await collection.createIndex({ name: 1 }, { unique: true })
+      await collection.createIndex({ agentId: 1 }, { unique: true })
+      await collection.createIndex({ enabled: 1 })
+      await collection.createIndex({ tags: 1 })
+
+      await this.seedFromEnvironment()
+      await this.refreshCache()
+
+      // Pick up registry changes made through other instances
+      this.refreshInterval = setInterval(async () => {
+        try {
+          await this.refreshCache()
+        } catch (error) {
+          console.error(chalk.red("❌ Error refreshing agent registry:"), error.message)
+        }
+      }, OUTREACH_CONFIG.AGENTS.REFRESH_INTERVAL_SECONDS * 1000)
+
+      console.log(chalk.green(`✅ Agent Registry initialized with ${this.agents.length} agents`))
+      this.agents.forEach((agent) => {
+        console.log(
+          chalk.white(`   ${agent.enabled ? "🟢" : "⚪"} ${agent.name} (${agent.agentId}) key: ${agent.apiKeyRef}`),
+        )
+      })
+    } catch (error) {
+      console.error(chalk.red("❌ Error initializing Agent Registry:"), error.message)
+      throw error
+    }
+  }
+
+  // Seed an empty registry from the legacy ELEVEN_LABS_*_1 / *_2 environment variables
+  async seedFromEnvironment() {
+    const collection = getCollection(this.trackingDbName, this.agentsCollection)
+    const existingCount = await collection.countDocuments({})
+
+    if (existingCount > 0) {
+      return
+    }
+
+    for (const seed of OUTREACH_CONFIG.AGENTS.LEGACY_ENV_SEEDS) {
+      const apiKeyRef = `ELEVEN_LABS_API_KEY_${seed.suffix}`
+      const agentId = process.env[`ELEVEN_LABS_AGENT_ID_${seed.suffix}`]
+      const phoneNumberId = process.env[`ELEVEN_LABS_PHONE_NUMBER_ID_${seed.suffix}`]
+
+      if (!process.env[apiKeyRef] || !agentId || !phoneNumberId) {
+        continue
+      }
+
+      await collection.insertOne({
+        name: seed.name,
+        apiKeyRef: apiKeyRef,
+        agentId: agentId,
+        phoneNumberId: phoneNumberId,
+        enabled: true,
+        tags: ["legacy"],
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      })
+
+      console.log(chalk.blue(`🌱 Seeded agent registry with ${seed.name} from environment variables`))
+    }
+  }
+
+  // Reload the in-memory registry from Mongo
+  async refreshCache() {
+    const collection = getCollection(this.trackingDbName, this.agentsCollection)
+    this.agents = await collection.find({}).sort({ createdAt: 1 }).toArray()
+    return this.agents
+  }
+
+  // Stop the periodic registry refresh
+  stopAutoRefresh() {
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval)
+      this.refreshInterval = null
+    }
+  }
+
+  // Enabled agents, in registration order
+  getEnabledAgents() {
+    return this.agents.filter((agent) => agent.enabled)
+  }
+
+  // Find an agent by registry ID, name or ElevenLabs agent ID
+  findAgent(identifier) {
+    if (!identifier) {
+      return null
+    }
+
+    return (
+      this.agents.find(
+        (agent) =>
+          agent._id.toString() === identifier || agent.name === identifier || agent.agentId === identifier,
+      ) || null
+    )
+  }
+
+  // Resolve the API key an agent references (keys themselves never leave the environment)
+  resolveApiKey(agent) {
+    return process.env[agent.apiKeyRef] || null
+  }
+
+  // Credentials used to dial and read conversations with this agent
+  toAgentConfig(agent) {
+    return {
+      apiKey: this.resolveApiKey(agent),
+      agentId: agent.agentId,
+      phoneNumberId: agent.phoneNumberId,
+    }
+  }
+
+  // Caller IDs an agent dials from - its pool, or just its phoneNumberId for agents without one
+  getPhoneNumberPool(agent) {
+    if (agent.phoneNumberPool?.length > 0) {
+      return agent.phoneNumberPool
+    }
+
+    return agent.phoneNumberId ? [{ phoneNumberId: agent.phoneNumberId, label: null, enabled: true }] : []
+  }
+
+  // Public view of an agent (never includes the API key)
+  describeAgent(agent) {
+    return {
+      id: agent._id.toString(),
+      name: agent.name,
+      apiKeyRef: agent.apiKeyRef,
+      apiKeyConfigured: !!this.resolveApiKey(agent),
+      agentId: agent.agentId,
+      phoneNumberId: agent.phoneNumberId,
+      phoneNumberPool: this.getPhoneNumberPool(agent),
+      callerIdStrategy: agent.callerIdStrategy || OUTREACH_CONFIG.AGENTS.CALLER_ID.DEFAULT_STRATEGY,
+      enabled: agent.enabled,
+      tags: agent.tags || [],
+      // Without its own mapping an agent's results are stored with the default (partnership) mapping
+      dataCollection: this.dataCollectionService.getMappingForAgent(agent),
+      usesDefaultDataCollection: !(agent.dataCollection?.length > 0),
+      // Call limits enforced by the scheduler's dispatcher (defaults when the entry doesn't set them)
+      maxConcurrentCalls: agent.maxConcurrentCalls ?? OUTREACH_CONFIG.AGENTS.LIMITS.MAX_CONCURRENT_CALLS,
+      maxCallsPerMinute: agent.maxCallsPerMinute ?? OUTREACH_CONFIG.AGENTS.LIMITS.MAX_CALLS_PER_MINUTE,
+      health: this.describeHealth(agent),
+      createdAt: agent.createdAt,
+      updatedAt: agent.updatedAt,
+    }
+  }
+
+  // Validate agent fields for create (all required) or update (partial)
+  validateAgentData(data, partial = false) {
+    const errors = []
+    const requiredStrings = ["name", "apiKeyRef", "agentId"]
+
+    requiredStrings.forEach((field) => {
+      if (data[field] === undefined) {
+        if (!partial) {
+          errors.push(`${field} is required`)
+        }
+      } else if (typeof data[field] !== "string" || data[field].trim() === "") {
+        errors.push(`${field} must be a non-empty string`)
+      }
+    })
+
+    // A pool can stand in for the single phoneNumberId (its first number becomes the agent's phoneNumberId)
+    if (data.phoneNumberId === undefined) {
+      if (!partial && !(Array.isArray(data.phoneNumberPool) && data.phoneNumberPool.length > 0)) {
+        errors.push("phoneNumberId or phoneNumberPool is required")
+      }
+    } else if (typeof data.phoneNumberId !== "string" || data.phoneNumberId.trim() === "") {
+      errors.push("phoneNumberId must be a non-empty string")
+    }
+
+    if (data.phoneNumberPool !== undefined) {
+      errors.push(...this.validatePhoneNumberPool(data.phoneNumberPool))
+    }
+
+    const strategies = OUTREACH_CONFIG.AGENTS.CALLER_ID.STRATEGIES
+    if (data.callerIdStrategy !== undefined && !strategies.includes(data.callerIdStrategy)) {
+      errors.push(`callerIdStrategy must be one of: ${strategies.join(", ")}`)
+    }
+
+    if (typeof data.apiKeyRef === "string" && !/^[A-Z0-9_]+$/.test(data.apiKeyRef)) {
+      errors.push("apiKeyRef must be the name of an environment variable holding the API key (e.g. ELEVEN_LABS_API_KEY_3)")
+    }
+
+    if (data.enabled !== undefined && typeof data.enabled !== "boolean") {
+      errors.push("enabled must be a boolean")
+    }
+
+    if (data.tags !== undefined && (!Array.isArray(data.tags) || data.tags.some((tag) => typeof tag !== "string"))) {
+      errors.push("tags must be an array of strings")
+    }
+
+    for (const field of ["maxConcurrentCalls", "maxCallsPerMinute"]) {
+      if (data[field] !== undefined && data[field] !== null && (!Number.isInteger(data[field]) || data[field] < 1)) {
+        errors.push(`${field} must be a positive integer`)
+      }
+    }
+
+    if (data.dataCollection !== undefined && data.dataCollection !== null) {
+      errors.push(...this.dataCollectionService.validateMapping(data.dataCollection).errors)
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors: errors,
+    }
+  }
+
+  // Validate a whole caller ID pool
+  validatePhoneNumberPool(pool) {
+    const maxPoolSize = OUTREACH_CONFIG.AGENTS.CALLER_ID.MAX_POOL_SIZE
+
+    if (!Array.isArray(pool) || pool.length === 0) {
+      return ["phoneNumberPool must be a non-empty array of { phoneNumberId, label?, enabled?, dailyCap? }"]
+    }
+    if (pool.length > maxPoolSize) {
+      return [`phoneNumberPool can hold at most ${maxPoolSize} numbers`]
+    }
+
+    const errors = pool.flatMap((entry, index) => this.validatePoolEntry(entry, `phoneNumberPool[${index}]`))
+    const ids = pool.map((entry) => entry?.phoneNumberId?.trim?.())
+    if (new Set(ids).size !== ids.length) {
+      errors.push("phoneNumberPool lists the same phoneNumberId more than once")
+    }
+    return errors
+  }
+
+  // Validate one pool entry for add (phoneNumberId required) or update (partial)
+  validatePoolEntry(entry, label = "phone number", partial = false) {
+    const errors = []
+
+    if (!entry || typeof entry !== "object") {
+      return [`${label} must be an object`]
+    }
+
+    if (entry.phoneNumberId === undefined) {
+      if (!partial) {
+        errors.push(`${label}.phoneNumberId is required`)
+      }
+    } else if (typeof entry.phoneNumberId !== "string" || entry.phoneNumberId.trim() === "") {
+      errors.push(`${label}.phoneNumberId must be a non-empty string`)
+    }
+
+    if (entry.label !== undefined && entry.label !== null && typeof entry.label !== "string") {
+      errors.push(`${label}.label must be a string`)
+    }
+
+    if (entry.enabled !== undefined && typeof entry.enabled !== "boolean") {
+      errors.push(`${label}.enabled must be a boolean`)
+    }
+
+    if (entry.dailyCap !== undefined && entry.dailyCap !== null) {
+      if (!Number.isInteger(entry.dailyCap) || entry.dailyCap < 1) {
+        errors.push(`${label}.dailyCap must be a positive integer (or null for no cap)`)
+      }
+    }
+
+    return errors
+  }
+
+  // Stored shape of a pool entry. dailyCap is only kept when given - absent means the default cap, null no cap.
+  toPoolEntry(entry) {
+    const poolEntry = {
+      phoneNumberId: entry.phoneNumberId.trim(),
+      label: entry.label?.trim() || null,
+      enabled: entry.enabled ?? true,
+    }
+    if (entry.dailyCap !== undefined) {
+      poolEntry.dailyCap = entry.dailyCap
+    }
+    return poolEntry
+  }
+
+  // Pick the registry fields from a request body
+  pickAgentFields(data) {
+    const fields = {}
+    const allowedFields = [
+      "name",
+      "apiKeyRef",
+      "agentId",
+      "phoneNumberId",
+      "enabled",
+      "tags",
+      "dataCollection",
+      "maxConcurrentCalls",
+      "maxCallsPerMinute",
+      "callerIdStrategy",
+    ]
+    for (const field of allowedFields) {
+      if (data[field] !== undefined) {
+        fields[field] = typeof data[field] === "string" ? data[field].trim() : data[field]
+      }
+    }
+
+    if (data.phoneNumberPool !== undefined) {
+      fields.phoneNumberPool = data.phoneNumberPool.map((entry) => this.toPoolEntry(entry))
+      fields.phoneNumberId = fields.phoneNumberId || fields.phoneNumberPool[0].phoneNumberId
+    }
+    return fields
+  }
+
+  // List agents, optionally filtered by enabled flag or tag
+  listAgents({ enabled = null, tag = null } = {}) {
+    return this.agents
+      .filter((agent) => enabled === null || agent.enabled === enabled)
+      .filter((agent) => !tag || (agent.tags || []).includes(tag))
+      .map((agent) => this.describeAgent(agent))
+  }
+
+  // Register a new agent
+  async createAgent(data) {
+    const collection = getCollection(this.trackingDbName, this.agentsCollection)
+
+    const agent = {
+      enabled: true,
+      tags: [],
+      ...this.pickAgentFields(data),
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    }
+
+    const result = await collection.insertOne(agent)
+    await this.refreshCache()
+
+    console.log(chalk.green(`✅ Registered agent ${agent.name} (${agent.agentId})`))
+    return this.describeAgent({ ...agent, _id: result.insertedId })
+  }
+
+  // Update an existing agent
+  async updateAgent(identifier, data) {
+    const agent = this.findAgent(identifier)
+    if (!agent) {
+      return null
+    }
+
+    const collection = getCollection(this.trackingDbName, this.agentsCollection)
+    await collection.updateOne(
+      { _id: agent._id },
+      {
+        $set: {
+          ...this.pickAgentFields(data),
+          updatedAt: new Date(),
+        },
+      },
+    )
+    await this.refreshCache()
+
+    console.log(chalk.green(`✅ Updated agent ${agent.name}`))
+    return this.describeAgent(this.findAgent(agent._id.toString()))
+  }
+
+  // Remove an agent from the registry
+  async deleteAgent(identifier) {
+    const agent = this.findAgent(identifier)
+    if (!agent) {
+      return null
+    }
+
+    const collection = getCollection(this.trackingDbName, this.agentsCollection)
+    await collection.deleteOne({ _id: agent._id })
+    await this.refreshCache()
+
+    console.log(chalk.yellow(`🗑️ Removed agent ${agent.name}`))
+    return this.describeAgent(agent)
+  }
+
+  findPoolEntry(agent, phoneNumberId) {
+    return this.getPhoneNumberPool(agent).find((entry) => entry.phoneNumberId === phoneNumberId) || null
+  }
+
+  // Why a number can't be added to an agent's pool - empty when it can
+  validatePoolAddition(agent, data) {
+    const errors = this.validatePoolEntry(data)
+    if (errors.length > 0) {
+      return errors
+    }
+
+    if (this.findPoolEntry(agent, data.phoneNumberId.trim())) {
+      return [`${data.phoneNumberId} is already in ${agent.name}'s pool`]
+    }
+    if (this.getPhoneNumberPool(agent).length >= OUTREACH_CONFIG.AGENTS.CALLER_ID.MAX_POOL_SIZE) {
+      return [`${agent.name}'s pool already holds ${OUTREACH_CONFIG.AGENTS.CALLER_ID.MAX_POOL_SIZE} numbers`]
+    }
+    return []
+  }
+
+  // Store an agent's pool. Its first number doubles as phoneNumberId, which older code paths still read.
+  async savePhoneNumberPool(agent, pool) {
+    const collection = getCollection(this.trackingDbName, this.agentsCollection)
+    await collection.updateOne(
+      { _id: agent._id },
+      {
+        $set: {
+          phoneNumberPool: pool,
+          phoneNumberId: pool[0].phoneNumberId,
+          updatedAt: new Date(),
+        },
+      },
+    )
+    await this.refreshCache()
+
+    return this.describeAgent(this.findAgent(agent._id.toString()))
+  }
+
+  // Add a caller ID to an agent's pool (an agent without a pool keeps its phoneNumberId as the first entry)
+  async addPoolNumber(agent, data) {
+    const entry = this.toPoolEntry(data)
+    const updated = await this.savePhoneNumberPool(agent, [...this.getPhoneNumberPool(agent), entry])
+
+    console.log(chalk.green(`✅ Added caller ID ${entry.phoneNumberId} to ${agent.name}`))
+    return updated
+  }
+
+  // Change a pool entry's label, enabled flag or daily cap
+  async updatePoolNumber(agent, phoneNumberId, data) {
+    const pool = this.getPhoneNumberPool(agent).map((entry) =>
+      entry.phoneNumberId === phoneNumberId
+        ? this.toPoolEntry({ ...entry, ...data, phoneNumberId: entry.phoneNumberId })
+        : entry,
+    )
+    const updated = await this.savePhoneNumberPool(agent, pool)
+
+    console.log(chalk.green(`✅ Updated caller ID ${phoneNumberId} for ${agent.name}`))
+    return updated
+  }
+
+  // Remove a caller ID from an agent's pool - the last number can't be removed (disable it or the agent instead)
+  async removePoolNumber(agent, phoneNumberId) {
+    const pool = this.getPhoneNumberPool(agent).filter((entry) => entry.phoneNumberId !== phoneNumberId)
+    if (pool.length === 0) {
+      return null
+    }
+    const updated = await this.savePhoneNumberPool(agent, pool)
+
+    console.log(chalk.yellow(`🗑️ Removed caller ID ${phoneNumberId} from ${agent.name}`))
+    return updated
+  }
+
+  // Health state for an agent, starting from what was last persisted to Mongo
+  getHealthState(agent) {
+    const key = agent._id.toString()
+
+    if (!this.healthState.has(key)) {
+      const persisted = agent.health || {}
+      this.healthState.set(key, {
+        recentResults: persisted.recentResults || [],
+        cooldownUntil: persisted.cooldownUntil ? new Date(persisted.cooldownUntil) : null,
+        lastError: persisted.lastError || null,
+        lastErrorAt: persisted.lastErrorAt || null,
+        lastSuccessAt: persisted.lastSuccessAt || null,
+      })
+    }
+
+    const state = this.healthState.get(key)
+
+    // Another instance may have cooled the agent down more recently
+    const persistedCooldown = agent.health?.cooldownUntil ? new Date(agent.health.cooldownUntil) : null
+    if (persistedCooldown && (!state.cooldownUntil || persistedCooldown > state.cooldownUntil)) {
+      state.cooldownUntil = persistedCooldown
+    }
+
+    return state
+  }
+
+  // Share of recent call initiations that failed
+  getErrorRate(state) {
+    if (state.recentResults.length === 0) {
+      return 0
+    }
+
+    return state.recentResults.filter((success) => !success).length / state.recentResults.length
+  }
+
+  // An agent is healthy unless it is inside a cool-down window
+  isAgentHealthy(agent) {
+    const state = this.getHealthState(agent)
+    return !state.cooldownUntil || state.cooldownUntil <= new Date()
+  }
+
+  // Record the outcome of a call initiation and cool the agent down if it is failing
+  async recordCallResult(agent, success, statusCode = null, errorMessage = null) {
+    const healthConfig = OUTREACH_CONFIG.AGENTS.HEALTH
+    const state = this.getHealthState(agent)
+
+    state.recentResults = [...state.recentResults, success].slice(-healthConfig.WINDOW_SIZE)
+
+    if (success) {
+      state.lastSuccessAt = new Date()
+    } else {
+      state.lastError = statusCode ? `${statusCode}: ${errorMessage}` : errorMessage
+      state.lastErrorAt = new Date()
+
+      const errorRate = this.getErrorRate(state)
+      const immediate = healthConfig.IMMEDIATE_COOLDOWN_STATUS_CODES.includes(statusCode)
+      const tooManyErrors =
+        state.recentResults.length >= healthConfig.MIN_SAMPLES && errorRate >= healthConfig.ERROR_RATE_THRESHOLD
+
+      if (immediate || tooManyErrors) {
+        state.cooldownUntil = new Date(Date.now() + healthConfig.COOLDOWN_SECONDS * 1000)
+        console.log(
+          chalk.red(
+            `🧊 Agent ${agent.name} cooling down until ${state.cooldownUntil.toLocaleString("en-GB", { timeZone: "Europe/London" })} (error rate ${Math.round(errorRate * 100)}%, last error ${state.lastError})`,
+          ),
+        )
+      }
+    }
+
+    try {
+      const collection = getCollection(this.trackingDbName, this.agentsCollection)
+      await collection.updateOne({ _id: agent._id }, { $set: { health: { ...state, updatedAt: new Date() } } })
+    } catch (error) {
+      console.error(chalk.red(`❌ Error persisting health for agent ${agent.name}:`), error.message)
+    }
+  }
+
+  // Public view of an agent's health
+  describeHealth(agent) {
+    const state = this.getHealthState(agent)
+    return {
+      healthy: this.isAgentHealthy(agent),
+      errorRate: Math.round(this.getErrorRate(state) * 100) / 100,
+      recentSamples: state.recentResults.length,
+      cooldownUntil: state.cooldownUntil,
+      lastError: state.lastError,
+      lastErrorAt: state.lastErrorAt,
+      lastSuccessAt: state.lastSuccessAt,
+    }
+  }
+
+  // Registry summary for /health
+  getHealthSummary() {
+    return {
+      totalAgents: this.agents.length,
+      enabledAgents: this.getEnabledAgents().length,
+      agents: this.agents.map((agent) => ({
+        name: agent.name,
+        enabled: agent.enabled,
+        apiKeyConfigured: !!this.resolveApiKey(agent),
+        agentConfigured: !!agent.agentId,
+        phoneNumberConfigured: this.getPhoneNumberPool(agent).length > 0,
+        tags: agent.tags || [],
+        health: this.describeHealth(agent),
+      })),
+    }
+  }
+}
+
+export default AgentRegistryService
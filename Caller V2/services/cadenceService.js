@@ -0,0 +1,129 @@
+import OUTREACH_CONFIG from "../config/constants.js"
+
+// Stop rules for call campaigns. A rule is { when, fields?, outcomes?, then, afterMinutes? }:
+//   when: "success"   - the call was marked successful
+//         "collected" - any of `fields` (data collection IDs) came back with a value
+//         "outcome"   - the attempt's outcome (OUTCOMES.TYPES) is one of `outcomes`
+//   then: "stop"  - skip the remaining attempts
+//         "email" - skip them and send the follow-up email now
+//         "retry" - add another attempt `afterMinutes` from now (within the calling window)
+// Rules are checked in order after every finished attempt; the first match wins.
+export class CadenceService {
+  constructor() {
+    this.stopRulesConfig = OUTREACH_CONFIG.STOP_RULES
+  }
+
+  // Rules a campaign runs with - its own list, otherwise the default
+  getRules(campaign) {
+    return campaign.campaignConfig?.stopRules || this.stopRulesConfig.DEFAULT
+  }
+
+  // Validate stop rules from a campaign request (optional - an empty list turns them off)
+  validateRules(rules) {
+    const errors = []
+
+    if (rules === undefined || rules === null) {
+      return { valid: true, errors: [] }
+    }
+
+    if (!Array.isArray(rules)) {
+      return { valid: false, errors: ["stopRules must be an array of rules"] }
+    }
+
+    rules.forEach((rule, index) => {
+      const label = `stopRules[${index}]`
+
+      if (!rule || typeof rule !== "object") {
+        errors.push(`${label} must be an object`)
+        return
+      }
+
+      if (!this.stopRulesConfig.CONDITIONS.includes(rule.when)) {
+        errors.push(`${label}.when must be one of: ${this.stopRulesConfig.CONDITIONS.join(", ")}`)
+      }
+
+      if (!this.stopRulesConfig.ACTIONS.includes(rule.then)) {
+        errors.push(`${label}.then must be one of: ${this.stopRulesConfig.ACTIONS.join(", ")}`)
+      }
+
+      if (rule.when === "collected") {
+        const validFields =
+          Array.isArray(rule.fields) &&
+          rule.fields.length > 0 &&
+          rule.fields.every((field) => typeof field === "string" && field.trim() !== "")
+        if (!validFields) {
+          errors.push(`${label}.fields must list the data collection IDs to watch`)
+        }
+      }
+
+      if (rule.when === "outcome") {
+        const outcomeTypes = OUTREACH_CONFIG.OUTCOMES.TYPES
+        const validOutcomes =
+          Array.isArray(rule.outcomes) &&
+          rule.outcomes.length > 0 &&
+          rule.outcomes.every((outcome) => outcomeTypes.includes(outcome))
+        if (!validOutcomes) {
+          errors.push(`${label}.outcomes must list outcomes from: ${outcomeTypes.join(", ")}`)
+        }
+      }
+
+      if (rule.then === "retry" && rule.afterMinutes !== undefined) {
+        if (!Number.isFinite(rule.afterMinutes) || rule.afterMinutes <= 0) {
+          errors.push(`${label}.afterMinutes must be a positive number`)
+        }
+      }
+    })
+
+    return {
+      valid: errors.length === 0,
+      errors: errors,
+    }
+  }
+
+  // Data collection IDs that came back with a value (mapped fields, then the raw results)
+  getCollectedFields(callResults) {
+    const collected = new Set(Object.keys(callResults.mappedData?.fields || {}))
+
+    for (const [field, result] of Object.entries(callResults.dataCollectionResults || {})) {
+      const value = result && typeof result === "object" && "value" in result ? result.value : result
+      if (value !== undefined && value !== null && value !== "") {
+        collected.add(field)
+      }
+    }
+
+    return collected
+  }
+
+  // Why a rule matched this attempt's results, or null
+  matchRule(rule, callResults) {
+    if (rule.when === "success") {
+      return callResults.callSuccessful ? "call successful" : null
+    }
+
+    if (rule.when === "collected") {
+      const collected = this.getCollectedFields(callResults)
+      const field = rule.fields.find((candidate) => collected.has(candidate))
+      return field ? `${field} collected` : null
+    }
+
+    if (rule.when === "outcome") {
+      return rule.outcomes.includes(callResults.outcome) ? `outcome ${callResults.outcome}` : null
+    }
+
+    return null
+  }
+
+  // The first rule matching a finished attempt - { rule, reason } or null
+  evaluate(campaign, callResults) {
+    for (const rule of this.getRules(campaign)) {
+      const reason = this.matchRule(rule, callResults)
+      if (reason) {
+        return { rule, reason }
+      }
+    }
+
+    return null
+  }
+}
+
+export default CadenceService
@@ -0,0 +1,375 @@
+import { getCollection } from "../database/mongodb.js"
+import OUTREACH_CONFIG from "../config/constants.js"
+import chalk from "chalk"
+
+// Bounded dispatch of due call attempts. Each scheduler run queues the due attempts by campaign priority, taking
+// turns across userIds within a priority, and a small worker pool starts them while the global limit and an
+// agent's concurrent / per-minute limits have room. Usage is read from the call_campaigns collection, so limits
+// hold across every instance. Attempts that don't fit stay pending for the next run.
+export class CallDispatchService {
+  constructor(agentRegistry) {
+    this.agentRegistry = agentRegistry
+    this.dispatchConfig = OUTREACH_CONFIG.CALLS.DISPATCH
+    this.agentLimits = OUTREACH_CONFIG.AGENTS.LIMITS
+    this.trackingDbName = OUTREACH_CONFIG.DATABASE.TRACKING_DB_NAME
+    this.callCampaignsCollection = OUTREACH_CONFIG.DATABASE.CALL_CAMPAIGNS_COLLECTION
+    this.lastDispatch = null
+  }
+
+  // Concurrent and per-minute limits for an agent (registry entry first, then the defaults)
+  getAgentLimits(agent) {
+    return {
+      maxConcurrentCalls: agent.maxConcurrentCalls ?? this.agentLimits.MAX_CONCURRENT_CALLS,
+      maxCallsPerMinute: agent.maxCallsPerMinute ?? this.agentLimits.MAX_CALLS_PER_MINUTE,
+    }
+  }
+
+  // Live calls and calls started in the last minute, per ElevenLabs agent ID, across all instances
+  async loadUsage(now = new Date()) {
+    const collection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+    const minuteAgo = new Date(now.getTime() - 60 * 1000)
+    const counted = {
+      $or: [{ status: { $in: ["claimed", "in_progress"] } }, { callInitiatedAt: { $gte: minuteAgo } }],
+    }
+
+    const attempts = await collection
+      .aggregate([
+        { $match: { "campaignConfig.attempts": { $elemMatch: counted } } },
+        { $unwind: "$campaignConfig.attempts" },
+        { $replaceRoot: { newRoot: "$campaignConfig.attempts" } },
+        { $match: counted },
+        { $project: { _id: 0, status: 1, agentUsedId: 1, dispatchedAgentId: 1, agentId: 1, callInitiatedAt: 1 } },
+      ])
+      .toArray()
+
+    const usage = { activeCalls: 0, agents: new Map() }
+
+    for (const attempt of attempts) {
+      // The agent that placed the call, or before that the one that dispatched it
+      const identifier = attempt.agentUsedId || attempt.dispatchedAgentId || attempt.agentId
+      const agentId = this.agentRegistry.findAgent(identifier)?.agentId || identifier || "unassigned"
+
+      if (!usage.agents.has(agentId)) {
+        usage.agents.set(agentId, { activeCalls: 0, callsLastMinute: 0 })
+      }
+      const agentUsage = usage.agents.get(agentId)
+
+      if (["claimed", "in_progress"].includes(attempt.status)) {
+        usage.activeCalls++
+        agentUsage.activeCalls++
+      }
+      if (attempt.callInitiatedAt && new Date(attempt.callInitiatedAt) >= minuteAgo) {
+        agentUsage.callsLastMinute++
+      }
+    }
+
+    return usage
+  }
+
+  // Usage for one agent, creating an empty entry the first time it's seen
+  getAgentUsage(usage, agent) {
+    if (!usage.agents.has(agent.agentId)) {
+      usage.agents.set(agent.agentId, { activeCalls: 0, callsLastMinute: 0 })
+    }
+    return usage.agents.get(agent.agentId)
+  }
+
+  // Why an agent can't take another call right now, or null when it can
+  getAgentBlock(agent, usage) {
+    const limits = this.getAgentLimits(agent)
+    const agentUsage = this.getAgentUsage(usage, agent)
+
+    if (agentUsage.activeCalls >= limits.maxConcurrentCalls) {
+      return `at its limit of ${limits.maxConcurrentCalls} concurrent calls`
+    }
+    if (agentUsage.callsLastMinute >= limits.maxCallsPerMinute) {
+      return `at its limit of ${limits.maxCallsPerMinute} calls per minute`
+    }
+    return null
+  }
+
+  // The agent an attempt would dial with - the one chosen at creation, otherwise rotation by attempt number.
+  // Null when the chosen agent has been disabled or deleted.
+  getPreferredAgent(attempt, enabledAgents) {
+    if (attempt.agentId) {
+      const chosen = this.agentRegistry.findAgent(attempt.agentId)
+      return chosen?.enabled ? chosen : null
+    }
+    return enabledAgents[(attempt.attemptNumber - 1) % enabledAgents.length]
+  }
+
+  // Rank of a campaign's priority level (campaigns created before priorities existed get the default)
+  getPriorityRank(campaign) {
+    const levels = OUTREACH_CONFIG.PRIORITY.LEVELS
+    return levels[campaign.priority] ?? levels[OUTREACH_CONFIG.PRIORITY.DEFAULT]
+  }
+
+  // Fair queue order for { campaign, dueAt } entries (email sends use it too): highest priority first, then
+  // userIds take turns - each user's entries earliest due first, the user waiting longest going first
+  orderFairly(entries) {
+    const byRank = new Map()
+    for (const entry of entries) {
+      const rank = this.getPriorityRank(entry.campaign)
+      if (!byRank.has(rank)) {
+        byRank.set(rank, [])
+      }
+      byRank.get(rank).push(entry)
+    }
+
+    const ordered = []
+    for (const rank of [...byRank.keys()].sort((a, b) => b - a)) {
+      const byUser = new Map()
+      for (const entry of byRank.get(rank).sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt))) {
+        const userId = entry.campaign.userId || "system"
+        if (!byUser.has(userId)) {
+          byUser.set(userId, [])
+        }
+        byUser.get(userId).push(entry)
+      }
+
+      // Users were added in order of their earliest entry, so each round starts with whoever has waited longest
+      const users = [...byUser.values()]
+      for (let round = 0; users.some((userEntries) => round < userEntries.length); round++) {
+        for (const userEntries of users) {
+          if (round < userEntries.length) {
+            ordered.push(userEntries[round])
+          }
+        }
+      }
+    }
+
+    return ordered
+  }
+
+  // One queue entry per campaign: its next due pending attempt, in fair order
+  buildQueue(campaigns, now = new Date()) {
+    const queue = []
+
+    for (const campaign of campaigns) {
+      const attempt = campaign.campaignConfig.attempts.find(
+        (candidate) => candidate.status === "pending" && new Date(candidate.scheduledAt) <= now,
+      )
+      if (attempt) {
+        queue.push({ campaign, attempt, dueAt: attempt.scheduledAt })
+      }
+    }
+
+    return this.orderFairly(queue)
+  }
+
+  // Start as many queued attempts as the limits allow.
+  //   execute(campaign, { agentId, budgetExhaustedAgents, busyAgents }) places one call
+  //   deferForBudget(campaign, reason) holds a campaign's due attempts when every agent is over budget
+  //   shouldStop() ends dispatch early (shutdown)
+  async dispatch(
+    campaigns,
+    { execute, deferForBudget = null, budgetExhaustedAgents = new Map(), shouldStop = () => false },
+  ) {
+    const queue = this.buildQueue(campaigns)
+    const enabledAgents = this.agentRegistry.getEnabledAgents()
+    const usage = await this.loadUsage()
+    const summary = {
+      at: new Date(),
+      queued: queue.length,
+      dispatched: 0,
+      waiting: 0,
+      waitingReasons: {},
+      dispatchedByAgent: {},
+    }
+    const heldForBudget = [] // Entries no agent can take because every one is over budget
+
+    const waitFor = (reason) => {
+      summary.waiting++
+      summary.waitingReasons[reason] = (summary.waitingReasons[reason] || 0) + 1
+    }
+
+    // Pick the next entry whose agent has room for it and reserve the capacity before the call starts
+    const takeNext = () => {
+      while (queue.length > 0) {
+        if (shouldStop()) {
+          queue.splice(0).forEach(() => waitFor("shutting down"))
+          return null
+        }
+
+        if (usage.activeCalls >= this.dispatchConfig.MAX_CONCURRENT_CALLS) {
+          queue.splice(0).forEach(() => waitFor("global concurrency limit"))
+          return null
+        }
+
+        const entry = queue.shift()
+        if (enabledAgents.length === 0) {
+          waitFor("no enabled agents")
+          continue
+        }
+
+        const preferred = this.getPreferredAgent(entry.attempt, enabledAgents)
+
+        // The chosen agent is gone - executeCallCampaign fails the attempt without dialing, so no capacity is taken
+        if (!preferred) {
+          return { ...entry, agent: null, busyAgents: new Map() }
+        }
+
+        if (enabledAgents.every((agent) => budgetExhaustedAgents.has(agent.agentId))) {
+          waitFor("agent budgets exhausted")
+          heldForBudget.push({ ...entry, reason: budgetExhaustedAgents.get(preferred.agentId) })
+          continue
+        }
+
+        // Only the attempt's own agent takes it - when that agent is at its limits the attempt waits its turn rather
+        // than going to another agent, which only happens on failover
+        if (this.getAgentBlock(preferred, usage)) {
+          waitFor("agent limits")
+          continue
+        }
+
+        // Agents failover has to skip because they're at their limits
+        const busyAgents = new Map()
+        for (const agent of enabledAgents) {
+          const block = this.getAgentBlock(agent, usage)
+          if (block) {
+            busyAgents.set(agent.agentId, block)
+          }
+        }
+
+        // The preferred agent is cooling down or over budget - only worth claiming if failover has somewhere to go
+        const preferredAvailable =
+          !budgetExhaustedAgents.has(preferred.agentId) && this.agentRegistry.isAgentHealthy(preferred)
+        const failoverAvailable = enabledAgents.some(
+          (agent) =>
+            agent.agentId !== preferred.agentId &&
+            !budgetExhaustedAgents.has(agent.agentId) &&
+            !busyAgents.has(agent.agentId) &&
+            this.agentRegistry.isAgentHealthy(agent),
+        )
+        if (!preferredAvailable && !failoverAvailable) {
+          waitFor("no available agent")
+          continue
+        }
+
+        const agentUsage = this.getAgentUsage(usage, preferred)
+        agentUsage.activeCalls++
+        agentUsage.callsLastMinute++
+        usage.activeCalls++
+
+        summary.dispatched++
+        summary.dispatchedByAgent[preferred.name] = (summary.dispatchedByAgent[preferred.name] || 0) + 1
+        return { ...entry, agent: preferred, busyAgents }
+      }
+
+      return null
+    }
+
+    const worker = async () => {
+      let entry
+      while ((entry = takeNext())) {
+        try {
+          await execute(entry.campaign, {
+            agentId: entry.agent?.agentId || null,
+            budgetExhaustedAgents,
+            busyAgents: entry.busyAgents,
+          })
+        } catch (error) {
+          console.error(chalk.red(`❌ Error executing call campaign ${entry.campaign._id}:`), error.message)
+        }
+      }
+    }
+
+    const workerCount = Math.min(this.dispatchConfig.WORKERS, queue.length)
+    await Promise.all(Array.from({ length: workerCount }, () => worker()))
+
+    // Held as deferred_budget rather than left pending, so they're released once an agent has budget again
+    if (deferForBudget) {
+      for (const entry of heldForBudget) {
+        await deferForBudget(entry.campaign, `No agents within budget - ${entry.reason}`)
+      }
+    }
+
+    if (summary.waiting > 0) {
+      console.log(
+        chalk.yellow(
+          `🚦 Dispatched ${summary.dispatched}/${summary.queued} due attempts, ${summary.waiting} left queued: ${JSON.stringify(summary.waitingReasons)}`,
+        ),
+      )
+    }
+
+    this.lastDispatch = summary
+    return summary
+  }
+
+  // Campaigns with a due attempt, overall, by priority and by the agent the attempt would prefer
+  async getQueueDepth(now = new Date()) {
+    const collection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+    const due = { status: "pending", scheduledAt: { $lte: now } }
+
+    const campaigns = await collection
+      .find(
+        {
+          overallStatus: { $in: ["scheduled", "in_progress"] },
+          "campaignConfig.attempts": { $elemMatch: due },
+          paused: { $ne: true },
+        },
+        { projection: { priority: 1, "campaignConfig.attempts": 1 } },
+      )
+      .toArray()
+
+    const enabledAgents = this.agentRegistry.getEnabledAgents()
+    const byAgent = {}
+    const byPriority = {}
+    let total = 0
+    let waitingOnLiveAttempt = 0
+
+    for (const campaign of campaigns) {
+      const attempts = campaign.campaignConfig.attempts
+      if (attempts.some((attempt) => ["claimed", "in_progress"].includes(attempt.status))) {
+        waitingOnLiveAttempt++
+        continue
+      }
+
+      const attempt = attempts.find(
+        (candidate) => candidate.status === "pending" && new Date(candidate.scheduledAt) <= now,
+      )
+      const agent = enabledAgents.length > 0 ? this.getPreferredAgent(attempt, enabledAgents) : null
+      const key = agent?.name || "unassigned"
+
+      const priority = campaign.priority || OUTREACH_CONFIG.PRIORITY.DEFAULT
+
+      byAgent[key] = (byAgent[key] || 0) + 1
+      byPriority[priority] = (byPriority[priority] || 0) + 1
+      total++
+    }
+
+    return { total, byAgent, byPriority, waitingOnLiveAttempt }
+  }
+
+  // Scheduler status: queue depth, limits and usage per agent, and the last dispatch run
+  async describeStatus() {
+    const [usage, queueDepth] = await Promise.all([this.loadUsage(), this.getQueueDepth()])
+
+    const agents = this.agentRegistry.agents.map((agent) => {
+      const agentUsage = usage.agents.get(agent.agentId) || { activeCalls: 0, callsLastMinute: 0 }
+      return {
+        name: agent.name,
+        agentId: agent.agentId,
+        enabled: agent.enabled,
+        healthy: this.agentRegistry.isAgentHealthy(agent),
+        activeCalls: agentUsage.activeCalls,
+        callsLastMinute: agentUsage.callsLastMinute,
+        queuedAttempts: queueDepth.byAgent[agent.name] || 0,
+        ...this.getAgentLimits(agent),
+      }
+    })
+
+    return {
+      queueDepth: queueDepth.total,
+      queueDepthByPriority: queueDepth.byPriority,
+      waitingOnLiveAttempt: queueDepth.waitingOnLiveAttempt,
+      activeCalls: usage.activeCalls,
+      maxConcurrentCalls: this.dispatchConfig.MAX_CONCURRENT_CALLS,
+      workers: this.dispatchConfig.WORKERS,
+      agents: agents,
+      lastDispatch: this.lastDispatch,
+    }
+  }
+}
+
+export default CallDispatchService
@@ -0,0 +1,250 @@
+import OUTREACH_CONFIG from "../config/constants.js"
+import chalk from "chalk"
+
+// Finds callback requests in completed conversations and works out when to ring back.
+// The requested time comes from a data collection field (an ISO time or plain English like "tomorrow 3pm"),
+// or from the "call back ..." sentence of the transcript summary. Date getters are UK time (TZ=Europe/London).
+export class CallbackService {
+  constructor(callingWindowService) {
+    this.callingWindowService = callingWindowService
+    this.callbackConfig = OUTREACH_CONFIG.CALLBACKS
+    this.weekdays = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"]
+    this.months = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"]
+    this.numberWords = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, ten: 10, couple: 2, few: 3 }
+    // "call us back", "ring back", "phone them back", "callback", "try again", "call again"
+    this.callbackPattern =
+      /\b(call(ed|ing)?|ring(ing)?|phon(e|ed|ing)|rang)\b(\s+\w+){0,3}?\s+back\b|\bcall-?backs?\b|\b(call|ring|phone|try)(\s+\w+)?\s+again\b/i
+  }
+
+  // Same UK day at the given hour and minute
+  atTime(date, { hour, minute }) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hour, minute, 0, 0)
+  }
+
+  // UK midnight `days` after the reference day
+  addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days)
+  }
+
+  // Time of day mentioned in the text - "3pm", "15:30", "at 3", "noon", "afternoon"
+  parseTimeOfDay(text) {
+    const clock = text.match(/\b(\d{1,2})[:.](\d{2})\s*(am|pm|a\.m\.|p\.m\.)?/)
+    const meridiem = text.match(/\b(\d{1,2})\s*(am|pm|a\.m\.|p\.m\.)/)
+    const oClock = text.match(/\b(?:at|around|about|after|before)\s+(\d{1,2})(?:\s*o'?clock)?\b(?![:./\d])/)
+
+    const toTime = (hourText, minuteText, suffix) => {
+      let hour = Number.parseInt(hourText)
+      const minute = Number.parseInt(minuteText || "0")
+      if (hour > 23 || minute > 59) {
+        return null
+      }
+
+      if (suffix?.startsWith("p") && hour < 12) hour += 12
+      if (suffix?.startsWith("a") && hour === 12) hour = 0
+      // "at 3" during business hours means the afternoon
+      if (!suffix && hour >= 1 && hour <= 7) hour += 12
+
+      return { hour, minute }
+    }
+
+    if (clock) return toTime(clock[1], clock[2], clock[3])
+    if (meridiem) return toTime(meridiem[1], "0", meridiem[2])
+    if (/\b(noon|midday)\b/.test(text)) return { hour: 12, minute: 0 }
+    if (oClock) return toTime(oClock[1], "0", null)
+
+    for (const [part, time] of Object.entries(this.callbackConfig.PARTS_OF_DAY)) {
+      if (text.includes(part)) {
+        return time
+      }
+    }
+    return null
+  }
+
+  // Day mentioned in the text, as UK midnight - "today", "tomorrow", "Thursday", "next week", "18/01", "18th January"
+  parseDay(text, reference) {
+    if (/\bday after tomorrow\b/.test(text)) return this.addDays(reference, 2)
+    if (/\btomorrow\b/.test(text)) return this.addDays(reference, 1)
+    if (/\b(today|this (morning|afternoon|evening)|tonight)\b/.test(text)) return this.addDays(reference, 0)
+
+    const weekday = text.match(/\b(this\s+|next\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/)
+    if (weekday) {
+      let days = (this.weekdays.indexOf(weekday[2]) - reference.getDay() + 7) % 7
+      if (days === 0 && !weekday[1]?.startsWith("this")) {
+        days = 7
+      }
+      return this.addDays(reference, days)
+    }
+
+    // Monday of next week
+    if (/\bnext week\b/.test(text)) {
+      return this.addDays(reference, (1 - reference.getDay() + 7) % 7 || 7)
+    }
+
+    const numeric = text.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/)
+    const named = text.match(/\b(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?([a-z]{3})[a-z]*\b/)
+    const [day, month, year] = numeric
+      ? [Number.parseInt(numeric[1]), Number.parseInt(numeric[2]) - 1, numeric[3]]
+      : named && this.months.includes(named[2])
+        ? [Number.parseInt(named[1]), this.months.indexOf(named[2]), null]
+        : [null, null, null]
+
+    if (day !== null && month >= 0 && month <= 11 && day >= 1 && day <= 31) {
+      const fullYear = year ? Number.parseInt(year.length === 2 ? `20${year}` : year) : reference.getFullYear()
+      const date = new Date(fullYear, month, day)
+      // No year given and the date has passed - they mean next year
+      return !year && date < this.addDays(reference, 0) ? new Date(fullYear + 1, month, day) : date
+    }
+
+    return null
+  }
+
+  // Parse a requested callback time relative to `reference` - null when no time can be worked out
+  parseCallbackTime(value, reference = new Date()) {
+    if (typeof value !== "string" || value.trim() === "") {
+      return null
+    }
+
+    // Machine-readable time from a data collection field - treated as UK time like every scheduled date
+    if (/^\d{4}-\d{2}-\d{2}/.test(value.trim())) {
+      const cleanValue = value.trim().replace(/Z$/, "")
+      const date = new Date(cleanValue.includes("T") ? cleanValue : `${cleanValue}T${this.formatDefaultTime()}`)
+      return isNaN(date.getTime()) ? null : date
+    }
+
+    const text = value.toLowerCase()
+
+    // "in two hours", "in 20 minutes", "in a couple of days", "in half an hour"
+    if (/\bin half an hour\b/.test(text)) {
+      return new Date(reference.getTime() + 30 * 60 * 1000)
+    }
+    const relative = text.match(
+      /\bin\s+(\d+|an?|one|two|three|four|five|six|ten|a couple of|a few|couple of|few)\s+(minute|hour|day|week)s?\b/,
+    )
+    if (relative) {
+      const countText = relative[1].replace(/^a\s+|\s+of$/g, "")
+      const count = Number.parseInt(countText) || this.numberWords[countText] || 1
+      if (relative[2] === "minute" || relative[2] === "hour") {
+        return new Date(reference.getTime() + count * (relative[2] === "hour" ? 60 : 1) * 60 * 1000)
+      }
+
+      const days = count * (relative[2] === "week" ? 7 : 1)
+      return this.atTime(this.addDays(reference, days), this.callbackConfig.DEFAULT_TIME)
+    }
+
+    const day = this.parseDay(text, reference)
+    const time = this.parseTimeOfDay(text)
+
+    if (!day && !time) {
+      return null
+    }
+
+    if (!day) {
+      // Only a time - today if it's still ahead, otherwise tomorrow
+      const today = this.atTime(reference, time)
+      return today > reference ? today : this.atTime(this.addDays(reference, 1), time)
+    }
+
+    // "Later today" says nothing about when
+    if (!time && day.getTime() === this.addDays(reference, 0).getTime()) {
+      return null
+    }
+
+    return this.atTime(day, time || this.callbackConfig.DEFAULT_TIME)
+  }
+
+  // DEFAULT_TIME as HH:mm:ss, for dates given without a time
+  formatDefaultTime() {
+    const { hour, minute } = this.callbackConfig.DEFAULT_TIME
+    return `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}:00`
+  }
+
+  // The sentence of a transcript summary that asks for a callback
+  findCallbackSentence(summary) {
+    if (typeof summary !== "string") {
+      return null
+    }
+
+    const sentences = summary.split(/(?<=[.!?])\s+/)
+    return sentences.find((sentence) => this.callbackPattern.test(sentence)) || null
+  }
+
+  // Did the business ask to be called back? { source, field, text, requestedAt } or null.
+  // requestedAt is null when they asked without saying when.
+  detectCallback(callResults, reference = new Date()) {
+    if (!this.callbackConfig.ENABLED) {
+      return null
+    }
+
+    const dataCollectionResults = callResults.dataCollectionResults || {}
+    for (const field of this.callbackConfig.DATA_COLLECTION_FIELDS) {
+      const result = dataCollectionResults[field]
+      // Direct value, or { value, rationale } as ElevenLabs sends it
+      const value = result && typeof result === "object" && "value" in result ? result.value : result
+      if (value === undefined || value === null || value === "" || value === false || value === "false") {
+        continue
+      }
+
+      const requestedAt = this.parseCallbackTime(String(value), reference)
+      if (requestedAt) {
+        return { source: "data_collection", field, text: String(value), requestedAt }
+      }
+
+      // A yes/no field, or a time we couldn't read - the summary may say when
+      const sentence = this.callbackConfig.PARSE_SUMMARY
+        ? this.findCallbackSentence(callResults.transcriptSummary)
+        : null
+      return {
+        source: "data_collection",
+        field,
+        text: sentence || String(value),
+        requestedAt: sentence ? this.parseCallbackTime(sentence, reference) : null,
+      }
+    }
+
+    if (!this.callbackConfig.PARSE_SUMMARY) {
+      return null
+    }
+
+    const sentence = this.findCallbackSentence(callResults.transcriptSummary)
+    if (!sentence) {
+      return null
+    }
+
+    return { source: "summary", field: null, text: sentence, requestedAt: this.parseCallbackTime(sentence, reference) }
+  }
+
+  // When to ring back: the requested time moved into the calling window, within MAX_FUTURE_DAYS.
+  // Returns { scheduledAt } or { scheduledAt: null, reason }.
+  planCallback(detection, reference = new Date()) {
+    if (!detection.requestedAt) {
+      return { scheduledAt: null, reason: "No callback time given" }
+    }
+
+    if (detection.requestedAt <= reference) {
+      return { scheduledAt: null, reason: "Requested callback time has already passed" }
+    }
+
+    const scheduledAt = this.callingWindowService.getNextAllowedSlot(detection.requestedAt)
+    const maxFutureDate = new Date(reference)
+    maxFutureDate.setDate(reference.getDate() + OUTREACH_CONFIG.CALLS.MAX_FUTURE_DAYS)
+
+    if (scheduledAt > maxFutureDate) {
+      return {
+        scheduledAt: null,
+        reason: `Callback time is more than ${OUTREACH_CONFIG.CALLS.MAX_FUTURE_DAYS} days ahead`,
+      }
+    }
+
+    if (scheduledAt.getTime() !== detection.requestedAt.getTime()) {
+      console.log(
+        chalk.yellow(
+          `🕐 Callback requested for ${this.callingWindowService.formatUKTime(detection.requestedAt)} is outside the calling window, moved to ${this.callingWindowService.formatUKTime(scheduledAt)} (UK)`,
+        ),
+      )
+    }
+
+    return { scheduledAt }
+  }
+}
+
+export default CallbackService
@@ -0,0 +1,190 @@
+import { getCollection } from "../database/mongodb.js"
+import OUTREACH_CONFIG from "../config/constants.js"
+import chalk from "chalk"
+
+// Which number in an agent's caller ID pool places each call, and how many calls each number placed per UK day.
+// Usage is one document per phone number ID per day; a call reserves its slot before dialing, so two instances
+// can't both take a number's last call of the day.
+export class CallerIdService {
+  constructor() {
+    this.trackingDbName = OUTREACH_CONFIG.DATABASE.TRACKING_DB_NAME
+    this.usageCollection = OUTREACH_CONFIG.DATABASE.CALLER_ID_USAGE_COLLECTION
+    this.callCampaignsCollection = OUTREACH_CONFIG.DATABASE.CALL_CAMPAIGNS_COLLECTION
+    this.callerIdConfig = OUTREACH_CONFIG.AGENTS.CALLER_ID
+  }
+
+  // Initialize the caller_id_usage collection
+  async initialize() {
+    try {
+      const collection = getCollection(this.trackingDbName, this.usageCollection)
+      await collection.createIndex({ phoneNumberId: 1, day: 1 }, { unique: true })
+      await collection.createIndex({ lastUsedAt: -1 })
+
+      console.log(chalk.green("✅ Caller ID usage initialized"))
+    } catch (error) {
+      console.error(chalk.red("❌ Error initializing caller ID usage:"), error.message)
+      throw error
+    }
+  }
+
+  // UK calendar day as YYYY-MM-DD (the server runs with TZ=Europe/London)
+  getDay(now = new Date()) {
+    const month = String(now.getMonth() + 1).padStart(2, "0")
+    const date = String(now.getDate()).padStart(2, "0")
+    return `${now.getFullYear()}-${month}-${date}`
+  }
+
+  getStrategy(agent) {
+    return agent.callerIdStrategy || this.callerIdConfig.DEFAULT_STRATEGY
+  }
+
+  getDailyCap(entry) {
+    return entry.dailyCap === undefined ? this.callerIdConfig.DEFAULT_DAILY_CAP : entry.dailyCap
+  }
+
+  // Calls today and last use for each phone number ID, by ID
+  async getUsage(phoneNumberIds, now = new Date()) {
+    const collection = getCollection(this.trackingDbName, this.usageCollection)
+    const today = this.getDay(now)
+
+    const usage = await collection
+      .aggregate([
+        { $match: { phoneNumberId: { $in: phoneNumberIds } } },
+        {
+          $group: {
+            _id: "$phoneNumberId",
+            callsToday: { $sum: { $cond: [{ $eq: ["$day", today] }, "$calls", 0] } },
+            lastUsedAt: { $max: "$lastUsedAt" },
+          },
+        },
+      ])
+      .toArray()
+
+    return new Map(usage.map((entry) => [entry._id, { callsToday: entry.callsToday, lastUsedAt: entry.lastUsedAt }]))
+  }
+
+  // Pool entries with today's usage, for the API
+  async describePool(pool, now = new Date()) {
+    const usage = await this.getUsage(pool.map((entry) => entry.phoneNumberId), now)
+
+    return pool.map((entry) => {
+      const dailyCap = this.getDailyCap(entry)
+      const callsToday = usage.get(entry.phoneNumberId)?.callsToday || 0
+      return {
+        ...entry,
+        dailyCap: dailyCap,
+        callsToday: callsToday,
+        remainingToday: dailyCap === null ? null : Math.max(dailyCap - callsToday, 0),
+        lastUsedAt: usage.get(entry.phoneNumberId)?.lastUsedAt || null,
+      }
+    })
+  }
+
+  // The pool number a business was last called from (any of its campaigns), or null
+  async findStickyNumber(pool, originalRecordId) {
+    if (!originalRecordId) {
+      return null
+    }
+
+    const collection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+    const campaigns = await collection
+      .find({ originalRecordId: originalRecordId }, { projection: { "campaignConfig.attempts": 1 } })
+      .toArray()
+
+    const poolIds = pool.map((entry) => entry.phoneNumberId)
+    const lastCall = campaigns
+      .flatMap((campaign) => campaign.campaignConfig?.attempts || [])
+      .filter((attempt) => poolIds.includes(attempt.callerPhoneNumberId) && attempt.callInitiatedAt)
+      .sort((a, b) => new Date(b.callInitiatedAt) - new Date(a.callInitiatedAt))[0]
+
+    return lastCall?.callerPhoneNumberId || null
+  }
+
+  // Enabled pool entries in the order the agent's strategy would try them
+  async orderCandidates(agent, pool, context, usage) {
+    const enabled = pool.filter((entry) => entry.enabled !== false)
+    const lastUsed = (entry) => new Date(usage.get(entry.phoneNumberId)?.lastUsedAt || 0).getTime()
+    // Never used first, then oldest use first (stable, so ties keep pool order)
+    const leastRecentlyUsed = [...enabled].sort((a, b) => lastUsed(a) - lastUsed(b))
+    const strategy = this.getStrategy(agent)
+
+    if (strategy === "lru") {
+      return leastRecentlyUsed
+    }
+
+    if (strategy === "sticky") {
+      const stickyId = await this.findStickyNumber(pool, context.originalRecordId)
+      const sticky = enabled.find((entry) => entry.phoneNumberId === stickyId)
+      return sticky ? [sticky, ...leastRecentlyUsed.filter((entry) => entry !== sticky)] : leastRecentlyUsed
+    }
+
+    // Round robin - start after the number used last, wrapping round
+    const mostRecent = [...enabled].sort((a, b) => lastUsed(b) - lastUsed(a))[0]
+    const start = mostRecent && lastUsed(mostRecent) > 0 ? enabled.indexOf(mostRecent) + 1 : 0
+    return [...enabled.slice(start), ...enabled.slice(0, start)]
+  }
+
+  // Upsert that counts a call on a number's usage document for the day. The filter only matches while the number is
+  // under its cap; at the cap the upsert tries to insert a second document for the day, which the unique index rejects.
+  getReserveQuery(phoneNumberId, dailyCap, now = new Date()) {
+    const filter = { phoneNumberId: phoneNumberId, day: this.getDay(now) }
+    if (dailyCap !== null) {
+      filter.calls = { $lt: dailyCap }
+    }
+
+    return { filter, update: { $inc: { calls: 1 }, $set: { lastUsedAt: now }, $setOnInsert: { createdAt: now } } }
+  }
+
+  // Count a call against a number's daily cap. False when the number is already at its cap.
+  async reserve(phoneNumberId, dailyCap, now = new Date()) {
+    const collection = getCollection(this.trackingDbName, this.usageCollection)
+    const { filter, update } = this.getReserveQuery(phoneNumberId, dailyCap, now)
+
+    try {
+      await collection.updateOne(filter, update, { upsert: true })
+      return true
+    } catch (error) {
+      // The day's document exists but is at the cap, so the upsert tried to insert a duplicate
+      if (error.code === 11000) {
+        return false
+      }
+      throw error
+    }
+  }
+
+  // Give back a reservation for a call that ElevenLabs never placed
+  async release(selection) {
+    const collection = getCollection(this.trackingDbName, this.usageCollection)
+    await collection.updateOne(
+      { phoneNumberId: selection.phoneNumberId, day: selection.day, calls: { $gt: 0 } },
+      { $inc: { calls: -1 } },
+    )
+  }
+
+  // Pick and reserve the number an agent calls from.
+  // Returns { phoneNumberId, strategy, day } or { phoneNumberId: null, reason } when every number is off or capped.
+  async selectCallerId(agent, pool, context = {}) {
+    const now = new Date()
+    const usage = await this.getUsage(pool.map((entry) => entry.phoneNumberId), now)
+    const candidates = await this.orderCandidates(agent, pool, context, usage)
+
+    if (candidates.length === 0) {
+      return { phoneNumberId: null, reason: `${agent.name} has no enabled caller IDs` }
+    }
+
+    for (const entry of candidates) {
+      const dailyCap = this.getDailyCap(entry)
+      if (dailyCap !== null && (usage.get(entry.phoneNumberId)?.callsToday || 0) >= dailyCap) {
+        continue
+      }
+
+      if (await this.reserve(entry.phoneNumberId, dailyCap, now)) {
+        return { phoneNumberId: entry.phoneNumberId, strategy: this.getStrategy(agent), day: this.getDay(now) }
+      }
+    }
+
+    return { phoneNumberId: null, reason: `Every caller ID for ${agent.name} has reached its daily cap` }
+  }
+}
+
+export default CallerIdService
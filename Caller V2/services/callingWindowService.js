@@ -0,0 +1,150 @@
+import OUTREACH_CONFIG from "../config/constants.js"
+import ENGLAND_AND_WALES_BANK_HOLIDAYS from "../config/bankHolidays.js"
+import { OpeningHoursService } from "./openingHoursService.js"
+
+// Date getters below are UK time because the server runs with TZ=Europe/London
+export class CallingWindowService {
+  constructor() {
+    this.openingHoursService = new OpeningHoursService()
+    this.schedulerConfig = OUTREACH_CONFIG.CALLS.SCHEDULER
+    this.bankHolidays = new Set(ENGLAND_AND_WALES_BANK_HOLIDAYS)
+    this.dayNames = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"]
+  }
+
+  // Is the calling window switched on?
+  isEnforced() {
+    return this.schedulerConfig.ENFORCE_CALLING_WINDOW
+  }
+
+  // UK calendar date as YYYY-MM-DD
+  getDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, "0")
+    const day = String(date.getDate()).padStart(2, "0")
+    return `${date.getFullYear()}-${month}-${day}`
+  }
+
+  // Minutes since UK midnight
+  getMinutesOfDay(date) {
+    return date.getHours() * 60 + date.getMinutes()
+  }
+
+  // Same UK day at the given hour and minute
+  atTime(date, { hour, minute }) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hour, minute, 0, 0)
+  }
+
+  // Is this an England & Wales bank holiday?
+  isBankHoliday(date) {
+    return this.bankHolidays.has(this.getDateKey(date))
+  }
+
+  // Check a moment against the calling window (allowed weekdays, bank holidays, daily hours)
+  checkCallingWindow(date = new Date()) {
+    if (!this.isEnforced()) {
+      return { allowed: true, reason: null }
+    }
+
+    if (!this.schedulerConfig.DAYS_OF_WEEK.includes(date.getDay())) {
+      return { allowed: false, reason: `no calls on ${this.dayNames[date.getDay()]}` }
+    }
+
+    if (this.schedulerConfig.SKIP_BANK_HOLIDAYS && this.isBankHoliday(date)) {
+      return { allowed: false, reason: "bank holiday" }
+    }
+
+    const minutes = this.getMinutesOfDay(date)
+    const start = this.schedulerConfig.DAILY_START_TIME
+    const end = this.schedulerConfig.DAILY_END_TIME
+
+    if (minutes < start.hour * 60 + start.minute) {
+      return { allowed: false, reason: "before calling hours", beforeHours: true }
+    }
+
+    if (minutes >= end.hour * 60 + end.minute) {
+      return { allowed: false, reason: "after calling hours" }
+    }
+
+    return { allowed: true, reason: null }
+  }
+
+  // Earliest moment at or after `date` that is inside the calling window
+  getNextAllowedSlot(date = new Date()) {
+    let candidate = new Date(date)
+
+    // A year of days is far more than any window configuration needs
+    for (let day = 0; day < 366; day++) {
+      const check = this.checkCallingWindow(candidate)
+      if (check.allowed) {
+        return candidate
+      }
+
+      if (check.beforeHours) {
+        candidate = this.atTime(candidate, this.schedulerConfig.DAILY_START_TIME)
+      } else {
+        const nextDay = new Date(candidate.getFullYear(), candidate.getMonth(), candidate.getDate() + 1)
+        candidate = this.atTime(nextDay, this.schedulerConfig.DAILY_START_TIME)
+      }
+    }
+
+    throw new Error("Calling window configuration never allows calls")
+  }
+
+  // Check a moment against the calling window and the business's own timing (opening hours, quiet periods)
+  checkCallTiming(date = new Date(), recordData = null) {
+    const windowCheck = this.checkCallingWindow(date)
+    if (!windowCheck.allowed || !recordData) {
+      return windowCheck
+    }
+
+    return this.openingHoursService.checkBusinessTiming(date, recordData)
+  }
+
+  // Earliest moment at or after `date` inside the calling window that also suits the business
+  getNextAcceptableSlot(date = new Date(), recordData = null) {
+    const windowSlot = this.getNextAllowedSlot(date)
+    let candidate = windowSlot
+
+    // Two weeks of hops covers any opening hours that overlap the calling window at all
+    for (let hop = 0; hop < 100; hop++) {
+      const businessCheck = this.openingHoursService.checkBusinessTiming(candidate, recordData)
+      if (businessCheck.allowed) {
+        return candidate
+      }
+
+      candidate = this.getNextAllowedSlot(businessCheck.retryAt)
+    }
+
+    // Opening hours never overlap the calling window - fall back to the window alone
+    return windowSlot
+  }
+
+  // Format a date for logs and messages
+  formatUKTime(date) {
+    return date.toLocaleString("en-GB", {
+      timeZone: "Europe/London",
+      weekday: "short",
+      day: "2-digit",
+      month: "2-digit",
+      year: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    })
+  }
+
+  // Calling window summary for the system config endpoint
+  describe() {
+    const formatTime = ({ hour, minute }) => `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`
+
+    return {
+      enforced: this.isEnforced(),
+      startTime: formatTime(this.schedulerConfig.DAILY_START_TIME),
+      endTime: formatTime(this.schedulerConfig.DAILY_END_TIME),
+      daysOfWeek: this.schedulerConfig.DAYS_OF_WEEK.map((day) => this.dayNames[day]),
+      skipBankHolidays: this.schedulerConfig.SKIP_BANK_HOLIDAYS,
+      bankHolidayCalendar: "England & Wales",
+      nextAllowedSlot: this.getNextAllowedSlot(new Date()),
+    }
+  }
+}
+
+export default CallingWindowService
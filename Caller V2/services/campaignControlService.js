@@ -0,0 +1,495 @@
+import { getCollection, toObjectId } from "../database/mongodb.js"
+import OUTREACH_CONFIG from "../config/constants.js"
+import ValidationService from "./validationService.js"
+import chalk from "chalk"
+
+// Pause, resume and cancel for call and email campaigns, one at a time or in bulk (trackingIds or a userId).
+// A paused campaign keeps its status and attempts and is skipped by the scheduler until resumed; a call already
+// live when it's paused or cancelled finishes normally.
+// Also edits a call campaign's pending attempts after creation. Removed attempts stay in the array as "removed"
+// so every attempt keeps index attemptNumber - 1.
+export class CampaignControlService {
+  constructor(agentRegistry) {
+    this.validationService = new ValidationService(agentRegistry)
+    this.trackingDbName = OUTREACH_CONFIG.DATABASE.TRACKING_DB_NAME
+    this.callCampaignsCollection = OUTREACH_CONFIG.DATABASE.CALL_CAMPAIGNS_COLLECTION
+    this.emailCampaignsCollection = OUTREACH_CONFIG.DATABASE.EMAIL_CAMPAIGNS_COLLECTION
+    this.controlConfig = OUTREACH_CONFIG.CAMPAIGN_CONTROL
+  }
+
+  getCollection(campaignType) {
+    return getCollection(
+      this.trackingDbName,
+      campaignType === "call" ? this.callCampaignsCollection : this.emailCampaignsCollection,
+    )
+  }
+
+  // Validate a bulk request body - exactly one of trackingIds or userId
+  validateBulkSelection({ trackingIds, userId }) {
+    if (trackingIds !== undefined && userId !== undefined) {
+      return { valid: false, error: "Pass either trackingIds or userId, not both" }
+    }
+
+    if (userId !== undefined) {
+      return typeof userId === "string" && userId.trim() !== ""
+        ? { valid: true }
+        : { valid: false, error: "userId must be a non-empty string" }
+    }
+
+    if (!Array.isArray(trackingIds) || trackingIds.length === 0) {
+      return { valid: false, error: "trackingIds array or userId is required" }
+    }
+
+    if (trackingIds.length > this.controlConfig.MAX_BULK_CAMPAIGNS) {
+      return { valid: false, error: `At most ${this.controlConfig.MAX_BULK_CAMPAIGNS} trackingIds per request` }
+    }
+
+    if (!trackingIds.every((trackingId) => typeof trackingId === "string" && /^[a-f\d]{24}$/i.test(trackingId))) {
+      return { valid: false, error: "trackingIds must be tracking record IDs" }
+    }
+
+    return { valid: true }
+  }
+
+  // Campaigns selected by trackingIds or a userId
+  async findCampaigns(campaignType, { trackingIds = null, userId = null }) {
+    const collection = this.getCollection(campaignType)
+    const query = trackingIds
+      ? { _id: { $in: await Promise.all(trackingIds.map((trackingId) => toObjectId(trackingId))) } }
+      : { userId: userId }
+
+    return await collection.find(query).toArray()
+  }
+
+  // Stop the scheduler picking the campaign up - claimed attempts go back to pending so they aren't dialed
+  async pauseCampaign(campaign, campaignType, reason) {
+    if (this.controlConfig.FINISHED_STATUSES.includes(campaign.overallStatus)) {
+      return { applied: false, reason: `Campaign is already ${campaign.overallStatus}` }
+    }
+    if (campaign.paused) {
+      return { applied: false, reason: "Campaign is already paused" }
+    }
+
+    const collection = this.getCollection(campaignType)
+    const now = new Date()
+    const update = {
+      $set: { paused: true, pausedAt: now, pausedReason: reason, updatedAt: now },
+    }
+    const options = {}
+
+    if (campaignType === "call") {
+      update.$set["campaignConfig.attempts.$[claimed].status"] = "pending"
+      update.$set["campaignConfig.attempts.$[claimed].lease"] = null
+      options.arrayFilters = [{ "claimed.status": "claimed" }]
+    }
+
+    const result = await collection.updateOne(
+      { _id: campaign._id, paused: { $ne: true }, overallStatus: { $nin: this.controlConfig.FINISHED_STATUSES } },
+      update,
+      options,
+    )
+
+    return result.modifiedCount > 0 ? { applied: true } : { applied: false, reason: "Campaign changed, try again" }
+  }
+
+  // Let the scheduler pick the campaign up again - attempts that fell due while paused go out on the next run
+  async resumeCampaign(campaign, campaignType) {
+    if (!campaign.paused) {
+      return { applied: false, reason: "Campaign is not paused" }
+    }
+
+    const collection = this.getCollection(campaignType)
+    const result = await collection.updateOne(
+      { _id: campaign._id, paused: true },
+      {
+        $set: { paused: false, resumedAt: new Date(), updatedAt: new Date() },
+        $unset: { pausedAt: "", pausedReason: "" },
+      },
+    )
+
+    return result.modifiedCount > 0 ? { applied: true } : { applied: false, reason: "Campaign changed, try again" }
+  }
+
+  // Cancel everything still scheduled and free the source record for a new campaign
+  async cancelCampaign(campaign, campaignType, reason) {
+    if (this.controlConfig.FINISHED_STATUSES.includes(campaign.overallStatus)) {
+      return { applied: false, reason: `Campaign is already ${campaign.overallStatus}` }
+    }
+
+    const collection = this.getCollection(campaignType)
+    const now = new Date()
+    const cancelledReason = reason || "Cancelled via API"
+    const openFilter = { _id: campaign._id, overallStatus: { $nin: this.controlConfig.FINISHED_STATUSES } }
+
+    let result
+    if (campaignType === "call") {
+      // Follow-up email first - the campaign filter no longer matches once overallStatus is cancelled
+      await collection.updateOne(
+        { ...openFilter, "emailConfig.status": "pending" },
+        { $set: { "emailConfig.status": "cancelled", "emailConfig.error": cancelledReason } },
+      )
+
+      result = await collection.updateOne(
+        openFilter,
+        {
+          $set: {
+            "campaignConfig.attempts.$[open].status": "cancelled",
+            "campaignConfig.attempts.$[open].cancelledReason": cancelledReason,
+            "campaignConfig.attempts.$[open].executedAt": now,
+            "campaignConfig.attempts.$[open].lease": null,
+            overallStatus: "cancelled",
+            cancelledReason: cancelledReason,
+            paused: false,
+            completedAt: now,
+            updatedAt: now,
+          },
+        },
+        { arrayFilters: [{ "open.status": { $in: ["pending", "claimed", "deferred_budget"] } }] },
+      )
+    } else {
+      result = await collection.updateOne(
+        openFilter,
+        {
+          $set: {
+            "emailConfig.attempts.$[pending].status": "cancelled",
+            overallStatus: "cancelled",
+            cancelledReason: cancelledReason,
+            paused: false,
+            completedAt: now,
+            updatedAt: now,
+          },
+        },
+        { arrayFilters: [{ "pending.status": "pending" }] },
+      )
+    }
+
+    if (result.modifiedCount === 0) {
+      return { applied: false, reason: "Campaign changed, try again" }
+    }
+
+    await this.releaseOriginalRecord(campaign, campaignType, cancelledReason)
+    return { applied: true }
+  }
+
+  // Put the source record's campaign status back to one that allows re-enrolment
+  async releaseOriginalRecord(campaign, campaignType, reason) {
+    try {
+      const mainCollection = getCollection(campaign.sourceDatabase, campaign.sourceCollection)
+      const objectId = await toObjectId(campaign.originalRecordId)
+      const record = await mainCollection.findOne({ _id: objectId }, { projection: { outreach: 1 } })
+
+      // General status follows the other channel if it's still running
+      const otherType = campaignType === "call" ? "email" : "call"
+      const otherStatus = record?.outreach?.[otherType]?.campaignStatus || "idle"
+
+      await mainCollection.updateOne(
+        { _id: objectId },
+        {
+          $set: {
+            [`outreach.${campaignType}.campaignStatus`]: this.controlConfig.CANCELLED_RECORD_STATUS,
+            [`outreach.${campaignType}.cancelledAt`]: new Date(),
+            [`outreach.${campaignType}.cancelledReason`]: reason,
+            [`outreach.${campaignType}.lastCampaignUpdate`]: new Date(),
+            "outreach.status": otherStatus === "processing" ? "processing" : "idle",
+            "outreach.lastUpdatedAt": new Date(),
+          },
+        },
+      )
+    } catch (error) {
+      console.error(chalk.red(`❌ Error releasing original record ${campaign.originalRecordId}:`), error.message)
+    }
+  }
+
+  // Apply an action to every selected campaign - returns what happened to each one
+  async controlCampaigns(action, campaignType, { trackingIds = null, userId = null, reason = null }) {
+    const campaigns = await this.findCampaigns(campaignType, { trackingIds, userId })
+    const results = []
+
+    for (const campaign of campaigns) {
+      let outcome
+      try {
+        if (action === "pause") {
+          outcome = await this.pauseCampaign(campaign, campaignType, reason)
+        } else if (action === "resume") {
+          outcome = await this.resumeCampaign(campaign, campaignType)
+        } else {
+          outcome = await this.cancelCampaign(campaign, campaignType, reason)
+        }
+      } catch (error) {
+        console.error(chalk.red(`❌ Error applying ${action} to campaign ${campaign._id}:`), error.message)
+        outcome = { applied: false, reason: error.message }
+      }
+
+      results.push({
+        trackingId: campaign._id.toString(),
+        businessName: campaign.recordData?.businessname || null,
+        userId: campaign.userId || null,
+        applied: outcome.applied,
+        reason: outcome.reason || null,
+      })
+    }
+
+    // trackingIds that didn't match a campaign
+    const found = new Set(results.map((result) => result.trackingId))
+    const notFound = (trackingIds || []).filter((trackingId) => !found.has(trackingId))
+
+    const applied = results.filter((result) => result.applied).length
+    if (applied > 0) {
+      const icons = { pause: "⏸️", resume: "▶️", cancel: "🛑" }
+      console.log(
+        chalk.yellow(`${icons[action]} ${action} applied to ${applied}/${results.length} ${campaignType} campaigns`),
+      )
+    }
+
+    return {
+      action: action,
+      campaignType: campaignType,
+      matched: results.length,
+      applied: applied,
+      results: results,
+      notFound: notFound,
+    }
+  }
+
+  // Validate new values for an attempt - scheduledAt is parsed as UK time, agentId mapped to the ElevenLabs ID.
+  // Adding an attempt needs both.
+  validateAttemptChanges(changes, requireAll = false) {
+    const errors = []
+    const warnings = []
+    const normalized = {}
+
+    for (const field of ["scheduledAt", "agentId"]) {
+      if (requireAll && (changes[field] === undefined || changes[field] === null)) {
+        errors.push(`${field} is required`)
+      }
+    }
+
+    if (!requireAll && changes.scheduledAt === undefined && changes.agentId === undefined) {
+      errors.push("scheduledAt and/or agentId is required")
+    }
+
+    if (changes.scheduledAt !== undefined && changes.scheduledAt !== null) {
+      const dateValidation =
+        typeof changes.scheduledAt === "string"
+          ? this.validationService.validateScheduledDate(changes.scheduledAt)
+          : { valid: false, error: "scheduledAt must be a date string" }
+
+      if (!dateValidation.valid) {
+        errors.push(dateValidation.error)
+      } else {
+        normalized.scheduledAt = dateValidation.parsedDate
+
+        // Outside the calling window is allowed, but the scheduler will defer it
+        const callingWindowService = this.validationService.callingWindowService
+        const windowCheck = callingWindowService.checkCallingWindow(dateValidation.parsedDate)
+        if (!windowCheck.allowed) {
+          const nextSlot = callingWindowService.getNextAllowedSlot(dateValidation.parsedDate)
+          warnings.push(
+            `${callingWindowService.formatUKTime(dateValidation.parsedDate)} is outside the calling window (${windowCheck.reason}) and will be deferred to ${callingWindowService.formatUKTime(nextSlot)} (UK)`,
+          )
+        }
+      }
+    }
+
+    if (changes.agentId !== undefined && changes.agentId !== null) {
+      const mappedAgentId =
+        typeof changes.agentId === "string" ? this.validationService.mapAgentId(changes.agentId) : null
+      if (!mappedAgentId) {
+        errors.push(`Invalid agentId "${changes.agentId}". Use the name or ID of an enabled agent in the registry`)
+      } else {
+        normalized.agentId = mappedAgentId
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors: errors,
+      warnings: warnings,
+      changes: normalized,
+    }
+  }
+
+  // Attempts that still count towards MAX_ATTEMPTS
+  countActiveAttempts(campaign) {
+    return campaign.campaignConfig.attempts.filter((attempt) => attempt.status !== "removed").length
+  }
+
+  // Attempts the scheduler still has to place or finish
+  countOpenAttempts(campaign) {
+    return campaign.campaignConfig.attempts.filter((attempt) =>
+      ["pending", "claimed", "in_progress", "deferred_budget"].includes(attempt.status),
+    ).length
+  }
+
+  // A call campaign whose attempts can still be edited - null when not found, { conflict } when finished
+  async getEditableCallCampaign(trackingId) {
+    const collection = this.getCollection("call")
+    const campaign = await collection.findOne({ _id: await toObjectId(trackingId) })
+
+    if (!campaign) {
+      return null
+    }
+    if (this.controlConfig.FINISHED_STATUSES.includes(campaign.overallStatus)) {
+      return { conflict: `Campaign is already ${campaign.overallStatus}` }
+    }
+    return { campaign }
+  }
+
+  // Change scheduledAt and/or agentId on a pending attempt
+  async updateAttempt(trackingId, attemptNumber, changes) {
+    const editable = await this.getEditableCallCampaign(trackingId)
+    if (!editable?.campaign) {
+      return editable
+    }
+
+    const { campaign } = editable
+    const attempt = campaign.campaignConfig.attempts[attemptNumber - 1]
+    if (!attempt) {
+      return null
+    }
+    if (attempt.status !== "pending") {
+      return { conflict: `Attempt ${attemptNumber} is ${attempt.status} - only pending attempts can be changed` }
+    }
+
+    const attemptPath = `campaignConfig.attempts.${attemptNumber - 1}`
+    const now = new Date()
+    const update = { [`${attemptPath}.updatedAt`]: now, updatedAt: now }
+
+    if (changes.scheduledAt) {
+      update[`${attemptPath}.scheduledAt`] = changes.scheduledAt
+      update[`${attemptPath}.rescheduledFrom`] = attempt.scheduledAt
+      update[`${attemptPath}.rescheduledAt`] = now
+      // The new time is what the user asked for - later deferrals start from it
+      update[`${attemptPath}.originalScheduledAt`] = null
+    }
+    if (changes.agentId) {
+      update[`${attemptPath}.agentId`] = changes.agentId
+    }
+
+    // Only while the attempt is still pending - the scheduler may have claimed it since we read it
+    const updated = await this.getCollection("call").findOneAndUpdate(
+      { _id: campaign._id, [`${attemptPath}.status`]: "pending" },
+      { $set: update },
+      { returnDocument: "after" },
+    )
+
+    if (!updated) {
+      return { conflict: `Attempt ${attemptNumber} was picked up by the scheduler - try again` }
+    }
+
+    console.log(chalk.blue(`✏️ Updated attempt ${attemptNumber} for ${campaign.recordData.businessname}`))
+    return { campaign: this.describeAttempts(updated) }
+  }
+
+  // Add a pending attempt at the end, up to MAX_ATTEMPTS (not counting removed ones)
+  async addAttempt(trackingId, changes) {
+    const editable = await this.getEditableCallCampaign(trackingId)
+    if (!editable?.campaign) {
+      return editable
+    }
+
+    const { campaign } = editable
+    const maxAttempts = OUTREACH_CONFIG.CALLS.MAX_ATTEMPTS
+    if (this.countActiveAttempts(campaign) >= maxAttempts) {
+      return { conflict: `Campaign already has the maximum of ${maxAttempts} attempts` }
+    }
+
+    const attempts = campaign.campaignConfig.attempts
+    const now = new Date()
+    const newAttempt = {
+      attemptNumber: attempts.length + 1,
+      agentId: changes.agentId,
+      scheduledAt: changes.scheduledAt,
+      status: "pending",
+      executedAt: null,
+      callResults: {},
+      addedAt: now,
+    }
+
+    // Calls already done - the campaign goes back to dialing and any follow-up email waits for the new attempt
+    const set = { updatedAt: now }
+    if (campaign.overallStatus === "calls_completed") {
+      set.overallStatus = "in_progress"
+    }
+
+    const updated = await this.getCollection("call").findOneAndUpdate(
+      {
+        _id: campaign._id,
+        overallStatus: campaign.overallStatus,
+        "campaignConfig.attempts": { $size: attempts.length },
+      },
+      {
+        $push: { "campaignConfig.attempts": newAttempt },
+        $set: set,
+        $inc: { "campaignConfig.maxAttempts": 1 },
+      },
+      { returnDocument: "after" },
+    )
+
+    if (!updated) {
+      return { conflict: "Campaign changed while adding the attempt - try again" }
+    }
+
+    console.log(chalk.blue(`➕ Added attempt ${newAttempt.attemptNumber} for ${campaign.recordData.businessname}`))
+    return { campaign: this.describeAttempts(updated), attemptNumber: newAttempt.attemptNumber }
+  }
+
+  // Remove a pending attempt - it stays in the array as "removed" so attempt numbers don't shift
+  async removeAttempt(trackingId, attemptNumber) {
+    const editable = await this.getEditableCallCampaign(trackingId)
+    if (!editable?.campaign) {
+      return editable
+    }
+
+    const { campaign } = editable
+    const attempt = campaign.campaignConfig.attempts[attemptNumber - 1]
+    if (!attempt) {
+      return null
+    }
+    if (attempt.status !== "pending") {
+      return { conflict: `Attempt ${attemptNumber} is ${attempt.status} - only pending attempts can be removed` }
+    }
+
+    const attemptPath = `campaignConfig.attempts.${attemptNumber - 1}`
+    const now = new Date()
+    const updated = await this.getCollection("call").findOneAndUpdate(
+      { _id: campaign._id, [`${attemptPath}.status`]: "pending" },
+      {
+        $set: { [`${attemptPath}.status`]: "removed", [`${attemptPath}.removedAt`]: now, updatedAt: now },
+        $inc: { "campaignConfig.maxAttempts": -1 },
+      },
+      { returnDocument: "after" },
+    )
+
+    if (!updated) {
+      return { conflict: `Attempt ${attemptNumber} was picked up by the scheduler - try again` }
+    }
+
+    console.log(chalk.yellow(`➖ Removed attempt ${attemptNumber} for ${campaign.recordData.businessname}`))
+    return { campaign: this.describeAttempts(updated), openAttempts: this.countOpenAttempts(updated) }
+  }
+
+  // Public view of a call campaign's attempts
+  describeAttempts(campaign) {
+    return {
+      trackingId: campaign._id.toString(),
+      businessName: campaign.recordData.businessname,
+      overallStatus: campaign.overallStatus,
+      activeAttempts: this.countActiveAttempts(campaign),
+      maxAttempts: OUTREACH_CONFIG.CALLS.MAX_ATTEMPTS,
+      attempts: campaign.campaignConfig.attempts.map((attempt) => ({
+        attemptNumber: attempt.attemptNumber,
+        status: attempt.status,
+        scheduledAt: attempt.scheduledAt,
+        agentId: attempt.agentId,
+        executedAt: attempt.executedAt || null,
+        rescheduledFrom: attempt.rescheduledFrom || null,
+        rescheduledAt: attempt.rescheduledAt || null,
+        addedAt: attempt.addedAt || null,
+        removedAt: attempt.removedAt || null,
+      })),
+    }
+  }
+}
+
+export default CampaignControlService
@@ -1,18 +1,32 @@
 import RecordCopyService from "./recordCopyService.js"
 import ValidationService from "./validationService.js"
+import PhoneNumberService from "./phoneNumberService.js"
+import ConversationTemplateService from "./conversationTemplateService.js"
 import { getCollection, toObjectId } from "../database/mongodb.js"
 import OUTREACH_CONFIG from "../config/constants.js"
 import chalk from "chalk"
 
 export class CampaignCreationService {
-  constructor() {
+  constructor(agentRegistry, suppressionService) {
     this.recordCopyService = new RecordCopyService()
-    this.validationService = new ValidationService()
+    this.validationService = new ValidationService(agentRegistry)
+    this.suppressionService = suppressionService
+    this.phoneNumberService = new PhoneNumberService(suppressionService)
+    this.conversationTemplateService = new ConversationTemplateService()
     this.trackingDbName = OUTREACH_CONFIG.DATABASE.TRACKING_DB_NAME
   }
 
   // Check if record is already in a campaign or processed (UPDATED for separate call/email tracking)
-  async checkRecordEligibility(recordId, databaseName, collectionName, campaignType = "call") {
+  // Call campaigns also get the record's dialable numbers - `requestedPhoneNumbers` overrides the record's own -
+  // and need a value for every required variable of the campaign's `conversationTemplate`
+  async checkRecordEligibility(
+    recordId,
+    databaseName,
+    collectionName,
+    campaignType = "call",
+    requestedPhoneNumbers = null,
+    conversationTemplate = null,
+  ) {
     try {
       // Check original record status
       const mainCollection = getCollection(databaseName, collectionName)
@@ -41,6 +55,16 @@ export class CampaignCreationService {
         console.log(chalk.blue(`📧 Record ${recordId} email campaign status: ${currentStatus}`))
       }
 
+      // The business asked for no further contact (captured from a call)
+      if (originalRecord.outreach?.optOut?.requested) {
+        return {
+          eligible: false,
+          reason: `Record opted out of further contact on ${new Date(originalRecord.outreach.optOut.requestedAt).toLocaleString("en-GB", { timeZone: "Europe/London" })}`,
+          status: currentStatus,
+          optedOut: true,
+        }
+      }
+
       // Check if already in active campaign for this specific type
       if (["processing", "in_progress", "scheduled"].includes(currentStatus)) {
         return {
@@ -72,6 +96,46 @@ export class CampaignCreationService {
         }
       }
 
+      // Never call a number that asked us to stop, or one found dead by an earlier campaign
+      let phoneNumbers = {}
+      if (campaignType === "call") {
+        const numbers = this.phoneNumberService.collectRecordNumbers(originalRecord, requestedPhoneNumbers)
+        const { usable, dropped } = await this.phoneNumberService.checkNumbers(numbers)
+
+        if (usable.length === 0) {
+          const suppressed = dropped.length > 0 && dropped.every((entry) => entry.suppressed)
+          const reason = suppressed
+            ? dropped[0].reason
+            : `No dialable phone numbers (${dropped.map((entry) => `${entry.number}: ${entry.reason}`).join("; ")})`
+          return {
+            eligible: false,
+            reason: numbers.length === 0 ? "Record has no phone number" : reason,
+            status: currentStatus,
+            suppressed: suppressed,
+            droppedPhoneNumbers: dropped,
+          }
+        }
+
+        phoneNumbers = { phoneNumbers: usable, droppedPhoneNumbers: dropped }
+      }
+
+      // Rendered from the same fields the campaign's snapshot of the record will hold
+      if (campaignType === "call" && conversationTemplate) {
+        const recordData = Object.fromEntries(
+          Object.entries(originalRecord).filter(([key]) => !["_id", "outreach"].includes(key)),
+        )
+        const { missing } = this.conversationTemplateService.renderVariables(conversationTemplate, recordData)
+
+        if (missing.length > 0) {
+          return {
+            eligible: false,
+            reason: `Record has no value for required dynamic variables: ${missing.join(", ")}`,
+            status: currentStatus,
+            missingVariables: missing,
+          }
+        }
+      }
+
       // UPDATED: Record is eligible regardless of other campaign types
       const generalStatus = originalRecord.outreach?.status || "idle"
       console.log(chalk.green(`✅ Record ${recordId} is eligible for ${campaignType} campaign`))
@@ -83,6 +147,7 @@ export class CampaignCreationService {
         reason: `Record is eligible for ${campaignType} campaign`,
         status: currentStatus,
         generalStatus: generalStatus,
+        ...phoneNumbers,
       }
     } catch (error) {
       console.error(chalk.red(`❌ Error checking record eligibility:`), error.message)
@@ -108,6 +173,18 @@ export class CampaignCreationService {
       const results = []
       const errors = []
       const skipped = []
+      const warnings = validation.warnings || []
+      const conversationTemplate = this.conversationTemplateService.buildTemplate(requestData.conversationTemplate)
+
+      // Drop suppressed addresses from the follow-up emails (the calls can still go ahead)
+      let allowedEmailAddresses = requestData.emailConfig?.emailAddresses || []
+      if (requestData.emailConfig?.enabled && allowedEmailAddresses.length > 0) {
+        const emailCheck = await this.suppressionService.filterEmails(allowedEmailAddresses)
+        allowedEmailAddresses = emailCheck.allowed
+        emailCheck.suppressed.forEach(({ email, reason }) => {
+          warnings.push(`Follow-up email to ${email} skipped: ${reason}`)
+        })
+      }
 
       // Process each record
       for (const record of requestData.records) {
@@ -115,7 +192,14 @@ export class CampaignCreationService {
           console.log(chalk.blue(`📋 Processing record: ${record.recordId}`))
 
           // Check if record is eligible (not already in call campaign)
-          const eligibility = await this.checkRecordEligibility(record.recordId, databaseName, collectionName, "call")
+          const eligibility = await this.checkRecordEligibility(
+            record.recordId,
+            databaseName,
+            collectionName,
+            "call",
+            record.phoneNumbers || null,
+            conversationTemplate,
+          )
 
           if (!eligibility.eligible) {
             console.log(chalk.yellow(`⏭️ Skipping record ${record.recordId}: ${eligibility.reason}`))
@@ -124,17 +208,24 @@ export class CampaignCreationService {
               reason: eligibility.reason,
               currentStatus: eligibility.status,
               existingCampaignId: eligibility.existingCampaignId || null,
+              suppressed: eligibility.suppressed || false,
+              droppedPhoneNumbers: eligibility.droppedPhoneNumbers || [],
+              missingVariables: eligibility.missingVariables || [],
             })
             continue
           }
 
+          eligibility.droppedPhoneNumbers.forEach(({ number, reason }) => {
+            warnings.push(`Record ${record.recordId}: ${number} won't be dialed - ${reason}`)
+          })
+
           // ENHANCED: Process email config with scheduling support
           let processedEmailConfig = { enabled: false }
 
           if (requestData.emailConfig && requestData.emailConfig.enabled) {
             processedEmailConfig = {
               enabled: true,
-              emailAddresses: requestData.emailConfig.emailAddresses || [],
+              emailAddresses: allowedEmailAddresses,
               sendAfterCalls: requestData.emailConfig.sendAfterCalls || false,
               // NEW: Support for scheduled emails
               scheduledAt: requestData.emailConfig.scheduledAt || null,
@@ -153,6 +244,11 @@ export class CampaignCreationService {
             maxAttempts: requestData.attempts.length,
             attempts: requestData.attempts,
             emailConfig: processedEmailConfig,
+            priority: requestData.priority || OUTREACH_CONFIG.PRIORITY.DEFAULT,
+            stopRules: requestData.stopRules || OUTREACH_CONFIG.STOP_RULES.DEFAULT,
+            phoneNumbers: this.phoneNumberService.buildCampaignNumbers(eligibility.phoneNumbers),
+            numberStrategy: requestData.numberStrategy || OUTREACH_CONFIG.PHONE_NUMBERS.DEFAULT_STRATEGY,
+            conversationTemplate: conversationTemplate,
           }
 
           // UPDATED: Update main record call campaign status FIRST (before copying to tracking)
@@ -178,6 +274,7 @@ export class CampaignCreationService {
             trackingId: copyResult.trackingId,
             businessName: copyResult.businessName,
             phoneNumber: copyResult.phoneNumber,
+            phoneNumbers: eligibility.phoneNumbers,
             status: "success",
             previousStatus: eligibility.status,
             emailsScheduled: processedEmailConfig.enabled && processedEmailConfig.scheduledAt ? true : false,
@@ -219,6 +316,7 @@ export class CampaignCreationService {
         results: results,
         errors: errors,
         skipped: skipped,
+        warnings: warnings,
       }
 
       console.log(chalk.green(`🎉 Call campaigns creation completed:`))
@@ -267,11 +365,27 @@ export class CampaignCreationService {
             continue
           }
 
+          // Only email addresses that aren't on the suppression list
+          const emailCheck = await this.suppressionService.filterEmails(record.emailAddresses)
+          if (emailCheck.allowed.length === 0) {
+            const reason = emailCheck.suppressed.map((entry) => entry.reason).join("; ")
+            console.log(chalk.yellow(`⏭️ Skipping record ${record.recordId}: ${reason}`))
+            skipped.push({
+              recordId: record.recordId,
+              reason: reason,
+              currentStatus: eligibility.status,
+              existingCampaignId: null,
+              suppressed: true,
+            })
+            continue
+          }
+
           // Prepare email config for this record
           const emailConfig = {
-            emailAddresses: record.emailAddresses,
+            emailAddresses: emailCheck.allowed,
             maxAttempts: OUTREACH_CONFIG.EMAILS.MAX_ATTEMPTS,
             scheduledAt: requestData.scheduledAt,
+            priority: requestData.priority || OUTREACH_CONFIG.PRIORITY.DEFAULT,
           }
 
           // UPDATED: Update main record EMAIL campaign status FIRST (before copying to tracking)
@@ -297,6 +411,7 @@ export class CampaignCreationService {
             trackingId: copyResult.trackingId,
             businessName: copyResult.businessName,
             emailAddresses: copyResult.emailAddresses,
+            suppressedEmails: emailCheck.suppressed,
             status: "success",
             previousStatus: eligibility.status,
           })
@@ -348,6 +463,18 @@ export class CampaignCreationService {
     }
   }
 
+  // Outcome of a call campaign's most recently finished attempt - its Kanban column
+  getLastOutcome(campaign) {
+    const finished = campaign.campaignConfig.attempts.filter((attempt) => attempt.outcome && attempt.executedAt)
+    if (finished.length === 0) {
+      return OUTREACH_CONFIG.OUTCOMES.NOT_CALLED
+    }
+
+    return finished.reduce((latest, attempt) =>
+      new Date(attempt.executedAt) >= new Date(latest.executedAt) ? attempt : latest,
+    ).outcome
+  }
+
   // Get campaign status by tracking IDs
   async getCampaignStatus(trackingIds = null, campaignType = "call") {
     try {
@@ -373,14 +500,33 @@ export class CampaignCreationService {
         statusCounts[status] = (statusCounts[status] || 0) + 1
       })
 
+      // Call campaigns also by the outcome of their latest attempt
+      const outcomeCounts = {}
+      if (campaignType === "call") {
+        for (const outcome of [...OUTREACH_CONFIG.OUTCOMES.TYPES, OUTREACH_CONFIG.OUTCOMES.NOT_CALLED]) {
+          outcomeCounts[outcome] = 0
+        }
+        campaigns.forEach((campaign) => {
+          const outcome = this.getLastOutcome(campaign)
+          outcomeCounts[outcome] = (outcomeCounts[outcome] || 0) + 1
+        })
+      }
+
       return {
         totalCampaigns: campaigns.length,
         statusCounts: statusCounts,
+        ...(campaignType === "call" ? { outcomeCounts: outcomeCounts } : {}),
         campaigns: campaigns.map((campaign) => ({
           trackingId: campaign._id.toString(),
           originalRecordId: campaign.originalRecordId,
           businessName: campaign.recordData.businessname,
+          userId: campaign.userId || null,
+          priority: campaign.priority || OUTREACH_CONFIG.PRIORITY.DEFAULT,
           overallStatus: campaign.overallStatus,
+          paused: campaign.paused || false,
+          pausedAt: campaign.pausedAt || null,
+          pausedReason: campaign.pausedReason || null,
+          cancelledReason: campaign.cancelledReason || null,
           createdAt: campaign.createdAt,
           updatedAt: campaign.updatedAt,
           completedAt: campaign.completedAt,
@@ -388,7 +534,51 @@ export class CampaignCreationService {
           ...(campaignType === "call"
             ? {
                 attemptsCompleted: campaign.campaignConfig.attempts.filter((a) => a.status === "completed").length,
-                totalAttempts: campaign.campaignConfig.attempts.length,
+                lastOutcome: this.getLastOutcome(campaign),
+                totalAttempts: campaign.campaignConfig.attempts.filter((a) => a.status !== "removed").length,
+                // Per-attempt agent details so the Kanban shows who actually dialed
+                attempts: campaign.campaignConfig.attempts.map((a) => ({
+                  attemptNumber: a.attemptNumber,
+                  status: a.status,
+                  scheduledAt: a.scheduledAt,
+                  executedAt: a.executedAt,
+                  agentId: a.agentId,
+                  agentUsed: a.agentUsed || null,
+                  agentUsedId: a.agentUsedId || null,
+                  // Deferrals out of the calling window, closed hours or the business's busy periods
+                  originalScheduledAt: a.originalScheduledAt || null,
+                  deferrals: a.deferrals || [],
+                  // Edits after creation (PATCH / POST / DELETE .../attempts)
+                  rescheduledFrom: a.rescheduledFrom || null,
+                  rescheduledAt: a.rescheduledAt || null,
+                  removedAt: a.removedAt || null,
+                  // Callbacks: tags include "callback_requested" on an attempt added because the business asked
+                  tags: a.tags || [],
+                  callbackFor: a.callbackFor || null,
+                  callbackRequest: a.callbackRequest || null,
+                  dialedNumber: a.dialedNumber || null,
+                  // The ElevenLabs phone number ID (from the agent's caller ID pool) the call was placed from
+                  callerPhoneNumberId: a.callerPhoneNumberId || null,
+                  // What the agent was told about the business (the campaign's conversation template, rendered)
+                  dynamicVariables: a.dynamicVariables || null,
+                  // Voicemail, no answer, busy... and the stop rule it triggered (why later attempts were skipped)
+                  outcome: a.outcome || null,
+                  outcomeReason: a.outcomeReason || null,
+                  retryFor: a.retryFor || null,
+                  stopRule: a.stopRule || null,
+                  skippedReason: a.skippedReason || null,
+                  // Data collected on the call (per the agent's mapping) and values that failed coercion
+                  collectedData: a.callResults?.collectedData || {},
+                  dataCollectionErrors: a.dataCollectionErrors || [],
+                  transcriptId: a.transcriptId || null,
+                  cost: a.cost || null,
+                  lease: a.lease || null,
+                  budgetDeferredReason: a.status === "deferred_budget" ? a.budgetDeferredReason : null,
+                })),
+                stopRules: campaign.campaignConfig.stopRules || OUTREACH_CONFIG.STOP_RULES.DEFAULT,
+                phoneNumbers: this.phoneNumberService.getCampaignNumbers(campaign),
+                numberStrategy: this.phoneNumberService.getStrategy(campaign),
+                conversationTemplate: this.conversationTemplateService.getTemplate(campaign),
                 emailEnabled: campaign.emailConfig.enabled,
                 emailScheduled: campaign.emailConfig.scheduledAt ? true : false,
               }
@@ -405,6 +595,40 @@ export class CampaignCreationService {
     }
   }
 
+  // Change a campaign's priority - takes effect on the scheduler's next run
+  async updateCampaignPriority(trackingId, campaignType, priority) {
+    try {
+      const collectionName =
+        campaignType === "call"
+          ? OUTREACH_CONFIG.DATABASE.CALL_CAMPAIGNS_COLLECTION
+          : OUTREACH_CONFIG.DATABASE.EMAIL_CAMPAIGNS_COLLECTION
+
+      const collection = getCollection(this.trackingDbName, collectionName)
+      const campaign = await collection.findOneAndUpdate(
+        { _id: await toObjectId(trackingId) },
+        { $set: { priority: priority, updatedAt: new Date() } },
+        { returnDocument: "after" },
+      )
+
+      if (!campaign) {
+        return null
+      }
+
+      console.log(
+        chalk.blue(`🔢 ${campaign.recordData.businessname} ${campaignType} campaign priority set to ${priority}`),
+      )
+      return {
+        trackingId: campaign._id.toString(),
+        businessName: campaign.recordData.businessname,
+        userId: campaign.userId || null,
+        priority: campaign.priority,
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ Error updating priority for campaign ${trackingId}:`), error.message)
+      throw error
+    }
+  }
+
   // Check record status in original database (UPDATED to show separate call/email status)
   async checkOriginalRecordStatus(recordId, databaseName, collectionName) {
     try {
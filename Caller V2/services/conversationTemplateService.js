@@ -0,0 +1,223 @@
+import OUTREACH_CONFIG from "../config/constants.js"
+
+// Conversation templates for call campaigns - what the agent is told about the business when the call starts.
+// A template is { variables, firstMessage?, language? }. Each variable maps a record field to an ElevenLabs dynamic
+// variable, either as a field path ("category", "contact.name") or { field, default?, format?, required? }:
+//   "street": { "field": "address", "format": "firstLine", "required": true }
+// A record whose required variables have no value (and no default) is skipped at campaign creation.
+export class ConversationTemplateService {
+  constructor() {
+    this.templateConfig = OUTREACH_CONFIG.CONVERSATION_TEMPLATE
+    this.variableNamePattern = /^[A-Za-z_][A-Za-z0-9_]*$/
+    this.placeholderPattern = /\{\{\s*([^}\s]+)\s*\}\}/g
+    this.languagePattern = /^[a-z]{2,3}([-_][A-Za-z]{2,4})?$/
+    this.postcodePattern = /^([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})$/
+  }
+
+  // Variable specs in their full form, defaults first
+  normalizeVariables(variables = {}) {
+    const specs = { ...this.templateConfig.DEFAULT_VARIABLES }
+
+    for (const [name, spec] of Object.entries(variables)) {
+      specs[name] = typeof spec === "string" ? { field: spec } : spec
+    }
+
+    return specs
+  }
+
+  // Stored shape of a campaign's template (null when the request didn't send one)
+  buildTemplate(template) {
+    if (!template) {
+      return null
+    }
+
+    return {
+      variables: this.normalizeVariables(template.variables),
+      firstMessage: template.firstMessage || null,
+      language: template.language || null,
+    }
+  }
+
+  // A campaign's template - campaigns created without one send the default variables only
+  getTemplate(campaign) {
+    return campaign.campaignConfig?.conversationTemplate || this.buildTemplate({})
+  }
+
+  // Validate a conversation template from a campaign request (optional)
+  validateTemplate(template) {
+    const errors = []
+
+    if (template === undefined || template === null) {
+      return { valid: true, errors: [] }
+    }
+
+    if (typeof template !== "object" || Array.isArray(template)) {
+      return { valid: false, errors: ["conversationTemplate must be an object"] }
+    }
+
+    const variables = template.variables ?? {}
+    if (typeof variables !== "object" || Array.isArray(variables)) {
+      errors.push("conversationTemplate.variables must map variable names to record fields")
+    } else {
+      if (Object.keys(variables).length > this.templateConfig.MAX_VARIABLES) {
+        errors.push(`conversationTemplate.variables can hold at most ${this.templateConfig.MAX_VARIABLES} variables`)
+      }
+
+      for (const [name, spec] of Object.entries(variables)) {
+        errors.push(...this.validateVariable(name, spec))
+      }
+    }
+
+    if (template.firstMessage !== undefined && template.firstMessage !== null) {
+      const maxLength = this.templateConfig.MAX_FIRST_MESSAGE_LENGTH
+      if (typeof template.firstMessage !== "string" || template.firstMessage.trim() === "") {
+        errors.push("conversationTemplate.firstMessage must be a non-empty string")
+      } else if (template.firstMessage.length > maxLength) {
+        errors.push(`conversationTemplate.firstMessage must be at most ${maxLength} characters`)
+      } else if (errors.length === 0) {
+        // ElevenLabs fills {{placeholders}} in the first message from the dynamic variables
+        const names = Object.keys(this.normalizeVariables(variables))
+        for (const [, placeholder] of template.firstMessage.matchAll(this.placeholderPattern)) {
+          if (!names.includes(placeholder) && !placeholder.startsWith("system__")) {
+            errors.push(`conversationTemplate.firstMessage uses {{${placeholder}}}, which isn't a template variable`)
+          }
+        }
+      }
+    }
+
+    if (template.language !== undefined && template.language !== null) {
+      if (typeof template.language !== "string" || !this.languagePattern.test(template.language)) {
+        errors.push('conversationTemplate.language must be a language code such as "en" or "pt-br"')
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors: errors,
+    }
+  }
+
+  validateVariable(name, spec) {
+    const label = `conversationTemplate.variables.${name}`
+
+    if (!this.variableNamePattern.test(name) || name.startsWith("system__")) {
+      return [`${label}: variable names are letters, digits and underscores, and may not start with system__`]
+    }
+
+    if (typeof spec === "string") {
+      return spec.trim() === "" ? [`${label} must name a record field`] : []
+    }
+
+    if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+      return [`${label} must be a record field or { field, default?, format?, required? }`]
+    }
+
+    const errors = []
+    if (typeof spec.field !== "string" || spec.field.trim() === "") {
+      errors.push(`${label}.field must name a record field`)
+    }
+    if (spec.default !== undefined && !["string", "number", "boolean"].includes(typeof spec.default)) {
+      errors.push(`${label}.default must be a string, number or boolean`)
+    }
+    if (spec.format !== undefined && !this.templateConfig.FORMATS.includes(spec.format)) {
+      errors.push(`${label}.format must be one of: ${this.templateConfig.FORMATS.join(", ")}`)
+    }
+    if (spec.required !== undefined && typeof spec.required !== "boolean") {
+      errors.push(`${label}.required must be a boolean`)
+    }
+    return errors
+  }
+
+  // Value at a dot path ("contact.website"); arrays of values are joined
+  getFieldValue(record, path) {
+    const value = path.split(".").reduce((current, key) => current?.[key], record)
+
+    if (Array.isArray(value)) {
+      const values = value.filter((item) => ["string", "number"].includes(typeof item))
+      return values.length > 0 ? values.join(", ") : null
+    }
+    return ["string", "number", "boolean"].includes(typeof value) ? value : null
+  }
+
+  // "SW1A1AA" -> "S W 1 A, 1 A A", so the agent reads it out rather than guessing at a word
+  toSpokenPostcode(value) {
+    const match = String(value).toUpperCase().trim().match(this.postcodePattern)
+    if (!match) {
+      return String(value).trim()
+    }
+
+    return `${match[1].split("").join(" ")}, ${match[2].split("").join(" ")}`
+  }
+
+  formatValue(value, format) {
+    if (!format || typeof value === "boolean") {
+      return typeof value === "string" ? value.trim() : value
+    }
+
+    const text = String(value).trim()
+    switch (format) {
+      case "firstLine":
+        return text.split(/[,\n]/)[0].trim()
+      case "spokenPostcode":
+        return this.toSpokenPostcode(text)
+      case "titleCase":
+        return text.toLowerCase().replace(/(^|[\s-])(\p{L})/gu, (_, separator, letter) => separator + letter.toUpperCase())
+      case "lowercase":
+        return text.toLowerCase()
+      case "uppercase":
+        return text.toUpperCase()
+      case "domain":
+        return text
+          .replace(/^[a-z]+:\/\//i, "")
+          .replace(/^www\./i, "")
+          .split(/[/?#]/)[0]
+          .toLowerCase()
+      default:
+        return text
+    }
+  }
+
+  // Dynamic variables for a record: { variables, missing } - missing lists required variables without a value
+  renderVariables(template, record) {
+    const variables = {}
+    const missing = []
+
+    for (const [name, spec] of Object.entries(template.variables)) {
+      const raw = this.getFieldValue(record, spec.field)
+      const value = raw === null ? null : this.formatValue(raw, spec.format)
+
+      if (value !== null && value !== "") {
+        variables[name] = value
+      } else if (spec.default !== undefined) {
+        variables[name] = spec.default
+      } else if (spec.required) {
+        missing.push(name)
+      }
+    }
+
+    return { variables, missing }
+  }
+
+  // ElevenLabs conversation_config_override for a template, or null when it overrides nothing
+  buildConfigOverride(template) {
+    const agentOverride = {}
+    if (template.firstMessage) {
+      agentOverride.first_message = template.firstMessage
+    }
+    if (template.language) {
+      agentOverride.language = template.language
+    }
+
+    return Object.keys(agentOverride).length > 0 ? { agent: agentOverride } : null
+  }
+
+  // What an attempt sends ElevenLabs when the call starts: { dynamicVariables, configOverride, missing }
+  buildConversationData(campaign) {
+    const template = this.getTemplate(campaign)
+    const { variables, missing } = this.renderVariables(template, campaign.recordData)
+
+    return { dynamicVariables: variables, configOverride: this.buildConfigOverride(template), missing }
+  }
+}
+
+export default ConversationTemplateService
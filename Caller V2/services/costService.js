@@ -0,0 +1,304 @@
+import { getCollection } from "../database/mongodb.js"
+import OUTREACH_CONFIG from "../config/constants.js"
+import chalk from "chalk"
+
+// Cost rollups over the `cost` stored on each call attempt, and budget caps per userId or agent.
+// Agent budgets are keyed by ElevenLabs agent ID, the same ID attempts record as agentUsedId.
+export class CostService {
+  constructor(agentRegistry) {
+    this.agentRegistry = agentRegistry
+    this.trackingDbName = OUTREACH_CONFIG.DATABASE.TRACKING_DB_NAME
+    this.callCampaignsCollection = OUTREACH_CONFIG.DATABASE.CALL_CAMPAIGNS_COLLECTION
+    this.budgetsCollection = OUTREACH_CONFIG.DATABASE.BUDGETS_COLLECTION
+    this.costConfig = OUTREACH_CONFIG.COSTS
+  }
+
+  // Initialize the budgets collection
+  async initialize() {
+    try {
+      const collection = getCollection(this.trackingDbName, this.budgetsCollection)
+      await collection.createIndex({ scope: 1, scopeId: 1 }, { unique: true })
+
+      const callCollection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+      await callCollection.createIndex({ "campaignConfig.attempts.cost.recordedAt": 1 })
+    } catch (error) {
+      console.error(chalk.red("❌ Error initializing budgets collection:"), error.message)
+      throw error
+    }
+  }
+
+  // Start of the budget period containing `now` (UK calendar - the server runs with TZ=Europe/London)
+  getPeriodStart(period, now = new Date()) {
+    if (period === "daily") {
+      return new Date(now.getFullYear(), now.getMonth(), now.getDate())
+    }
+    if (period === "monthly") {
+      return new Date(now.getFullYear(), now.getMonth(), 1)
+    }
+    return null
+  }
+
+  // Shared aggregation stages: one document per costed attempt, with the campaign's fields alongside
+  costedAttemptStages({ from = null, to = null, userId = null, agentId = null } = {}) {
+    const recordedAt = {}
+    if (from) recordedAt.$gte = from
+    if (to) recordedAt.$lt = to
+
+    const match = { "campaignConfig.attempts.cost": { $exists: true, $ne: null } }
+    if (Object.keys(recordedAt).length > 0) match["campaignConfig.attempts.cost.recordedAt"] = recordedAt
+    if (userId) match.userId = userId
+    if (agentId) match["campaignConfig.attempts.agentUsedId"] = agentId
+
+    return [{ $match: userId ? { userId } : {} }, { $unwind: "$campaignConfig.attempts" }, { $match: match }]
+  }
+
+  // Totals accumulated for every group
+  totalsGroupFields() {
+    return {
+      calls: { $sum: 1 },
+      credits: { $sum: { $ifNull: ["$campaignConfig.attempts.cost.credits", 0] } },
+      llmPrice: { $sum: { $ifNull: ["$campaignConfig.attempts.cost.llmPrice", 0] } },
+      totalTokens: { $sum: { $ifNull: ["$campaignConfig.attempts.cost.totalTokens", 0] } },
+      durationSecs: { $sum: { $ifNull: ["$campaignConfig.attempts.callResults.duration", 0] } },
+    }
+  }
+
+  // Roll costs up per campaign, userId, agent or UK day
+  async getCostRollup({ groupBy = "campaign", from = null, to = null, userId = null, agentId = null } = {}) {
+    const groupKeys = {
+      campaign: "$_id",
+      userId: "$userId",
+      // Keyed by agent ID like agent budgets, so renaming an agent doesn't split it and a shared name doesn't merge two
+      agent: "$campaignConfig.attempts.agentUsedId",
+      day: {
+        $dateToString: {
+          format: "%Y-%m-%d",
+          date: "$campaignConfig.attempts.cost.recordedAt",
+          timezone: "Europe/London",
+        },
+      },
+    }
+
+    const collection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+    const groups = await collection
+      .aggregate([
+        ...this.costedAttemptStages({ from, to, userId, agentId }),
+        {
+          $group: {
+            _id: groupKeys[groupBy],
+            ...this.totalsGroupFields(),
+            businessName: { $first: "$recordData.businessname" },
+            userId: { $first: "$userId" },
+            agentName: { $first: "$campaignConfig.attempts.agentUsed" },
+          },
+        },
+        { $sort: groupBy === "day" ? { _id: 1 } : { credits: -1 } },
+      ])
+      .toArray()
+
+    const rows = groups.map((group) => ({
+      key: group._id?.toString() ?? null,
+      ...(groupBy === "campaign" ? { businessName: group.businessName, userId: group.userId } : {}),
+      ...(groupBy === "agent" ? { agentName: group.agentName } : {}),
+      calls: group.calls,
+      credits: group.credits,
+      llmPrice: Math.round(group.llmPrice * 100000) / 100000,
+      totalTokens: group.totalTokens,
+      durationSecs: group.durationSecs,
+    }))
+
+    return {
+      groupBy: groupBy,
+      llmPriceCurrency: this.costConfig.LLM_PRICE_CURRENCY,
+      groups: rows,
+      totals: {
+        calls: rows.reduce((sum, row) => sum + row.calls, 0),
+        credits: rows.reduce((sum, row) => sum + row.credits, 0),
+        llmPrice: Math.round(rows.reduce((sum, row) => sum + row.llmPrice, 0) * 100000) / 100000,
+        totalTokens: rows.reduce((sum, row) => sum + row.totalTokens, 0),
+        durationSecs: rows.reduce((sum, row) => sum + row.durationSecs, 0),
+      },
+    }
+  }
+
+  // Spend for a budget in its current period
+  async getBudgetSpend(budget) {
+    const collection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+    const [spend] = await collection
+      .aggregate([
+        ...this.costedAttemptStages({
+          from: this.getPeriodStart(budget.period),
+          userId: budget.scope === "user" ? budget.scopeId : null,
+          agentId: budget.scope === "agent" ? budget.scopeId : null,
+        }),
+        { $group: { _id: null, ...this.totalsGroupFields() } },
+      ])
+      .toArray()
+
+    return {
+      calls: spend?.calls || 0,
+      credits: spend?.credits || 0,
+      llmPrice: spend?.llmPrice || 0,
+    }
+  }
+
+  // Has a budget's spend reached either of its caps?
+  isBudgetExhausted(budget, spend) {
+    return (
+      (budget.maxCredits !== null && budget.maxCredits !== undefined && spend.credits >= budget.maxCredits) ||
+      (budget.maxLlmPrice !== null && budget.maxLlmPrice !== undefined && spend.llmPrice >= budget.maxLlmPrice)
+    )
+  }
+
+  // Why a budget stopped dialing
+  describeExhaustion(budget, spend) {
+    const label = budget.scope === "user" ? `userId ${budget.scopeId}` : `agent ${budget.scopeName || budget.scopeId}`
+    return `${budget.period} budget for ${label} reached (${spend.credits}/${budget.maxCredits ?? "∞"} credits, ${Math.round(spend.llmPrice * 100) / 100}/${budget.maxLlmPrice ?? "∞"} ${this.costConfig.LLM_PRICE_CURRENCY} LLM)`
+  }
+
+  // Which userIds and agents are over budget right now - { exhaustedUsers, exhaustedAgents } maps to reasons
+  async getBudgetCheck() {
+    const exhaustedUsers = new Map()
+    const exhaustedAgents = new Map()
+
+    try {
+      const collection = getCollection(this.trackingDbName, this.budgetsCollection)
+      const budgets = await collection.find({ enabled: { $ne: false } }).toArray()
+
+      for (const budget of budgets) {
+        const spend = await this.getBudgetSpend(budget)
+        if (!this.isBudgetExhausted(budget, spend)) {
+          continue
+        }
+
+        const reason = this.describeExhaustion(budget, spend)
+        if (budget.scope === "user") {
+          exhaustedUsers.set(budget.scopeId, reason)
+        } else {
+          exhaustedAgents.set(budget.scopeId, reason)
+        }
+      }
+    } catch (error) {
+      console.error(chalk.red("❌ Error checking budgets:"), error.message)
+    }
+
+    return { exhaustedUsers, exhaustedAgents }
+  }
+
+  // Resolve the stored key for a budget scope (agents can be named by registry ID, name or ElevenLabs agent ID)
+  resolveScopeId(scope, scopeId) {
+    if (scope !== "agent") {
+      return { scopeId, scopeName: null }
+    }
+
+    const agent = this.agentRegistry.findAgent(scopeId)
+    return agent ? { scopeId: agent.agentId, scopeName: agent.name } : null
+  }
+
+  // Validate a budget from a request body
+  validateBudgetData(scope, data) {
+    const errors = []
+
+    if (!this.costConfig.BUDGET_SCOPES.includes(scope)) {
+      errors.push(`scope must be one of: ${this.costConfig.BUDGET_SCOPES.join(", ")}`)
+    }
+
+    if (!this.costConfig.BUDGET_PERIODS.includes(data.period)) {
+      errors.push(`period must be one of: ${this.costConfig.BUDGET_PERIODS.join(", ")}`)
+    }
+
+    for (const field of ["maxCredits", "maxLlmPrice"]) {
+      if (data[field] !== undefined && data[field] !== null && (typeof data[field] !== "number" || data[field] < 0)) {
+        errors.push(`${field} must be a non-negative number`)
+      }
+    }
+
+    if ((data.maxCredits ?? null) === null && (data.maxLlmPrice ?? null) === null) {
+      errors.push("maxCredits and/or maxLlmPrice is required")
+    }
+
+    if (data.enabled !== undefined && typeof data.enabled !== "boolean") {
+      errors.push("enabled must be a boolean")
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors: errors,
+    }
+  }
+
+  // Create or replace the budget for a userId or agent
+  async setBudget(scope, scopeId, data) {
+    const resolved = this.resolveScopeId(scope, scopeId)
+    if (!resolved) {
+      return null
+    }
+
+    const collection = getCollection(this.trackingDbName, this.budgetsCollection)
+    const filter = { scope, scopeId: resolved.scopeId }
+
+    await collection.updateOne(
+      filter,
+      {
+        $set: {
+          scopeName: resolved.scopeName,
+          period: data.period,
+          maxCredits: data.maxCredits ?? null,
+          maxLlmPrice: data.maxLlmPrice ?? null,
+          enabled: data.enabled ?? true,
+          updatedAt: new Date(),
+        },
+        $setOnInsert: { createdAt: new Date() },
+      },
+      { upsert: true },
+    )
+
+    const budget = await collection.findOne(filter)
+    console.log(chalk.green(`✅ Set ${budget.period} budget for ${scope} ${resolved.scopeName || resolved.scopeId}`))
+    return await this.describeBudget(budget)
+  }
+
+  // Remove the budget for a userId or agent
+  async deleteBudget(scope, scopeId) {
+    const resolved = this.resolveScopeId(scope, scopeId) || { scopeId }
+    const collection = getCollection(this.trackingDbName, this.budgetsCollection)
+
+    const budget = await collection.findOne({ scope, scopeId: resolved.scopeId })
+    if (!budget) {
+      return null
+    }
+
+    await collection.deleteOne({ _id: budget._id })
+    console.log(chalk.yellow(`🗑️ Removed budget for ${scope} ${budget.scopeName || budget.scopeId}`))
+    return { scope: budget.scope, scopeId: budget.scopeId, scopeName: budget.scopeName }
+  }
+
+  // Every budget with its current spend
+  async listBudgets() {
+    const collection = getCollection(this.trackingDbName, this.budgetsCollection)
+    const budgets = await collection.find({}).sort({ scope: 1, scopeId: 1 }).toArray()
+    return await Promise.all(budgets.map((budget) => this.describeBudget(budget)))
+  }
+
+  // Public view of a budget, including spend so far this period
+  async describeBudget(budget) {
+    const spend = await this.getBudgetSpend(budget)
+    return {
+      scope: budget.scope,
+      scopeId: budget.scopeId,
+      scopeName: budget.scopeName || null,
+      period: budget.period,
+      periodStart: this.getPeriodStart(budget.period),
+      maxCredits: budget.maxCredits,
+      maxLlmPrice: budget.maxLlmPrice,
+      llmPriceCurrency: this.costConfig.LLM_PRICE_CURRENCY,
+      enabled: budget.enabled !== false,
+      spend: spend,
+      exhausted: budget.enabled !== false && this.isBudgetExhausted(budget, spend),
+      createdAt: budget.createdAt,
+      updatedAt: budget.updatedAt,
+    }
+  }
+}
+
+export default CostService
@@ -0,0 +1,210 @@
+import OUTREACH_CONFIG from "../config/constants.js"
+import chalk from "chalk"
+
+// Applies an agent's data collection mapping to ElevenLabs data_collection_results.
+// A mapping is a list of field specs:
+//   { id, aliases?, keywords?, type, values? (enum), coercion?: "lenient" | "strict",
+//     trueValues?, falseValues?, maxLength?, recordPath?, attemptPath? }
+// recordPath is a dot path on the source record, attemptPath a dot path relative to the tracking attempt.
+export class DataCollectionService {
+  constructor() {
+    this.dataCollectionConfig = OUTREACH_CONFIG.DATA_COLLECTION
+    this.defaultTrueValues = ["true", "yes", "y", "1"]
+    this.defaultFalseValues = ["false", "no", "n", "0"]
+  }
+
+  // The mapping an agent's results are stored with (registry entry first, then the default)
+  getMappingForAgent(agent) {
+    return agent?.dataCollection?.length > 0 ? agent.dataCollection : this.dataCollectionConfig.DEFAULT_MAPPING
+  }
+
+  // Validate a mapping from an agent registry request
+  validateMapping(mapping) {
+    const errors = []
+
+    if (!Array.isArray(mapping)) {
+      return { valid: false, errors: ["dataCollection must be an array of field mappings"] }
+    }
+
+    const isStringArray = (value) => Array.isArray(value) && value.every((item) => typeof item === "string")
+    const isPath = (value) => typeof value === "string" && /^[A-Za-z_][\w]*(\.[A-Za-z_][\w]*)*$/.test(value)
+    const isReserved = (path, reserved) => reserved.some((root) => path === root || path.startsWith(`${root}.`))
+
+    mapping.forEach((spec, index) => {
+      const label = `dataCollection[${index}]`
+
+      if (!spec || typeof spec !== "object") {
+        errors.push(`${label} must be an object`)
+        return
+      }
+
+      if (typeof spec.id !== "string" || spec.id.trim() === "") {
+        errors.push(`${label}.id must be a non-empty string`)
+      }
+
+      if (!this.dataCollectionConfig.TYPES.includes(spec.type)) {
+        errors.push(`${label}.type must be one of: ${this.dataCollectionConfig.TYPES.join(", ")}`)
+      }
+
+      if (spec.type === "enum" && (!isStringArray(spec.values) || spec.values.length === 0)) {
+        errors.push(`${label}.values must list the allowed values for an enum`)
+      }
+
+      if (spec.coercion !== undefined && !["lenient", "strict"].includes(spec.coercion)) {
+        errors.push(`${label}.coercion must be "lenient" or "strict"`)
+      }
+
+      for (const field of ["aliases", "keywords", "trueValues", "falseValues"]) {
+        if (spec[field] !== undefined && !isStringArray(spec[field])) {
+          errors.push(`${label}.${field} must be an array of strings`)
+        }
+      }
+
+      if (spec.maxLength !== undefined && (!Number.isInteger(spec.maxLength) || spec.maxLength < 1)) {
+        errors.push(`${label}.maxLength must be a positive integer`)
+      }
+
+      if (!spec.recordPath && !spec.attemptPath) {
+        errors.push(`${label} needs a recordPath and/or an attemptPath`)
+      }
+
+      if (spec.recordPath !== undefined) {
+        if (!isPath(spec.recordPath)) {
+          errors.push(`${label}.recordPath must be a dot path like outreach.posVendor`)
+        } else if (isReserved(spec.recordPath, this.dataCollectionConfig.RESERVED_RECORD_PATHS)) {
+          errors.push(`${label}.recordPath ${spec.recordPath} is reserved`)
+        }
+      }
+
+      if (spec.attemptPath !== undefined) {
+        if (!isPath(spec.attemptPath)) {
+          errors.push(`${label}.attemptPath must be a dot path like dataCollection.posVendor`)
+        } else if (isReserved(spec.attemptPath, this.dataCollectionConfig.RESERVED_ATTEMPT_PATHS)) {
+          errors.push(`${label}.attemptPath ${spec.attemptPath} is reserved`)
+        }
+      }
+    })
+
+    const ids = mapping.map((spec) => spec?.id)
+    if (new Set(ids).size !== ids.length) {
+      errors.push("dataCollection ids must be unique")
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors: errors,
+    }
+  }
+
+  // Find the raw result for a spec: by id, then aliases, then any result ID containing a keyword
+  extractValue(dataCollectionResults, spec) {
+    const unwrap = (result) => (result && typeof result === "object" && "value" in result ? result.value : result)
+
+    for (const field of [spec.id, ...(spec.aliases || [])]) {
+      if (dataCollectionResults[field] !== undefined) {
+        return { field, raw: unwrap(dataCollectionResults[field]) }
+      }
+    }
+
+    for (const [field, result] of Object.entries(dataCollectionResults)) {
+      if ((spec.keywords || []).some((keyword) => field.toLowerCase().includes(keyword.toLowerCase()))) {
+        return { field, raw: unwrap(result) }
+      }
+    }
+
+    return { field: null, raw: undefined }
+  }
+
+  // Coerce a raw value to the spec's type - returns { ok, value } or { ok: false, error }
+  coerceValue(raw, spec) {
+    const strict = spec.coercion === "strict"
+    const fail = (error) => ({ ok: false, error })
+
+    switch (spec.type) {
+      case "boolean": {
+        if (typeof raw === "boolean") return { ok: true, value: raw }
+        if (strict) return fail(`expected a boolean, got ${typeof raw}`)
+
+        const text = String(raw).trim().toLowerCase()
+        if ((spec.trueValues || this.defaultTrueValues).includes(text)) return { ok: true, value: true }
+        if ((spec.falseValues || this.defaultFalseValues).includes(text)) return { ok: true, value: false }
+        return fail(`"${raw}" is not a recognised yes/no value`)
+      }
+
+      case "number": {
+        if (typeof raw === "number" && Number.isFinite(raw)) return { ok: true, value: raw }
+        if (strict) return fail(`expected a number, got ${typeof raw}`)
+
+        const value = Number(String(raw).replace(/[£$€,\s]/g, ""))
+        return Number.isFinite(value) ? { ok: true, value } : fail(`"${raw}" is not a number`)
+      }
+
+      case "string": {
+        if (typeof raw !== "string" && (strict || typeof raw === "object")) {
+          return fail(`expected a string, got ${typeof raw}`)
+        }
+
+        const value = String(raw).trim()
+        if (spec.maxLength && value.length > spec.maxLength) {
+          return strict
+            ? fail(`longer than ${spec.maxLength} characters`)
+            : { ok: true, value: value.slice(0, spec.maxLength) }
+        }
+        return { ok: true, value }
+      }
+
+      case "date": {
+        if (strict && !(typeof raw === "string" && /^\d{4}-\d{2}-\d{2}/.test(raw))) {
+          return fail(`expected an ISO date, got "${raw}"`)
+        }
+
+        const value = new Date(raw)
+        return isNaN(value.getTime()) ? fail(`"${raw}" is not a date`) : { ok: true, value }
+      }
+
+      case "enum": {
+        if (spec.values.includes(raw)) return { ok: true, value: raw }
+        if (strict) return fail(`"${raw}" is not one of ${spec.values.join(", ")}`)
+
+        const text = String(raw).trim().toLowerCase()
+        const value = spec.values.find((allowed) => allowed.toLowerCase() === text)
+        return value !== undefined ? { ok: true, value } : fail(`"${raw}" is not one of ${spec.values.join(", ")}`)
+      }
+
+      default:
+        return fail(`unknown type ${spec.type}`)
+    }
+  }
+
+  // Apply a mapping to a conversation's data collection results
+  applyMapping(dataCollectionResults = {}, mapping = this.dataCollectionConfig.DEFAULT_MAPPING) {
+    const fields = {}
+    const recordUpdates = {}
+    const attemptUpdates = {}
+    const errors = []
+
+    for (const spec of mapping) {
+      const { field, raw } = this.extractValue(dataCollectionResults || {}, spec)
+
+      // Not collected on this call - leave whatever the record already holds
+      if (raw === undefined || raw === null || raw === "") {
+        continue
+      }
+
+      const coerced = this.coerceValue(raw, spec)
+      if (!coerced.ok) {
+        console.log(chalk.yellow(`⚠️ Data collection ${spec.id} (${field}): ${coerced.error}`))
+        errors.push({ id: spec.id, field, raw, expectedType: spec.type, error: coerced.error })
+        continue
+      }
+
+      fields[spec.id] = coerced.value
+      if (spec.recordPath) recordUpdates[spec.recordPath] = coerced.value
+      if (spec.attemptPath) attemptUpdates[spec.attemptPath] = coerced.value
+    }
+
+    return { fields, recordUpdates, attemptUpdates, errors }
+  }
+}
+
+export default DataCollectionService
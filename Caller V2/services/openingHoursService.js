@@ -0,0 +1,199 @@
+import OUTREACH_CONFIG from "../config/constants.js"
+
+// Understands the opening-hours shapes our scrapers produce and the per-category quiet periods.
+// All times are minutes since UK midnight (the server runs with TZ=Europe/London).
+export class OpeningHoursService {
+  constructor() {
+    this.businessHoursConfig = OUTREACH_CONFIG.CALLS.BUSINESS_HOURS
+    this.dayNames = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"]
+    this.dayPrefixes = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"]
+  }
+
+  // "12:00", "9", "9am", "5.30pm", "12:30 PM" -> minutes since midnight
+  parseClockTime(value) {
+    const text = String(value).trim().toLowerCase()
+
+    if (text === "noon") return 12 * 60
+    if (text === "midnight") return 0
+
+    const match = text.match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/)
+    if (!match) {
+      return null
+    }
+
+    let hours = Number.parseInt(match[1])
+    const minutes = match[2] ? Number.parseInt(match[2]) : 0
+
+    if (match[3] === "pm" && hours < 12) hours += 12
+    if (match[3] === "am" && hours === 12) hours = 0
+
+    if (hours > 24 || minutes > 59) {
+      return null
+    }
+
+    return hours * 60 + minutes
+  }
+
+  // "12:00-14:30, 17:00 – 22:00" / "Closed" / "Open 24 hours" -> [[start, end], ...]
+  parseIntervals(value) {
+    if (Array.isArray(value)) {
+      return value.flatMap((item) => this.parseIntervals(item) || [])
+    }
+
+    if (value && typeof value === "object") {
+      const start = this.parseClockTime(value.open ?? value.start ?? "")
+      const end = this.parseClockTime(value.close ?? value.end ?? "")
+      return start === null || end === null ? [] : [[start, end <= start ? 24 * 60 : end]]
+    }
+
+    const text = String(value || "").trim().toLowerCase()
+    if (!text) return null
+    if (text.includes("closed")) return []
+    if (text.includes("24 hours")) return [[0, 24 * 60]]
+
+    const intervals = []
+    for (const part of text.split(/[,;]/)) {
+      const [startText, endText] = part.split(/\s*[-–—]\s*|\s+to\s+/)
+      if (!startText || !endText) continue
+
+      const start = this.parseClockTime(startText)
+      const end = this.parseClockTime(endText)
+      if (start === null || end === null) continue
+
+      // Closing after midnight counts as open until the end of the day
+      intervals.push([start, end <= start ? 24 * 60 : end])
+    }
+
+    return intervals.length > 0 ? intervals : null
+  }
+
+  // "Monday", "mon", "Mon-Fri", "Monday to Friday" -> [1, 2, 3, 4, 5]
+  parseDays(text) {
+    const days = String(text)
+      .toLowerCase()
+      .split(/\s*[-–—]\s*|\s+to\s+/)
+      .map((part) => this.dayPrefixes.indexOf(part.trim().slice(0, 3)))
+
+    if (days.some((day) => day === -1)) {
+      return []
+    }
+
+    if (days.length === 2) {
+      const range = []
+      for (let day = days[0]; ; day = (day + 1) % 7) {
+        range.push(day)
+        if (day === days[1] || range.length > 7) break
+      }
+      return range
+    }
+
+    return days
+  }
+
+  // Build { dayIndex: [[start, end], ...] } from a record, or null when there is no usable data
+  getOpeningHours(recordData) {
+    const field = this.businessHoursConfig.OPENING_HOURS_FIELDS.find((name) => recordData?.[name])
+    if (!field) {
+      return null
+    }
+
+    const raw = recordData[field]
+    const schedule = {}
+
+    const addLine = (dayText, hoursValue) => {
+      const intervals = this.parseIntervals(hoursValue)
+      if (intervals === null) return
+      this.parseDays(dayText).forEach((day) => {
+        schedule[day] = intervals
+      })
+    }
+
+    if (typeof raw === "string" || Array.isArray(raw)) {
+      // Lines like "Monday: 12:00 – 22:00" (Google-style weekday text)
+      const lines = Array.isArray(raw) ? raw : raw.split(/\n|;|\|/)
+      lines.forEach((line) => {
+        const separator = String(line).indexOf(":")
+        if (separator === -1) return
+        addLine(String(line).slice(0, separator), String(line).slice(separator + 1))
+      })
+    } else if (raw && typeof raw === "object") {
+      // { monday: "12:00-22:00", tue: ["12:00-14:00", "17:00-22:00"], ... }
+      Object.entries(raw).forEach(([dayText, hoursValue]) => addLine(dayText, hoursValue))
+    }
+
+    return Object.keys(schedule).length > 0 ? schedule : null
+  }
+
+  // Quiet periods for the record's category (restaurants at lunch and dinner service, etc.)
+  getQuietPeriods(recordData) {
+    const categoryText = [recordData?.category, recordData?.subcategory]
+      .filter(Boolean)
+      .join(" ")
+      .toLowerCase()
+
+    if (!categoryText) {
+      return []
+    }
+
+    return Object.entries(this.businessHoursConfig.QUIET_PERIODS)
+      .filter(([keyword]) => categoryText.includes(keyword))
+      .flatMap(([keyword, periods]) =>
+        periods.map((period) => ({
+          category: keyword,
+          label: period.label,
+          start: this.parseClockTime(period.start),
+          end: this.parseClockTime(period.end),
+        })),
+      )
+  }
+
+  // Is this a good moment to call the business? Returns the reason and the next moment worth trying if not
+  checkBusinessTiming(date, recordData) {
+    const minutes = date.getHours() * 60 + date.getMinutes()
+    const startOfDay = new Date(date.getFullYear(), date.getMonth(), date.getDate())
+    const atMinutes = (value) => new Date(startOfDay.getTime() + value * 60 * 1000)
+    const nextDay = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)
+
+    const quietPeriod = this.getQuietPeriods(recordData).find(
+      (period) => minutes >= period.start && minutes < period.end,
+    )
+    if (quietPeriod) {
+      return {
+        allowed: false,
+        reason: `${quietPeriod.category} ${quietPeriod.label} (${this.formatMinutes(quietPeriod.start)}-${this.formatMinutes(quietPeriod.end)})`,
+        retryAt: atMinutes(quietPeriod.end),
+      }
+    }
+
+    if (this.businessHoursConfig.RESPECT_OPENING_HOURS) {
+      const openingHours = this.getOpeningHours(recordData)
+      const todaysHours = openingHours?.[date.getDay()]
+
+      if (todaysHours && todaysHours.length === 0) {
+        return { allowed: false, reason: `business closed on ${this.dayNames[date.getDay()]}`, retryAt: nextDay }
+      }
+
+      if (todaysHours && !todaysHours.some(([start, end]) => minutes >= start && minutes < end)) {
+        const laterOpening = todaysHours
+          .map(([start]) => start)
+          .filter((start) => start > minutes)
+          .sort((a, b) => a - b)[0]
+
+        return {
+          allowed: false,
+          reason: "outside business opening hours",
+          retryAt: laterOpening !== undefined ? atMinutes(laterOpening) : nextDay,
+        }
+      }
+    }
+
+    return { allowed: true, reason: null }
+  }
+
+  // 750 -> "12:30"
+  formatMinutes(value) {
+    return `${String(Math.floor(value / 60)).padStart(2, "0")}:${String(value % 60).padStart(2, "0")}`
+  }
+}
+
+export default OpeningHoursService
@@ -0,0 +1,97 @@
+import OUTREACH_CONFIG from "../config/constants.js"
+
+// Classifies a finished call attempt into one of OUTCOMES.TYPES.
+// Uses the call status and error, ElevenLabs' termination reason, the call duration, how many times the other end
+// spoke (transcript turns) and data collection fields, falling back to the transcript summary.
+export class OutcomeService {
+  constructor() {
+    this.outcomesConfig = OUTREACH_CONFIG.OUTCOMES
+    this.truthyValues = OUTREACH_CONFIG.OPT_OUT.TRUTHY_VALUES
+    this.busyPattern = /\bbusy\b|\bengaged\b|line in use/i
+    this.noAnswerPattern = /no[-_ ]?answer|unanswered|not answered|did not pick up|didn't pick up/i
+    this.voicemailPattern =
+      /voice ?mail|answer(ing)? ?machine|answerphone|machine[-_ ]detect|leave (a|your) message|after the (tone|beep)/i
+    this.wrongNumberPattern =
+      /wrong (number|business|person|company)|no (one|body) (here )?(by|called|named) that name|not the right (number|business)/i
+    this.refusedPattern = /not interested|declined|refused|no,? thank(s| you)|don't call|do not call|hung up on/i
+  }
+
+  // A data collection value that means "yes" - direct, or { value } as ElevenLabs sends it
+  isTruthy(result) {
+    const value = result && typeof result === "object" && "value" in result ? result.value : result
+    return value === true || (typeof value === "string" && this.truthyValues.includes(value.trim().toLowerCase()))
+  }
+
+  // First of `fields` flagged in the data collection results
+  findFlaggedField(dataCollectionResults, fields) {
+    return fields.find((field) => this.isTruthy(dataCollectionResults[field])) || null
+  }
+
+  // { outcome, reason } for a finished attempt's call results
+  classify(callResults) {
+    const dataCollectionResults = callResults.dataCollectionResults || {}
+    const terminationReason = callResults.terminationReason || ""
+    const summary = callResults.transcriptSummary || ""
+    const duration = callResults.callDuration ?? null
+    const userTurns = callResults.userTurns ?? null
+
+    // The call never connected (initiation failure, timeout, recovery) - the error says why
+    if (!["done", "completed"].includes(callResults.status)) {
+      const failureText = `${callResults.error || ""} ${terminationReason}`
+      if (this.busyPattern.test(failureText)) {
+        return { outcome: "busy", reason: `Line busy (${failureText.trim()})` }
+      }
+      if (this.noAnswerPattern.test(failureText)) {
+        return { outcome: "no_answer", reason: `Not answered (${failureText.trim()})` }
+      }
+      if (this.voicemailPattern.test(failureText)) {
+        return { outcome: "voicemail", reason: `Voicemail (${failureText.trim()})` }
+      }
+      return { outcome: "technical_failure", reason: failureText.trim() || `Call ${callResults.status || "failed"}` }
+    }
+
+    const voicemailField = this.findFlaggedField(dataCollectionResults, this.outcomesConfig.VOICEMAIL_FIELDS)
+    if (voicemailField) {
+      return { outcome: "voicemail", reason: `${voicemailField} flagged` }
+    }
+    if (this.voicemailPattern.test(terminationReason)) {
+      return { outcome: "voicemail", reason: `Termination reason: ${terminationReason}` }
+    }
+
+    // Connected, but nobody spoke - or too short for anyone to have
+    const nobodySpoke = userTurns === 0
+    const tooShort = duration !== null && duration <= this.outcomesConfig.NO_ANSWER_MAX_SECONDS
+    if (!callResults.callSuccessful && (nobodySpoke || (userTurns === null && tooShort))) {
+      return { outcome: "no_answer", reason: nobodySpoke ? "Nobody spoke on the call" : `Call lasted ${duration}s` }
+    }
+
+    if (this.voicemailPattern.test(summary) && !callResults.callSuccessful) {
+      return { outcome: "voicemail", reason: "Summary mentions voicemail" }
+    }
+
+    const wrongNumberField = this.findFlaggedField(dataCollectionResults, this.outcomesConfig.WRONG_NUMBER_FIELDS)
+    if (wrongNumberField) {
+      return { outcome: "wrong_number", reason: `${wrongNumberField} flagged` }
+    }
+    if (this.wrongNumberPattern.test(summary)) {
+      return { outcome: "wrong_number", reason: "Summary mentions a wrong number" }
+    }
+
+    if (!callResults.callSuccessful) {
+      if (callResults.optOut?.requested) {
+        return { outcome: "refused", reason: `Opted out (${callResults.optOut.field})` }
+      }
+      const refusedField = this.findFlaggedField(dataCollectionResults, this.outcomesConfig.REFUSED_FIELDS)
+      if (refusedField) {
+        return { outcome: "refused", reason: `${refusedField} flagged` }
+      }
+      if (this.refusedPattern.test(summary)) {
+        return { outcome: "refused", reason: "Summary says they declined" }
+      }
+    }
+
+    return { outcome: "answered_human", reason: callResults.callSuccessful ? "Call successful" : "Spoke to someone" }
+  }
+}
+
+export default OutcomeService
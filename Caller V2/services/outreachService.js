@@ -1,26 +1,61 @@
 import { getCollection, toObjectId } from "../database/mongodb.js"
 import axios from "axios"
+import DataCollectionService from "./dataCollectionService.js"
+import PhoneNormalizationService from "./phoneNormalizationService.js"
+import CallerIdService from "./callerIdService.js"
+import OUTREACH_CONFIG from "../config/constants.js"
 import chalk from "chalk"
 
 export class OutreachService {
-  constructor(elevenLabsConfig, geminiConfig, zapierConfig) {
-    this.elevenLabsConfig = elevenLabsConfig
+  constructor(agentRegistry, geminiConfig, zapierConfig) {
+    this.agentRegistry = agentRegistry
     this.geminiConfig = geminiConfig
     this.zapierConfig = zapierConfig
+    this.dataCollectionService = new DataCollectionService()
+    this.phoneNormalizationService = new PhoneNormalizationService()
+    this.callerIdService = new CallerIdService()
   }
 
-  // Determine which agent to use based on attempt number
-  getAgentForAttempt(attemptNumber) {
-    // Attempt 1 & 3: Agent 1, Attempt 2 & 4: Agent 2
-    const useAgent1 = attemptNumber === 1 || attemptNumber === 3
-    const agentConfig = useAgent1 ? this.elevenLabsConfig.agent1 : this.elevenLabsConfig.agent2
-    const agentName = useAgent1 ? "Agent 1" : "Agent 2"
+  // Determine which agent to use - the agent chosen for the attempt, otherwise rotate across enabled agents by
+  // attempt number. A chosen agent that is disabled or deleted throws (agentUnavailable) rather than being replaced.
+  getAgentForAttempt(attemptNumber, agentId = null) {
+    const enabledAgents = this.agentRegistry.getEnabledAgents()
+    if (enabledAgents.length === 0) {
+      throw new Error("No enabled agents in the agent registry")
+    }
+
+    let agent = agentId ? this.agentRegistry.findAgent(agentId) : null
+
+    if (agentId && !agent?.enabled) {
+      const error = new Error(`Agent ${agentId} chosen for this attempt is disabled or no longer in the agent registry`)
+      error.agentUnavailable = true
+      throw error
+    }
 
-    console.log(chalk.blue(`🤖 Using ${agentName} for attempt ${attemptNumber}`))
+    if (!agent) {
+      agent = enabledAgents[(attemptNumber - 1) % enabledAgents.length]
+    }
+
+    console.log(chalk.blue(`🤖 Using ${agent.name} (${agent.agentId}) for attempt ${attemptNumber}`))
 
     return {
-      config: agentConfig,
-      name: agentName,
+      config: this.agentRegistry.toAgentConfig(agent),
+      name: agent.name,
+      agent: agent,
+    }
+  }
+
+  // Look up the agent that placed a call (even if since disabled) to read its conversations
+  getAgentById(agentId) {
+    const agent = this.agentRegistry.findAgent(agentId)
+    if (!agent) {
+      throw new Error(`Agent ${agentId} is not in the agent registry`)
+    }
+
+    return {
+      config: this.agentRegistry.toAgentConfig(agent),
+      name: agent.name,
+      agent: agent,
     }
   }
 
@@ -45,40 +80,53 @@ export class OutreachService {
     return true
   }
 
-  // Format phone number to E.164 format
-  formatPhoneNumber(phoneNumber) {
-    // Convert to string and remove any non-digits
-    let cleaned = phoneNumber.toString().replace(/\D/g, "")
-
-    // If it doesn't start with country code, assume UK (+44)
-    if (!cleaned.startsWith("44") && cleaned.length <= 11) {
-      // Remove leading 0 if present and add UK country code
-      if (cleaned.startsWith("0")) {
-        cleaned = "44" + cleaned.substring(1)
-      } else {
-        cleaned = "44" + cleaned
-      }
+  // Initiate call using Eleven Labs with agent selection
+  async initiateCall(phoneNumber, businessName, attemptNumber = 1, agentId = null) {
+    const agent = this.getAgentForAttempt(attemptNumber, agentId)
+    const callerId = await this.callerIdService.selectCallerId(
+      agent.agent,
+      this.agentRegistry.getPhoneNumberPool(agent.agent),
+    )
+    if (!callerId.phoneNumberId) {
+      throw new Error(callerId.reason)
     }
 
-    return "+" + cleaned
+    try {
+      return await this.initiateCallWithAgent(phoneNumber, businessName, agent, callerId.phoneNumberId)
+    } catch (error) {
+      await this.callerIdService.release(callerId)
+      throw error
+    }
   }
 
-  // Initiate call using Eleven Labs with agent selection
-  async initiateCall(phoneNumber, businessName, attemptNumber = 1) {
-    try {
-      const agent = this.getAgentForAttempt(attemptNumber)
+  // Initiate call through a specific agent, from one of its caller IDs (its phoneNumberId by default).
+  // conversationData carries the campaign's rendered dynamic variables and config override - without it the agent
+  // only gets the business name.
+  async initiateCallWithAgent(phoneNumber, businessName, agent, callerPhoneNumberId = null, conversationData = null) {
+    const agentPhoneNumberId = callerPhoneNumberId || agent.config.phoneNumberId
+    const clientData = {
+      dynamic_variables: conversationData?.dynamicVariables || {
+        businessName: businessName || "valued business partner",
+      },
+    }
+    if (conversationData?.configOverride) {
+      clientData.conversation_config_override = conversationData.configOverride
+    }
 
-      console.log(chalk.blue(`📞 Initiating call to ${phoneNumber} for ${businessName} using ${agent.name}`))
+    try {
+      console.log(
+        chalk.blue(
+          `📞 Initiating call to ${phoneNumber} for ${businessName} using ${agent.name} (caller ID ${agentPhoneNumberId})`,
+        ),
+      )
 
       const response = await axios.post(
         "https://api.elevenlabs.io/v1/convai/twilio/outbound-call",
         {
           agent_id: agent.config.agentId,
-          agent_phone_number_id: agent.config.phoneNumberId,
+          agent_phone_number_id: agentPhoneNumberId,
           to_number: phoneNumber,
-          dynamicVariables: {
-            businessName: businessName || "valued business partner",
-          },
+          conversation_initiation_client_data: clientData,
         },
         {
           headers: {
@@ -94,7 +142,10 @@ export class OutreachService {
         callSid: response.data.callSid,
         conversationId: response.data.conversation_id,
         agentUsed: agent.name,
+        agentUsedId: agent.config.agentId,
         agentConfig: agent.config,
+        callerPhoneNumberId: agentPhoneNumberId,
+        dynamicVariables: clientData.dynamic_variables,
       }
     } catch (error) {
       console.error(chalk.red(`❌ Error initiating call for ${businessName}:`), error.response?.data || error.message)
@@ -102,111 +153,259 @@ export class OutreachService {
     }
   }
 
-  // FIXED: Properly parse partnership data from nested object structure
-  parsePartnershipData(dataCollectionResults) {
-    let isPartneredWithInfinityClub = null
+  // Should a failed initiation be retried through another agent? (401, 429, 5xx or no response)
+  isFailoverError(error) {
+    const healthConfig = OUTREACH_CONFIG.AGENTS.HEALTH
+    const statusCode = error.response?.status
 
-    // Method 1: Direct boolean value
-    if (typeof dataCollectionResults.isTheRestaurantPartneredWithInfinityClub === "boolean") {
-      isPartneredWithInfinityClub = dataCollectionResults.isTheRestaurantPartneredWithInfinityClub
-      console.log(chalk.blue(`🤝 Partnership status found (direct): ${isPartneredWithInfinityClub}`))
-    }
-    // Method 2: Object with value property (MOST COMMON)
-    else if (
-      dataCollectionResults.isTheRestaurantPartneredWithInfinityClub &&
-      typeof dataCollectionResults.isTheRestaurantPartneredWithInfinityClub === "object" &&
-      dataCollectionResults.isTheRestaurantPartneredWithInfinityClub.value !== undefined
-    ) {
-      isPartneredWithInfinityClub = dataCollectionResults.isTheRestaurantPartneredWithInfinityClub.value
-      console.log(chalk.blue(`🤝 Partnership status found: ${isPartneredWithInfinityClub}`))
+    if (!statusCode) {
+      return true
     }
-    // Method 3: Search through all keys for partnership-related data
-    else {
-      for (const [key, value] of Object.entries(dataCollectionResults)) {
-        const keyLower = key.toLowerCase()
-        if (keyLower.includes("partner") || keyLower.includes("infinity")) {
-          if (typeof value === "boolean") {
-            isPartneredWithInfinityClub = value
-            console.log(chalk.blue(`🤝 Partnership status found: ${isPartneredWithInfinityClub}`))
-            break
-          } else if (value && typeof value === "object" && value.value !== undefined) {
-            isPartneredWithInfinityClub = value.value
-            console.log(chalk.blue(`🤝 Partnership status found: ${isPartneredWithInfinityClub}`))
-            break
-          }
-        }
+
+    return (
+      healthConfig.FAILOVER_STATUS_CODES.includes(statusCode) ||
+      (healthConfig.FAILOVER_ON_SERVER_ERRORS && statusCode >= 500)
+    )
+  }
+
+  // Initiate call with automatic failover - the attempt's agent first, then every other healthy enabled agent.
+  // Each agent calls from a number picked out of its caller ID pool (callContext.originalRecordId for sticky), with
+  // callContext.conversationData from the campaign's conversation template.
+  async initiateCallWithFailover(
+    phoneNumber,
+    businessName,
+    attemptNumber = 1,
+    agentId = null,
+    budgetExhaustedAgents = null,
+    busyAgents = null,
+    callContext = {},
+  ) {
+    const preferred = this.getAgentForAttempt(attemptNumber, agentId)
+    const candidates = [
+      preferred.agent,
+      ...this.agentRegistry.getEnabledAgents().filter((agent) => agent.agentId !== preferred.agent.agentId),
+    ]
+
+    const agentsTried = []
+    let lastError = null
+    let skippedForBudget = 0
+    let skippedAsBusy = 0
+    let skippedAtCallerIdCap = 0
+
+    for (const candidate of candidates) {
+      if (budgetExhaustedAgents?.has(candidate.agentId)) {
+        console.log(chalk.yellow(`💸 Skipping ${candidate.name} - ${budgetExhaustedAgents.get(candidate.agentId)}`))
+        skippedForBudget++
+        continue
       }
-    }
 
-    // Final validation - ensure it's a boolean
-    if (isPartneredWithInfinityClub !== null && typeof isPartneredWithInfinityClub !== "boolean") {
-      console.log(chalk.yellow(`⚠️ Converting partnership value to boolean`))
-      if (typeof isPartneredWithInfinityClub === "string") {
-        const lowerValue = isPartneredWithInfinityClub.toLowerCase()
-        if (lowerValue === "true" || lowerValue === "yes") {
-          isPartneredWithInfinityClub = true
-        } else if (lowerValue === "false" || lowerValue === "no") {
-          isPartneredWithInfinityClub = false
-        } else {
-          isPartneredWithInfinityClub = null
-        }
-      } else {
-        isPartneredWithInfinityClub = null
+      if (busyAgents?.has(candidate.agentId)) {
+        console.log(chalk.yellow(`🚦 Skipping ${candidate.name} - ${busyAgents.get(candidate.agentId)}`))
+        skippedAsBusy++
+        continue
       }
-    }
 
-    return isPartneredWithInfinityClub
-  }
+      if (!this.agentRegistry.isAgentHealthy(candidate)) {
+        console.log(chalk.yellow(`🧊 Skipping ${candidate.name} - cooling down after recent errors`))
+        continue
+      }
 
-  // Wait for call completion and get results (FIXED partnership data parsing)
-  async waitForCallCompletion(conversationId, agentConfig, maxWaitTime = 400) {
-    const startTime = Date.now()
-    const pollInterval = 10000 // 10 seconds
-    let callCompleted = false
-    let conversationDetails = null
+      const callerId = await this.callerIdService.selectCallerId(
+        candidate,
+        this.agentRegistry.getPhoneNumberPool(candidate),
+        callContext,
+      )
+      if (!callerId.phoneNumberId) {
+        console.log(chalk.yellow(`📵 Skipping ${candidate.name} - ${callerId.reason}`))
+        skippedAtCallerIdCap++
+        continue
+      }
 
-    console.log(chalk.cyan(`⏰ Monitoring call ${conversationId}...`))
+      const agent = {
+        config: this.agentRegistry.toAgentConfig(candidate),
+        name: candidate.name,
+        agent: candidate,
+      }
 
-    while (!callCompleted && Date.now() - startTime < maxWaitTime * 1000) {
       try {
-        const response = await axios.get(`https://api.elevenlabs.io/v1/convai/conversations/${conversationId}`, {
-          headers: {
-            "xi-api-key": agentConfig.apiKey,
-          },
+        const callInitResult = await this.initiateCallWithAgent(
+          phoneNumber,
+          businessName,
+          agent,
+          callerId.phoneNumberId,
+          callContext.conversationData,
+        )
+
+        await this.agentRegistry.recordCallResult(candidate, true)
+        agentsTried.push({
+          agentName: candidate.name,
+          agentId: candidate.agentId,
+          callerPhoneNumberId: callerId.phoneNumberId,
+          success: true,
+          statusCode: null,
+          error: null,
+          triedAt: new Date(),
         })
 
-        conversationDetails = response.data
+        return { ...callInitResult, callerIdStrategy: callerId.strategy, agentsTried }
+      } catch (error) {
+        // The call was never placed - it doesn't count against the number's daily cap
+        await this.callerIdService.release(callerId)
 
-        if (conversationDetails.status === "done" || conversationDetails.status === "failed") {
-          callCompleted = true
-          console.log(chalk.green(`✅ Call completed with status: ${conversationDetails.status}`))
-        } else {
-          await new Promise((resolve) => setTimeout(resolve, pollInterval))
+        const statusCode = error.response?.status || null
+        const errorMessage = error.response?.data?.detail?.message || error.response?.data?.message || error.message
+
+        await this.agentRegistry.recordCallResult(candidate, false, statusCode, errorMessage)
+        agentsTried.push({
+          agentName: candidate.name,
+          agentId: candidate.agentId,
+          callerPhoneNumberId: callerId.phoneNumberId,
+          success: false,
+          statusCode: statusCode,
+          error: errorMessage,
+          triedAt: new Date(),
+        })
+
+        lastError = error
+
+        if (!this.isFailoverError(error)) {
+          break
         }
-      } catch (pollError) {
-        console.log(chalk.yellow(`⚠️ Polling error, retrying...`))
-        await new Promise((resolve) => setTimeout(resolve, pollInterval))
+
+        console.log(chalk.yellow(`🔀 ${candidate.name} failed (${statusCode || "no response"}), failing over...`))
       }
     }
 
-    if (!callCompleted) {
-      console.error(chalk.red(`❌ Call monitoring timeout after ${maxWaitTime} seconds`))
-      throw new Error(`Call did not complete within ${maxWaitTime} seconds`)
+    if (!lastError && skippedForBudget === candidates.length) {
+      lastError = new Error("No agents within budget - every enabled agent has reached its budget")
+      lastError.budgetExhausted = true
+    } else if (!lastError && skippedAtCallerIdCap > 0) {
+      lastError = new Error("No caller IDs left - every available agent's numbers are disabled or at their daily cap")
+      lastError.callerIdsExhausted = true
+    } else if (!lastError && skippedAsBusy > 0) {
+      lastError = new Error("No agents with room for another call - every available agent is at its call limit")
+      lastError.agentsBusy = true
+    } else if (!lastError) {
+      lastError = new Error("No healthy agents available - every enabled agent is cooling down")
+      lastError.noHealthyAgents = true
+    }
+
+    lastError.agentsTried = agentsTried
+    throw lastError
+  }
+
+  // Fetch the current state of a conversation from ElevenLabs
+  async getConversationDetails(conversationId, agentConfig) {
+    const response = await axios.get(`https://api.elevenlabs.io/v1/convai/conversations/${conversationId}`, {
+      headers: {
+        "xi-api-key": agentConfig.apiKey,
+      },
+    })
+
+    return response.data
+  }
+
+  // A conversation is finished once ElevenLabs reports it as done or failed
+  isConversationFinished(conversationDetails) {
+    return conversationDetails?.status === "done" || conversationDetails?.status === "failed"
+  }
+
+  // Did the business ask not to be contacted again? Looks at the configured opt-out data collection fields
+  parseOptOutData(dataCollectionResults) {
+    const optOutConfig = OUTREACH_CONFIG.OPT_OUT
+    if (!optOutConfig.ENABLED) {
+      return { requested: false, field: null, value: null }
+    }
+
+    for (const field of optOutConfig.DATA_COLLECTION_FIELDS) {
+      const result = dataCollectionResults[field]
+      if (result === undefined || result === null) {
+        continue
+      }
+
+      // Direct value, or { value, rationale } as ElevenLabs sends it
+      const value = typeof result === "object" && "value" in result ? result.value : result
+      const requested =
+        value === true || (typeof value === "string" && optOutConfig.TRUTHY_VALUES.includes(value.trim().toLowerCase()))
+
+      if (requested) {
+        console.log(chalk.red(`🛑 Opt-out requested (${field}: ${value})`))
+      }
+
+      return { requested, field, value: value ?? null, rationale: result?.rationale || null }
+    }
+
+    return { requested: false, field: null, value: null }
+  }
+
+  // Extract what ElevenLabs charged for a call: credits, LLM spend and token usage per model
+  parseCostData(conversationDetails) {
+    const metadata = conversationDetails.metadata || {}
+    const charging = metadata.charging || {}
+
+    if (metadata.cost === undefined && charging.llm_price === undefined) {
+      return null
+    }
+
+    // Irreversible generation is what was billed; initiated generation is the fallback for older payloads
+    const llmUsage = charging.llm_usage || {}
+    const modelUsage =
+      llmUsage.irreversible_generation?.model_usage || llmUsage.initiated_generation?.model_usage || {}
+
+    // Model names contain dots (gemini-2.0-flash), so usage is stored as a list rather than keyed by model
+    const models = Object.entries(modelUsage).map(([model, usage]) => {
+      const parts = [usage.input, usage.input_cache_read, usage.input_cache_write, usage.output_total]
+      return {
+        model: model,
+        inputTokens: usage.input?.tokens || 0,
+        inputCacheReadTokens: usage.input_cache_read?.tokens || 0,
+        inputCacheWriteTokens: usage.input_cache_write?.tokens || 0,
+        outputTokens: usage.output_total?.tokens || 0,
+        price: parts.reduce((sum, part) => sum + (part?.price || 0), 0),
+      }
+    })
+
+    return {
+      credits: metadata.cost ?? null,
+      llmPrice: charging.llm_price ?? null,
+      llmPriceCurrency: OUTREACH_CONFIG.COSTS.LLM_PRICE_CURRENCY,
+      tier: charging.tier || null,
+      models: models,
+      totalTokens: models.reduce(
+        (sum, usage) =>
+          sum + usage.inputTokens + usage.inputCacheReadTokens + usage.inputCacheWriteTokens + usage.outputTokens,
+        0,
+      ),
+      recordedAt: new Date(),
     }
+  }
 
-    // Extract and parse partnership data
+  // Extract call results from a finished conversation (shared by webhook, reconciler and polling)
+  // `agent` is the registry entry that placed the call - its data collection mapping decides what is stored
+  parseConversationResults(conversationDetails, conversationId = conversationDetails.conversation_id, agent = null) {
+    // Extract data collection results and apply the agent's mapping
     const analysisData = conversationDetails.analysis || {}
     const dataCollectionResults = analysisData.data_collection_results || {}
-    const isPartneredWithInfinityClub = this.parsePartnershipData(dataCollectionResults)
+    const mappedData = this.dataCollectionService.applyMapping(
+      dataCollectionResults,
+      this.dataCollectionService.getMappingForAgent(agent),
+    )
+    const optOut = this.parseOptOutData(dataCollectionResults)
 
     const callSuccessful =
       conversationDetails.call_successful === true ||
       analysisData.call_successful === "success" ||
       conversationDetails.analysis?.call_successful === "success"
 
+    // How many times the other end spoke - null when the payload has no transcript
+    const transcript = Array.isArray(conversationDetails.transcript) ? conversationDetails.transcript : null
+    const userTurns = transcript
+      ? transcript.filter((turn) => turn.role === "user" && String(turn.message || "").trim() !== "").length
+      : null
+
     console.log(
       chalk.green(
-        `✅ Call completed: ${callSuccessful ? "Success" : "Failed"}, Duration: ${conversationDetails.metadata?.call_duration_secs || "N/A"}s, Partnership: ${isPartneredWithInfinityClub}`,
+        `✅ Call completed: ${callSuccessful ? "Success" : "Failed"}, Duration: ${conversationDetails.metadata?.call_duration_secs || "N/A"}s, Data: ${JSON.stringify(mappedData.fields)}`,
       ),
     )
 
@@ -215,13 +414,50 @@ export class OutreachService {
       callSuccessful: callSuccessful,
       transcriptSummary: conversationDetails.transcript_summary || analysisData.transcript_summary,
       callDuration: conversationDetails.metadata?.call_duration_secs,
-      isPartneredWithInfinityClub: isPartneredWithInfinityClub,
+      terminationReason: conversationDetails.metadata?.termination_reason || null,
+      userTurns: userTurns,
+      mappedData: mappedData,
       dataCollectionResults: dataCollectionResults,
+      optOut: optOut,
+      cost: this.parseCostData(conversationDetails),
       conversationId: conversationId,
       fullAnalysis: analysisData,
     }
   }
 
+  // Wait for call completion by polling (only used for immediate, non-scheduled outreach)
+  async waitForCallCompletion(conversationId, agentConfig, maxWaitTime = 400, agent = null) {
+    const startTime = Date.now()
+    const pollInterval = 10000 // 10 seconds
+    let callCompleted = false
+    let conversationDetails = null
+
+    console.log(chalk.cyan(`⏰ Monitoring call ${conversationId}...`))
+
+    while (!callCompleted && Date.now() - startTime < maxWaitTime * 1000) {
+      try {
+        conversationDetails = await this.getConversationDetails(conversationId, agentConfig)
+
+        if (this.isConversationFinished(conversationDetails)) {
+          callCompleted = true
+          console.log(chalk.green(`✅ Call completed with status: ${conversationDetails.status}`))
+        } else {
+          await new Promise((resolve) => setTimeout(resolve, pollInterval))
+        }
+      } catch (pollError) {
+        console.log(chalk.yellow(`⚠️ Polling error, retrying...`))
+        await new Promise((resolve) => setTimeout(resolve, pollInterval))
+      }
+    }
+
+    if (!callCompleted) {
+      console.error(chalk.red(`❌ Call monitoring timeout after ${maxWaitTime} seconds`))
+      throw new Error(`Call did not complete within ${maxWaitTime} seconds`)
+    }
+
+    return this.parseConversationResults(conversationDetails, conversationId, agent)
+  }
+
   // Generate personalized email using Gemini (independent, not follow-up)
   async generatePersonalizedEmail(businessName) {
     try {
@@ -382,7 +618,7 @@ Infinity Club`,
 
       console.log(chalk.magenta(`📊 Updating record with:`))
       console.log(chalk.white(`   Call Status: ${lastCallStatus}`))
-      console.log(chalk.white(`   🤝 Partnership Status: ${callResults.isPartneredWithInfinityClub}`))
+      console.log(chalk.white(`   📋 Collected Data: ${JSON.stringify(callResults.mappedData?.fields || {})}`))
       console.log(chalk.white(`   Emails Sent: ${emailResults?.totalSent || 0}/${emailResults?.totalAttempted || 0}`))
       console.log(chalk.white(`   Overall Status: ${outreachStatus}`))
 
@@ -393,8 +629,7 @@ Infinity Club`,
           $set: {
             "outreach.status": outreachStatus,
             "outreach.lastUpdatedAt": new Date(),
-            "outreach.alignment.status": callResults.isPartneredWithInfinityClub, // Store partnership status
-            "outreach.alignment.lastCheckedAt": new Date(), // When we last checked partnership
+            ...(callResults.mappedData?.recordUpdates || {}), // Collected data, per the agent's mapping
             "outreach.call.isActive": false,
             "outreach.call.lastCallAt": new Date(),
             "outreach.call.lastCallDuration": callResults.callDuration,
@@ -521,9 +756,13 @@ Infinity Club`,
 
       // Only add from main record fields if contactInfo is empty
       if (contactInfo.phoneNumbers.length === 0 && record.phonenumber) {
-        const formattedPhone = this.formatPhoneNumber(record.phonenumber)
-        contactInfo.phoneNumbers.push(formattedPhone)
-        console.log(chalk.blue(`📱 Added phone number from record.phonenumber: ${formattedPhone}`))
+        const phoneCheck = this.phoneNormalizationService.normalize(record.phonenumber)
+        if (phoneCheck.valid) {
+          contactInfo.phoneNumbers.push(phoneCheck.e164)
+          console.log(chalk.blue(`📱 Added phone number from record.phonenumber: ${phoneCheck.e164}`))
+        } else {
+          console.log(chalk.yellow(`⚠️ Not using record.phonenumber: ${phoneCheck.reason}`))
+        }
       }
 
       if (contactInfo.emails.length === 0 && record.email) {
@@ -564,14 +803,27 @@ Infinity Club`,
         }
       }
 
-      const phoneNumber = this.formatPhoneNumber(phoneNumbers[0])
+      // First number we may dial, in contactInfo order
+      const phoneNumber = phoneNumbers.map((number) => this.phoneNormalizationService.toE164(number)).find(Boolean)
+      if (!phoneNumber) {
+        return {
+          success: false,
+          reason: "No valid phone numbers in contactInfo",
+          recordId: record._id,
+        }
+      }
       console.log(chalk.blue(`📱 Using phone number from contactInfo: ${phoneNumber}`))
 
       // Initiate call with attempt number for agent selection
       const callInitResult = await this.initiateCall(phoneNumber, record.businessname, attemptNumber)
 
       // Wait for call completion with the correct agent config
-      const callResults = await this.waitForCallCompletion(callInitResult.conversationId, callInitResult.agentConfig)
+      const callResults = await this.waitForCallCompletion(
+        callInitResult.conversationId,
+        callInitResult.agentConfig,
+        400,
+        this.agentRegistry.findAgent(callInitResult.agentUsedId),
+      )
 
       // Generate personalized email (independent, not follow-up)
       const emailData = await this.generatePersonalizedEmail(record.businessname)
@@ -668,7 +920,6 @@ Infinity Club`,
           callSuccessful: false,
           status: "failed",
           error: error.message,
-          isPartneredWithInfinityClub: null,
           dataCollectionResults: {},
         }
 
@@ -686,7 +937,7 @@ Infinity Club`,
           record._id,
           failedCallResults,
           null,
-          record.phonenumber ? this.formatPhoneNumber(record.phonenumber) : null,
+          this.phoneNormalizationService.toE164Loose(record.phonenumber),
           null,
           contactInfo,
         )
@@ -0,0 +1,77 @@
+import { parsePhoneNumberFromString } from "libphonenumber-js/max"
+import OUTREACH_CONFIG from "../config/constants.js"
+
+// Phone number parsing for the dialer, suppression list and number health.
+// Numbers without a country code are read in DEFAULT_REGION ("020 7946 0018" -> +442079460018), while
+// international ones keep theirs ("+353 1 234 5678" stays Irish). Types come from libphonenumber's full metadata.
+export class PhoneNormalizationService {
+  constructor(defaultRegion = OUTREACH_CONFIG.PHONE_NUMBERS.DEFAULT_REGION) {
+    this.defaultRegion = defaultRegion
+    this.numbersConfig = OUTREACH_CONFIG.PHONE_NUMBERS
+    // libphonenumber types -> ours
+    this.types = {
+      MOBILE: "mobile",
+      FIXED_LINE: "landline",
+      FIXED_LINE_OR_MOBILE: "landline",
+      PREMIUM_RATE: "premium",
+      TOLL_FREE: "non_geographic",
+      SHARED_COST: "non_geographic",
+      UAN: "non_geographic",
+      VOIP: "non_geographic",
+      PERSONAL_NUMBER: "non_geographic",
+    }
+  }
+
+  parse(phoneNumber, region = this.defaultRegion) {
+    const text = String(phoneNumber ?? "").trim()
+    if (!text) {
+      return null
+    }
+
+    // "0044..." is the UK way of dialing out - libphonenumber only understands "+"
+    return parsePhoneNumberFromString(text.replace(/^00(?=[1-9])/, "+"), region) || null
+  }
+
+  // Parse and validate a number for dialing.
+  // Returns { valid: true, e164, type, country } or { valid: false, e164, type, reason }.
+  normalize(phoneNumber, region = this.defaultRegion) {
+    const parsed = this.parse(phoneNumber, region)
+    if (!parsed) {
+      const reason = String(phoneNumber ?? "").trim() ? `Not a phone number: "${phoneNumber}"` : "No phone number"
+      return { valid: false, e164: null, type: null, country: null, reason }
+    }
+
+    if (!parsed.isValid()) {
+      return {
+        valid: false,
+        e164: parsed.number,
+        type: null,
+        country: parsed.country || null,
+        reason: `Invalid phone number: ${parsed.number}`,
+      }
+    }
+
+    const type = this.types[parsed.getType()] || "other"
+    const result = { valid: true, e164: parsed.number, type, country: parsed.country || null }
+
+    if (this.numbersConfig.REJECTED_TYPES.includes(type)) {
+      const label = type === "premium" ? "premium-rate" : type.replace("_", "-")
+      return { ...result, valid: false, reason: `${parsed.number} is a ${label} number` }
+    }
+
+    return result
+  }
+
+  // E.164 for a number we may dial, or null
+  toE164(phoneNumber, region = this.defaultRegion) {
+    const result = this.normalize(phoneNumber, region)
+    return result.valid ? result.e164 : null
+  }
+
+  // E.164 whether or not the number is valid - for matching (suppressions, health), never for dialing
+  toE164Loose(phoneNumber, region = this.defaultRegion) {
+    return this.parse(phoneNumber, region)?.number || null
+  }
+}
+
+export default PhoneNormalizationService
@@ -0,0 +1,265 @@
+import { getCollection } from "../database/mongodb.js"
+import OUTREACH_CONFIG from "../config/constants.js"
+import PhoneNormalizationService from "./phoneNormalizationService.js"
+import chalk from "chalk"
+
+// Ordered phone numbers per call campaign, which one each attempt dials, and per-number health.
+// Health lives in its own collection keyed by the normalized number, so a number found dead by one campaign
+// isn't dialed by the next:
+//   healthy - dialable
+//   dead    - a wrong number, or unreachable DEAD_AFTER_UNREACHABLE times in a row (reset via the API)
+export class PhoneNumberService {
+  constructor(suppressionService) {
+    this.suppressionService = suppressionService
+    this.trackingDbName = OUTREACH_CONFIG.DATABASE.TRACKING_DB_NAME
+    this.healthCollection = OUTREACH_CONFIG.DATABASE.PHONE_HEALTH_COLLECTION
+    this.numbersConfig = OUTREACH_CONFIG.PHONE_NUMBERS
+    this.phoneNormalizationService = new PhoneNormalizationService()
+  }
+
+  // Initialize the phone_number_health collection
+  async initialize() {
+    try {
+      const collection = getCollection(this.trackingDbName, this.healthCollection)
+      await collection.createIndex({ number: 1 }, { unique: true })
+      await collection.createIndex({ status: 1 })
+
+      const deadCount = await collection.countDocuments({ status: "dead" })
+      console.log(chalk.green(`✅ Phone number health initialized (${deadCount} dead numbers)`))
+    } catch (error) {
+      console.error(chalk.red("❌ Error initializing phone number health:"), error.message)
+      throw error
+    }
+  }
+
+  // Same normalization as the suppression list and the dialer (invalid numbers included, for lookups)
+  normalize(phoneNumber) {
+    return this.phoneNormalizationService.toE164Loose(phoneNumber)
+  }
+
+  // Ordered, de-duplicated numbers for a record - the request's list, otherwise the record's phone fields.
+  // Numbers that can't be parsed are kept as written, for checkNumbers to report.
+  collectRecordNumbers(originalRecord, requestedNumbers = null) {
+    const candidates = requestedNumbers?.length
+      ? requestedNumbers
+      : [
+          ...this.numbersConfig.RECORD_FIELDS.flatMap((field) => originalRecord[field] ?? []),
+          ...(originalRecord.outreach?.contactInfo?.phoneNumbers || []),
+        ]
+
+    const numbers = []
+    for (const candidate of candidates) {
+      const number = this.normalize(candidate) || String(candidate).trim()
+      if (number && !numbers.includes(number)) {
+        numbers.push(number)
+      }
+    }
+
+    return numbers.slice(0, this.numbersConfig.MAX_PER_RECORD)
+  }
+
+  // Split numbers into those we may dial and those we may not (invalid, premium-rate, suppressed or dead),
+  // with the reason
+  async checkNumbers(numbers) {
+    const health = await this.getHealth(numbers)
+    const usable = []
+    const dropped = []
+
+    for (const number of numbers) {
+      const phoneCheck = this.phoneNormalizationService.normalize(number)
+      if (!phoneCheck.valid) {
+        dropped.push({ number, reason: phoneCheck.reason, suppressed: false })
+        continue
+      }
+
+      const suppressionReason = await this.suppressionService.checkPhone(number)
+      if (suppressionReason) {
+        dropped.push({ number, reason: suppressionReason, suppressed: true })
+      } else if (health.get(number)?.status === "dead") {
+        dropped.push({ number, reason: `Number is dead: ${health.get(number).deadReason}`, suppressed: false })
+      } else {
+        usable.push(phoneCheck.e164)
+      }
+    }
+
+    return { usable, dropped }
+  }
+
+  // Campaign entries for an ordered list of numbers
+  buildCampaignNumbers(numbers) {
+    return numbers.map((number, position) => ({
+      number: number,
+      position: position,
+      type: this.phoneNormalizationService.normalize(number).type,
+      status: "active",
+      retiredReason: null,
+      retiredAt: null,
+    }))
+  }
+
+  // A campaign's numbers - campaigns created before number lists dial recordData.phonenumber
+  getCampaignNumbers(campaign) {
+    if (campaign.campaignConfig.phoneNumbers?.length) {
+      return campaign.campaignConfig.phoneNumbers
+    }
+
+    const number = this.phoneNormalizationService.toE164(campaign.recordData.phonenumber)
+    return number ? this.buildCampaignNumbers([number]) : []
+  }
+
+  // Health documents for a list of numbers, by number
+  async getHealth(numbers) {
+    const collection = getCollection(this.trackingDbName, this.healthCollection)
+    const entries = await collection.find({ number: { $in: numbers } }).toArray()
+    return new Map(entries.map((entry) => [entry.number, entry]))
+  }
+
+  // The number the next attempt should dial: { number, position } or { number: null, reason, suppressed }
+  async selectNumber(campaign) {
+    const active = this.getCampaignNumbers(campaign).filter((entry) => entry.status !== "retired")
+    if (active.length === 0) {
+      return { number: null, reason: "No phone numbers left to dial", suppressed: false }
+    }
+
+    const { usable, dropped } = await this.checkNumbers(active.map((entry) => entry.number))
+    if (usable.length === 0) {
+      const suppressed = dropped.every((entry) => entry.suppressed)
+      return { number: null, reason: suppressed ? dropped[0].reason : "No dialable phone numbers left", suppressed }
+    }
+
+    const candidates = active.filter((entry) => usable.includes(entry.number))
+    const lastDialed = campaign.campaignConfig.attempts
+      .filter((attempt) => attempt.dialedNumber && attempt.executedAt)
+      .sort((a, b) => new Date(b.executedAt) - new Date(a.executedAt))[0]
+    if (!lastDialed) {
+      return { number: candidates[0].number, position: candidates[0].position }
+    }
+
+    // The next number after the last one dialed, wrapping round
+    const lastPosition = this.getCampaignNumbers(campaign).find(
+      (entry) => entry.number === lastDialed.dialedNumber,
+    )?.position
+    const next = candidates.find((entry) => entry.position > (lastPosition ?? -1)) || candidates[0]
+
+    // Rotate always moves on. Fallthrough stays on the last number while it's dialable and was reached.
+    const lastEntry = candidates.find((entry) => entry.number === lastDialed.dialedNumber)
+    const stay =
+      this.getStrategy(campaign) === "fallthrough" &&
+      lastEntry &&
+      !this.numbersConfig.UNREACHABLE_OUTCOMES.includes(lastDialed.outcome)
+    const selected = stay ? lastEntry : next
+
+    return { number: selected.number, position: selected.position }
+  }
+
+  getStrategy(campaign) {
+    return campaign.campaignConfig.numberStrategy || this.numbersConfig.DEFAULT_STRATEGY
+  }
+
+  // Record a dialed number's outcome. Returns the updated health document.
+  async recordOutcome(number, outcome, context = {}) {
+    const collection = getCollection(this.trackingDbName, this.healthCollection)
+    const now = new Date()
+    const dead = this.numbersConfig.DEAD_OUTCOMES.includes(outcome)
+    const unreachable = this.numbersConfig.UNREACHABLE_OUTCOMES.includes(outcome)
+    const live = this.numbersConfig.LIVE_OUTCOMES.includes(outcome)
+
+    const update = {
+      $set: {
+        lastOutcome: outcome,
+        lastOutcomeAt: now,
+        lastTrackingId: context.trackingId || null,
+        lastAttemptNumber: context.attemptNumber || null,
+        updatedAt: now,
+      },
+      $inc: { dials: 1, [`outcomeCounts.${outcome}`]: 1 },
+      $setOnInsert: { number: number, createdAt: now },
+    }
+
+    if (dead) {
+      const deadReason = context.businessName ? `${outcome} calling ${context.businessName}` : outcome
+      Object.assign(update.$set, { status: "dead", deadReason: deadReason, deadAt: now })
+    } else {
+      update.$setOnInsert.status = "healthy"
+    }
+    if (unreachable) {
+      update.$inc.consecutiveUnreachable = 1
+    } else if (live) {
+      update.$set.consecutiveUnreachable = 0
+    }
+
+    let health = await collection.findOneAndUpdate({ number }, update, { upsert: true, returnDocument: "after" })
+
+    if (
+      unreachable &&
+      health.status !== "dead" &&
+      health.consecutiveUnreachable >= this.numbersConfig.DEAD_AFTER_UNREACHABLE
+    ) {
+      health = await collection.findOneAndUpdate(
+        { number },
+        {
+          $set: {
+            status: "dead",
+            deadReason: `Unreachable ${health.consecutiveUnreachable} times in a row`,
+            deadAt: now,
+          },
+        },
+        { returnDocument: "after" },
+      )
+    }
+
+    if (health.status === "dead" && (dead || unreachable)) {
+      console.log(chalk.red(`☠️ ${number} marked dead: ${health.deadReason} - it won't be dialed again`))
+    }
+
+    return health
+  }
+
+  // Health entries, dead ones first
+  async listHealth({ status = null, limit = 100 } = {}) {
+    const collection = getCollection(this.trackingDbName, this.healthCollection)
+    const query = status ? { status } : {}
+
+    const [numbers, total] = await Promise.all([
+      collection.find(query).sort({ status: 1, updatedAt: -1 }).limit(limit).toArray(),
+      collection.countDocuments(query),
+    ])
+
+    return { numbers, total }
+  }
+
+  async getNumberHealth(phoneNumber) {
+    const number = this.normalize(phoneNumber)
+    if (!number) {
+      return null
+    }
+
+    const collection = getCollection(this.trackingDbName, this.healthCollection)
+    return await collection.findOne({ number })
+  }
+
+  // Make a dead number dialable again (e.g. the business fixed its line). Returns null if it has no history.
+  async resetHealth(phoneNumber) {
+    const number = this.normalize(phoneNumber)
+    if (!number) {
+      return null
+    }
+
+    const collection = getCollection(this.trackingDbName, this.healthCollection)
+    const health = await collection.findOneAndUpdate(
+      { number },
+      {
+        $set: { status: "healthy", consecutiveUnreachable: 0, resetAt: new Date(), updatedAt: new Date() },
+        $unset: { deadReason: "", deadAt: "" },
+      },
+      { returnDocument: "after" },
+    )
+
+    if (health) {
+      console.log(chalk.green(`✅ ${number} marked healthy again`))
+    }
+    return health
+  }
+}
+
+export default PhoneNumberService
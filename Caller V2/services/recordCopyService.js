@@ -80,6 +80,7 @@ export class RecordCopyService {
       const trackingRecord = {
         originalRecordId: originalRecordId,
         userId: userId,
+        priority: campaignConfig.priority || OUTREACH_CONFIG.PRIORITY.DEFAULT,
 
         // Copy of original record data (snapshot)
         recordData: {
@@ -99,6 +100,12 @@ export class RecordCopyService {
         campaignConfig: {
           maxAttempts: campaignConfig.maxAttempts || OUTREACH_CONFIG.CALLS.MAX_ATTEMPTS,
           attempts: processedAttempts,
+          stopRules: campaignConfig.stopRules || OUTREACH_CONFIG.STOP_RULES.DEFAULT,
+          // Ordered numbers to dial, and how attempts move between them
+          phoneNumbers: campaignConfig.phoneNumbers || [],
+          numberStrategy: campaignConfig.numberStrategy || OUTREACH_CONFIG.PHONE_NUMBERS.DEFAULT_STRATEGY,
+          // Record fields sent to the agent as dynamic variables, plus first message / language overrides
+          conversationTemplate: campaignConfig.conversationTemplate || null,
         },
 
         // Email configuration - FIXED to include proper scheduledAt
@@ -176,6 +183,7 @@ export class RecordCopyService {
       const trackingRecord = {
         originalRecordId: originalRecordId,
         userId: userId,
+        priority: emailConfig.priority || OUTREACH_CONFIG.PRIORITY.DEFAULT,
 
         // Copy of original record data (snapshot)
         recordData: {
@@ -340,6 +348,7 @@ export class RecordCopyService {
       await callCollection.createIndex({ userId: 1 })
       await callCollection.createIndex({ overallStatus: 1 })
       await callCollection.createIndex({ "campaignConfig.attempts.scheduledAt": 1 })
+      await callCollection.createIndex({ "campaignConfig.attempts.conversationId": 1 })
       await callCollection.createIndex({ createdAt: 1 })
 
       // Initialize email_campaigns collection
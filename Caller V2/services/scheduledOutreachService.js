@@ -1,17 +1,47 @@
 import OutreachService from "./outreachService.js"
+import CallingWindowService from "./callingWindowService.js"
+import TranscriptService from "./transcriptService.js"
+import CostService from "./costService.js"
+import CallDispatchService from "./callDispatchService.js"
+import CallbackService from "./callbackService.js"
+import CadenceService from "./cadenceService.js"
+import OutcomeService from "./outcomeService.js"
+import PhoneNumberService from "./phoneNumberService.js"
+import ConversationTemplateService from "./conversationTemplateService.js"
 import { getCollection, toObjectId } from "../database/mongodb.js"
 import OUTREACH_CONFIG from "../config/constants.js"
 import chalk from "chalk"
+import os from "os"
+import { randomUUID } from "crypto"
 
 export class ScheduledOutreachService {
-  constructor(elevenLabsConfig, geminiConfig, zapierConfig) {
-    this.outreachService = new OutreachService(elevenLabsConfig, geminiConfig, zapierConfig)
+  constructor(agentRegistry, geminiConfig, zapierConfig, suppressionService) {
+    this.agentRegistry = agentRegistry
+    this.suppressionService = suppressionService
+    this.outreachService = new OutreachService(agentRegistry, geminiConfig, zapierConfig)
+    this.callingWindowService = new CallingWindowService()
+    this.transcriptService = new TranscriptService()
+    this.costService = new CostService(agentRegistry)
+    this.callDispatchService = new CallDispatchService(agentRegistry)
+    this.callbackService = new CallbackService(this.callingWindowService)
+    this.cadenceService = new CadenceService()
+    this.outcomeService = new OutcomeService()
+    this.phoneNumberService = new PhoneNumberService(suppressionService)
+    this.conversationTemplateService = new ConversationTemplateService()
     this.isProcessing = false
     this.schedulerInterval = null
-    this.activeCallPromises = new Map() // Track active calls to prevent duplicates
+    this.startupTimeout = null
+    this.activeRuns = new Set() // Scheduler runs in flight, awaited on shutdown
+    this.shutdownRequested = false
+    this.shutdownSignal = new Promise((resolve) => (this.signalShutdown = resolve))
+    this.leaseConfig = OUTREACH_CONFIG.CALLS.LEASE
+    this.instanceId = this.leaseConfig.OWNER_ID || `${os.hostname()}-${process.pid}-${randomUUID().slice(0, 8)}`
+    this.activeLeases = new Map() // Attempts this instance has claimed, renewed until they finish
+    this.leaseRenewalInterval = null
     this.trackingDbName = OUTREACH_CONFIG.DATABASE.TRACKING_DB_NAME
     this.callCampaignsCollection = OUTREACH_CONFIG.DATABASE.CALL_CAMPAIGNS_COLLECTION
     this.emailCampaignsCollection = OUTREACH_CONFIG.DATABASE.EMAIL_CAMPAIGNS_COLLECTION
+    this.recoveryLogCollection = OUTREACH_CONFIG.DATABASE.RECOVERY_LOG_COLLECTION
   }
 
   // Initialize the service
@@ -19,8 +49,12 @@ export class ScheduledOutreachService {
     await this.initializeTrackingCollections()
     console.log(chalk.green("✅ Scheduled Outreach Service initialized"))
 
+    // Pick up attempts left in_progress by a previous process before dialing anything new
+    await this.recoverStaleAttempts("startup")
+
     // Start the independent scheduler
     this.startIndependentScheduler()
+    this.startLeaseRenewal()
   }
 
   // Initialize tracking collections (create if they don't exist)
@@ -34,6 +68,8 @@ export class ScheduledOutreachService {
       await callCollection.createIndex({ userId: 1 })
       await callCollection.createIndex({ overallStatus: 1 })
       await callCollection.createIndex({ "campaignConfig.attempts.scheduledAt": 1 })
+      await callCollection.createIndex({ "campaignConfig.attempts.conversationId": 1 })
+      await callCollection.createIndex({ "campaignConfig.attempts.lease.expiresAt": 1 })
       await callCollection.createIndex({ createdAt: 1 })
 
       // Initialize email_campaigns collection
@@ -44,6 +80,23 @@ export class ScheduledOutreachService {
       await emailCollection.createIndex({ "emailConfig.scheduledAt": 1 })
       await emailCollection.createIndex({ createdAt: 1 })
 
+      // Initialize call_transcripts collection
+      await this.transcriptService.initialize()
+
+      // Initialize budgets collection
+      await this.costService.initialize()
+
+      // Initialize phone_number_health collection
+      await this.phoneNumberService.initialize()
+
+      // Initialize caller_id_usage collection
+      await this.outreachService.callerIdService.initialize()
+
+      // Initialize recovery_log collection
+      const recoveryLogCollection = getCollection(this.trackingDbName, this.recoveryLogCollection)
+      await recoveryLogCollection.createIndex({ trackingId: 1, attemptNumber: 1 })
+      await recoveryLogCollection.createIndex({ createdAt: 1 })
+
       const callCount = await callCollection.countDocuments({})
       const emailCount = await emailCollection.countDocuments({})
 
@@ -92,7 +145,7 @@ export class ScheduledOutreachService {
 
           // Use contactInfo for emails
           const contactInfo = mainRecord.outreach?.contactInfo || { emails: [] }
-          const emailAddresses = contactInfo.emails || []
+          const { allowed: emailAddresses } = await this.suppressionService.filterEmails(contactInfo.emails || [])
 
           if (emailAddresses.length === 0) {
             console.log(chalk.yellow(`⚠️ No email addresses for ${mainRecord.businessname}`))
@@ -172,14 +225,40 @@ export class ScheduledOutreachService {
 
     this.schedulerInterval = setInterval(async () => {
       try {
-        await this.processScheduledTasks()
+        await this.runScheduledTasks()
       } catch (error) {
         console.error(chalk.red("❌ Error in scheduler:"), error.message)
       }
     }, checkInterval)
 
     // Run immediately on start
-    setTimeout(() => this.processScheduledTasks(), 5000) // Wait 5 seconds after startup
+    this.startupTimeout = setTimeout(() => this.runScheduledTasks(), 5000) // Wait 5 seconds after startup
+  }
+
+  // Run the scheduled tasks, tracking the run so shutdown can wait for it
+  async runScheduledTasks() {
+    if (this.shutdownRequested) {
+      return
+    }
+
+    const run = this.processScheduledTasks()
+    this.activeRuns.add(run)
+    try {
+      await run
+    } finally {
+      this.activeRuns.delete(run)
+    }
+  }
+
+  // Wait between sends, waking early when shutdown is requested
+  pause(milliseconds) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, milliseconds)
+      this.shutdownSignal.then(() => {
+        clearTimeout(timer)
+        resolve()
+      })
+    })
   }
 
   // Process all scheduled tasks
@@ -197,14 +276,20 @@ export class ScheduledOutreachService {
       })
       console.log(chalk.gray(`🕐 ${ukTime} (UK) - Checking for scheduled tasks...`))
 
+      // Finish calls whose post-call webhook never arrived
+      await this.reconcileCallCompletions()
+
+      // Resume attempts abandoned by an instance that died mid-call
+      await this.recoverStaleAttempts("periodic")
+
       // Process NEW system call campaigns
-      await this.processNewCallCampaigns()
+      if (!this.shutdownRequested) await this.processNewCallCampaigns()
 
       // Process NEW system email campaigns
-      await this.processNewEmailCampaigns()
+      if (!this.shutdownRequested) await this.processNewEmailCampaigns()
 
       // NEW: Process scheduled emails within call campaigns
-      await this.processScheduledEmailsInCallCampaigns()
+      if (!this.shutdownRequested) await this.processScheduledEmailsInCallCampaigns()
     } catch (error) {
       console.error(chalk.red("❌ Error processing scheduled tasks:"), error.message)
     }
@@ -223,6 +308,7 @@ export class ScheduledOutreachService {
           "emailConfig.scheduledAt": { $lte: now },
           "emailConfig.status": "pending",
           overallStatus: { $in: ["calls_completed", "completed"] }, // Only after calls are done
+          paused: { $ne: true },
         })
         .toArray()
 
@@ -231,7 +317,18 @@ export class ScheduledOutreachService {
           chalk.blue(`📧 Processing ${campaignsWithScheduledEmails.length} scheduled emails in call campaigns`),
         )
 
-        for (const campaign of campaignsWithScheduledEmails) {
+        // Highest priority first, userIds taking turns
+        const orderedCampaigns = this.callDispatchService
+          .orderFairly(
+            campaignsWithScheduledEmails.map((campaign) => ({ campaign, dueAt: campaign.emailConfig.scheduledAt })),
+          )
+          .map((entry) => entry.campaign)
+
+        for (const campaign of orderedCampaigns) {
+          if (this.shutdownRequested) {
+            break
+          }
+
           try {
             await this.executeScheduledEmailInCallCampaign(campaign)
           } catch (error) {
@@ -250,9 +347,23 @@ export class ScheduledOutreachService {
       console.log(chalk.blue(`📧 Executing scheduled email for ${campaign.recordData.businessname}`))
 
       const businessName = campaign.recordData.businessname
-      const emailAddresses = campaign.emailConfig.emailAddresses || []
 
-      if (emailAddresses.length === 0) {
+      // Re-check the suppression list - addresses may have opted out since scheduling
+      const emailCheck = await this.suppressionService.filterEmails(campaign.emailConfig.emailAddresses || [])
+
+      // Addresses already sent to before a shutdown handed this email back
+      const alreadySent = campaign.emailConfig.sentAddresses || []
+      const emailAddresses = emailCheck.allowed.filter((emailAddress) => !alreadySent.includes(emailAddress))
+
+      if (emailAddresses.length === 0 && alreadySent.length === 0 && emailCheck.suppressed.length > 0) {
+        const reason = emailCheck.suppressed.map((entry) => entry.reason).join("; ")
+        console.log(chalk.yellow(`🚫 All email addresses for ${businessName} are suppressed, skipping`))
+        await this.updateEmailConfigStatus(campaign._id, "skipped", reason)
+        await this.updateCampaignStatus(campaign._id, "completed", "call")
+        return
+      }
+
+      if (emailAddresses.length === 0 && alreadySent.length === 0) {
         console.log(chalk.yellow(`⚠️ No email addresses for ${businessName}, marking as completed`))
         await this.updateEmailConfigStatus(campaign._id, "completed", "No email addresses")
         return
@@ -264,8 +375,9 @@ export class ScheduledOutreachService {
       // Generate email
       const emailData = await this.outreachService.generatePersonalizedEmail(businessName)
 
-      let totalSent = 0
-      const totalAttempted = emailAddresses.length
+      let totalSent = alreadySent.length
+      const totalAttempted = alreadySent.length + emailAddresses.length
+      const sentAddresses = []
 
       // Send emails with delay
       for (let i = 0; i < emailAddresses.length; i++) {
@@ -276,17 +388,24 @@ export class ScheduledOutreachService {
 
           if (result.success) {
             totalSent++
+            sentAddresses.push(emailAddress)
           }
 
           if (i < emailAddresses.length - 1) {
             console.log(
               chalk.yellow(`⏳ Waiting ${OUTREACH_CONFIG.EMAILS.EMAIL_DELAY_SECONDS} seconds before next email...`),
             )
-            await new Promise((resolve) => setTimeout(resolve, OUTREACH_CONFIG.EMAILS.EMAIL_DELAY_SECONDS * 1000))
+            await this.pause(OUTREACH_CONFIG.EMAILS.EMAIL_DELAY_SECONDS * 1000)
           }
         } catch (error) {
           console.error(chalk.red(`❌ Error sending email to ${emailAddress}:`), error.message)
         }
+
+        // Shutting down - hand the remaining addresses back for another instance
+        if (this.shutdownRequested && i < emailAddresses.length - 1) {
+          await this.handBackEmailSends(campaign, "call", sentAddresses)
+          return
+        }
       }
 
       // Update email config with results
@@ -370,6 +489,13 @@ export class ScheduledOutreachService {
   // Process NEW system call campaigns
   async processNewCallCampaigns() {
     try {
+      // Budgets are checked once per run - attempts held for a budget go back in the queue once it has room
+      const budgetCheck = await this.costService.getBudgetCheck()
+      await this.releaseBudgetDeferrals(budgetCheck)
+
+      // Attempts claimed by an instance that died before dialing go back in the queue
+      await this.reclaimExpiredLeases()
+
       const readyCallCampaigns = await this.getReadyCallCampaigns()
 
       if (readyCallCampaigns.length === 0) {
@@ -378,16 +504,24 @@ export class ScheduledOutreachService {
 
       console.log(chalk.blue(`🆕 Processing ${readyCallCampaigns.length} new call campaigns`))
 
-      // Process campaigns concurrently
-      const campaignPromises = readyCallCampaigns.map(async (campaign) => {
-        try {
-          await this.executeCallCampaign(campaign)
-        } catch (error) {
-          console.error(chalk.red(`❌ Error executing call campaign ${campaign._id}:`), error.message)
+      // Campaigns whose userId is over budget are held rather than queued
+      const dispatchableCampaigns = []
+      for (const campaign of readyCallCampaigns) {
+        const userBudgetReason = budgetCheck.exhaustedUsers.get(campaign.userId)
+        if (userBudgetReason) {
+          await this.deferAttemptsForBudget(campaign, userBudgetReason)
+        } else {
+          dispatchableCampaigns.push(campaign)
         }
-      })
+      }
 
-      await Promise.all(campaignPromises)
+      // Start attempts through the bounded worker pool - the rest stay queued for the next run
+      await this.callDispatchService.dispatch(dispatchableCampaigns, {
+        execute: (campaign, dispatchOptions) => this.executeCallCampaign(campaign, dispatchOptions),
+        deferForBudget: (campaign, reason) => this.deferAttemptsForBudget(campaign, reason),
+        budgetExhaustedAgents: budgetCheck.exhaustedAgents,
+        shouldStop: () => this.shutdownRequested,
+      })
     } catch (error) {
       console.error(chalk.red("❌ Error processing new call campaigns:"), error.message)
     }
@@ -404,8 +538,13 @@ export class ScheduledOutreachService {
 
       console.log(chalk.blue(`🆕 Processing ${readyEmailCampaigns.length} new email campaigns`))
 
+      // Same fair order as call dispatch - highest priority first, userIds taking turns
+      const orderedCampaigns = this.callDispatchService
+        .orderFairly(readyEmailCampaigns.map((campaign) => ({ campaign, dueAt: campaign.emailConfig.scheduledAt })))
+        .map((entry) => entry.campaign)
+
       // Process campaigns concurrently
-      const campaignPromises = readyEmailCampaigns.map(async (campaign) => {
+      const campaignPromises = orderedCampaigns.map(async (campaign) => {
         try {
           await this.executeEmailCampaign(campaign)
         } catch (error) {
@@ -468,6 +607,9 @@ export class ScheduledOutreachService {
                 scheduledAt: { $lte: now },
               },
             },
+            // Never dial a business while a previous attempt is claimed or still live
+            "campaignConfig.attempts.status": { $nin: ["claimed", "in_progress"] },
+            paused: { $ne: true },
           })
           .toArray()
 
@@ -478,7 +620,11 @@ export class ScheduledOutreachService {
         // Fallback: manually filter campaigns
         console.log(chalk.yellow("⚠️ Using manual filtering as fallback"))
         readyCampaigns = allCampaigns.filter((campaign) => {
-          if (!["scheduled", "in_progress"].includes(campaign.overallStatus)) {
+          if (!["scheduled", "in_progress"].includes(campaign.overallStatus) || campaign.paused) {
+            return false
+          }
+
+          if (campaign.campaignConfig.attempts.some((attempt) => ["claimed", "in_progress"].includes(attempt.status))) {
             return false
           }
 
@@ -530,6 +676,7 @@ export class ScheduledOutreachService {
         .find({
           overallStatus: "scheduled",
           "emailConfig.scheduledAt": { $lte: now },
+          paused: { $ne: true },
         })
         .toArray()
 
@@ -543,238 +690,1604 @@ export class ScheduledOutreachService {
     }
   }
 
-  // Execute a call campaign
-  async executeCallCampaign(campaign) {
+  // Execute a call campaign (initiates the next ready attempt)
+  // dispatchOptions come from the dispatcher: the agent with room for the call, plus agents to skip on failover
+  async executeCallCampaign(campaign, { agentId = null, budgetExhaustedAgents = null, busyAgents = null } = {}) {
+    // Find the next pending attempt
+    const pendingAttempt = campaign.campaignConfig.attempts.find(
+      (attempt) => attempt.status === "pending" && new Date(attempt.scheduledAt) <= new Date(),
+    )
+
+    if (!pendingAttempt) {
+      console.log(chalk.yellow(`⚠️ No ready attempts found for ${campaign.recordData.businessname}`))
+      return
+    }
+
+    // Shutting down - leave it for another instance
+    if (this.shutdownRequested) {
+      return
+    }
+
+    // Claim the attempt before touching it - another instance may have picked up the same campaign
+    const claimedCampaign = await this.claimAttempt(campaign, pendingAttempt, agentId || pendingAttempt.agentId)
+    if (!claimedCampaign) {
+      console.log(
+        chalk.gray(
+          `⏭️ Attempt ${pendingAttempt.attemptNumber} for ${campaign.recordData.businessname} was claimed by another instance`,
+        ),
+      )
+      return
+    }
+
+    let dialedNumber = null
     try {
-      // Find the next pending attempt
       const now = new Date()
-      const pendingAttempt = campaign.campaignConfig.attempts.find(
-        (attempt) => attempt.status === "pending" && new Date(attempt.scheduledAt) <= now,
-      )
 
-      if (!pendingAttempt) {
-        console.log(chalk.yellow(`⚠️ No ready attempts found for ${campaign.recordData.businessname}`))
+      // The agent picked for this attempt was disabled or deleted since - fail it rather than dial on another agent
+      const chosenAgent = pendingAttempt.agentId ? this.agentRegistry.findAgent(pendingAttempt.agentId) : null
+      if (pendingAttempt.agentId && !chosenAgent?.enabled) {
+        await this.failAttemptForUnavailableAgent(campaign, pendingAttempt)
+        return
+      }
+
+      // Respect UK calling hours, weekdays and bank holidays, plus the business's opening hours and busy periods
+      const timingCheck = this.callingWindowService.checkCallTiming(now, campaign.recordData)
+      if (!timingCheck.allowed) {
+        const nextSlot = this.callingWindowService.getNextAcceptableSlot(now, campaign.recordData)
+        await this.deferAttempt(campaign._id, pendingAttempt, nextSlot, timingCheck.reason)
+        return
+      }
+
+      // Pick the number to dial - re-checking the suppression list (a number may have opted out since scheduling)
+      // and number health (another campaign may have found it dead)
+      const numberSelection = await this.phoneNumberService.selectNumber(claimedCampaign)
+      if (!numberSelection.number) {
+        await this.skipRemainingAttempts(claimedCampaign, numberSelection.reason)
+        if (numberSelection.suppressed) {
+          await this.markOriginalRecordSuppressed(campaign, "call", numberSelection.reason)
+        }
+        await this.checkCallCampaignCompletion(campaign._id)
         return
       }
+      dialedNumber = numberSelection.number
 
       console.log(
         chalk.blue(
-          `📞 Executing call attempt ${pendingAttempt.attemptNumber} for ${campaign.recordData.businessname} with agent ${pendingAttempt.agentId}`,
+          `📞 Executing call attempt ${pendingAttempt.attemptNumber} for ${campaign.recordData.businessname} with agent ${agentId || pendingAttempt.agentId}`,
         ),
       )
 
+      // Mark attempt as in progress - only while we still hold the lease, so a reclaimed attempt is never dialed twice
+      const started = await this.startClaimedAttempt(campaign._id, pendingAttempt.attemptNumber)
+      if (!started) {
+        console.log(
+          chalk.yellow(
+            `⚠️ Lost the lease on attempt ${pendingAttempt.attemptNumber} for ${campaign.recordData.businessname}, not dialing`,
+          ),
+        )
+        return
+      }
+
       // Mark campaign as in progress
       await this.updateCampaignStatus(campaign._id, "in_progress", "call")
 
-      // Mark attempt as in progress
-      await this.updateAttemptStatus(campaign._id, pendingAttempt.attemptNumber, "in_progress", "call")
-
-      // Get phone number
-      const phoneNumber = campaign.recordData.phonenumber
-      if (!phoneNumber) {
-        throw new Error("No phone number found in campaign record")
-      }
-
-      const formattedPhone = this.outreachService.formatPhoneNumber(phoneNumber)
+      const formattedPhone = dialedNumber
       const businessName = campaign.recordData.businessname
 
       // Make the call
-      const callInitResult = await this.outreachService.initiateCall(
+      // Dial with the agent chosen for this attempt at campaign creation, failing over to healthy agents
+      const callInitResult = await this.outreachService.initiateCallWithFailover(
         formattedPhone,
         businessName,
         pendingAttempt.attemptNumber,
+        agentId || pendingAttempt.agentId,
+        budgetExhaustedAgents,
+        busyAgents,
+        {
+          originalRecordId: campaign.originalRecordId,
+          conversationData: this.conversationTemplateService.buildConversationData(campaign),
+        },
       )
 
-      const callResults = await this.outreachService.waitForCallCompletion(
-        callInitResult.conversationId,
-        callInitResult.agentConfig,
+      if (!callInitResult.conversationId) {
+        throw new Error("ElevenLabs did not return a conversation ID for the call")
+      }
+
+      // Don't wait for the call to end - the post-call webhook (or the reconciler) finishes the attempt.
+      // The lease is renewed until then.
+      await this.recordCallInitiated(campaign._id, pendingAttempt.attemptNumber, { ...callInitResult, dialedNumber })
+
+      console.log(
+        chalk.green(
+          `📞 Call initiated for ${businessName} using ${callInitResult.agentUsed} (conversation ${callInitResult.conversationId}), awaiting post-call webhook`,
+        ),
       )
+    } catch (error) {
+      console.error(chalk.red(`❌ Error executing call campaign ${campaign._id}:`), error.message)
+      this.activeLeases.delete(this.getLeaseKey(campaign._id, pendingAttempt.attemptNumber))
+
+      if (error.noHealthyAgents || error.agentsBusy || error.callerIdsExhausted) {
+        // Every agent is cooling down, at its call limit or out of caller IDs - leave the attempt queued for the next
+        // scheduler run
+        await this.updateAttemptStatus(campaign._id, pendingAttempt.attemptNumber, "pending", "call", error.message, {
+          lease: null,
+        })
+      } else if (error.agentUnavailable) {
+        // The chosen agent was disabled between the check above and dialing - nothing was placed
+        await this.failAttemptForUnavailableAgent(campaign, pendingAttempt)
+      } else if (error.budgetExhausted) {
+        // Every agent is over budget - hold the attempt until a budget has room again
+        await this.updateAttemptStatus(campaign._id, pendingAttempt.attemptNumber, "deferred_budget", "call", null, {
+          budgetDeferredReason: error.message,
+          lease: null,
+        })
+      } else {
+        // Mark attempt as failed
+        await this.updateAttemptStatus(campaign._id, pendingAttempt.attemptNumber, "failed", "call", error.message, {
+          agentsTried: error.agentsTried || [],
+          dialedNumber: dialedNumber,
+          outcome: "technical_failure",
+          outcomeReason: error.message,
+        })
+        await this.checkCallCampaignCompletion(campaign._id)
+      }
+    }
+  }
 
-      // Update attempt with results
-      await this.updateAttemptResults(campaign._id, pendingAttempt.attemptNumber, callResults, callInitResult, "call")
+  // Fail a claimed attempt whose chosen agent is disabled or deleted, without dialing
+  async failAttemptForUnavailableAgent(campaign, attempt) {
+    this.activeLeases.delete(this.getLeaseKey(campaign._id, attempt.attemptNumber))
+
+    console.log(
+      chalk.yellow(
+        `⚠️ Agent ${attempt.agentId} chosen for attempt ${attempt.attemptNumber} for ${campaign.recordData.businessname} is disabled or deleted, failing the attempt`,
+      ),
+    )
+    await this.updateAttemptStatus(
+      campaign._id,
+      attempt.attemptNumber,
+      "failed",
+      "call",
+      OUTREACH_CONFIG.AGENTS.UNAVAILABLE_REASON,
+      {
+        outcomeReason: `Agent ${attempt.agentId} is disabled or no longer in the agent registry`,
+        lease: null,
+      },
+    )
+    await this.checkCallCampaignCompletion(campaign._id)
+  }
 
-      // UPDATED: Update original record with call-specific status
-      await this.updateOriginalRecord(campaign, callResults, "call")
+  // Key for an attempt in activeLeases
+  getLeaseKey(campaignId, attemptNumber) {
+    return `${campaignId.toString()}:${attemptNumber}`
+  }
 
-      // Check if all attempts are completed
-      const updatedCampaign = await this.getCampaignById(campaign._id, "call")
-      const allAttemptsCompleted = updatedCampaign.campaignConfig.attempts.every(
-        (attempt) => attempt.status === "completed" || attempt.status === "failed",
-      )
+  // New lease expiry from now
+  getLeaseExpiry(from = new Date()) {
+    return new Date(from.getTime() + this.leaseConfig.DURATION_SECONDS * 1000)
+  }
 
-      if (allAttemptsCompleted) {
-        if (updatedCampaign.emailConfig.enabled) {
-          if (updatedCampaign.emailConfig.scheduledAt) {
-            // Emails are scheduled for a specific time
-            await this.updateCampaignStatus(campaign._id, "calls_completed", "call")
-            console.log(chalk.yellow(`📧 All calls completed for ${businessName}, emails scheduled for later`))
-          } else {
-            // Send emails immediately after calls
-            await this.updateCampaignStatus(campaign._id, "calls_completed", "call")
-            console.log(chalk.yellow(`📧 All calls completed for ${businessName}, emails will be sent next`))
-          }
-        } else {
-          await this.updateCampaignStatus(campaign._id, "completed", "call")
-          console.log(chalk.green(`✅ Campaign completed for ${businessName}`))
-        }
+  // Filter and update that claim an attempt: the campaign must be open and not paused, the attempt pending and due,
+  // and no other attempt of the campaign claimed or live
+  getClaimQuery(campaignId, attemptNumber, agentId, now = new Date()) {
+    const attemptPath = `campaignConfig.attempts.${attemptNumber - 1}`
+
+    return {
+      filter: {
+        _id: campaignId,
+        overallStatus: { $in: ["scheduled", "in_progress"] },
+        paused: { $ne: true }, // A pause that lands after the campaign was queued still stops the call
+        [`${attemptPath}.status`]: "pending",
+        [`${attemptPath}.scheduledAt`]: { $lte: now },
+        "campaignConfig.attempts.status": { $nin: ["claimed", "in_progress"] },
+      },
+      update: {
+        $set: {
+          [`${attemptPath}.status`]: "claimed",
+          [`${attemptPath}.dispatchedAgentId`]: agentId,
+          [`${attemptPath}.lease`]: {
+            ownerId: this.instanceId,
+            claimedAt: now,
+            expiresAt: this.getLeaseExpiry(now),
+            renewedAt: null,
+          },
+          updatedAt: now,
+        },
+      },
+    }
+  }
+
+  // Filter, update and array filter for reclaimExpiredLeases - in_progress attempts are left to crash recovery
+  getExpiredLeaseQuery(now = new Date()) {
+    const expired = { status: "claimed", "lease.expiresAt": { $lt: now } }
+
+    return {
+      filter: { "campaignConfig.attempts": { $elemMatch: expired } },
+      update: {
+        $set: {
+          "campaignConfig.attempts.$[expired].status": "pending",
+          "campaignConfig.attempts.$[expired].lease": null,
+          "campaignConfig.attempts.$[expired].leaseReclaimedAt": now,
+          updatedAt: now,
+        },
+        $inc: {
+          "campaignConfig.attempts.$[expired].leaseReclaims": 1,
+        },
+      },
+      arrayFilters: [{ "expired.status": expired.status, "expired.lease.expiresAt": expired["lease.expiresAt"] }],
+    }
+  }
+
+  // Atomically move a due attempt from pending to claimed for this instance, recording the agent dispatching it so
+  // its load counts against that agent until the call is placed.
+  // Returns the updated campaign, or null when another instance got there first.
+  async claimAttempt(campaign, attempt, agentId = null) {
+    try {
+      const collection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+      const objectId = await toObjectId(campaign._id)
+      const { filter, update } = this.getClaimQuery(objectId, attempt.attemptNumber, agentId)
+
+      const claimedCampaign = await collection.findOneAndUpdate(filter, update, { returnDocument: "after" })
+
+      if (claimedCampaign) {
+        this.activeLeases.set(this.getLeaseKey(campaign._id, attempt.attemptNumber), {
+          campaignId: objectId,
+          attemptNumber: attempt.attemptNumber,
+        })
       }
 
-      console.log(chalk.green(`✅ Call attempt completed for ${businessName} using ${callInitResult.agentUsed}`))
+      return claimedCampaign
     } catch (error) {
-      console.error(chalk.red(`❌ Error executing call campaign ${campaign._id}:`), error.message)
+      console.error(chalk.red(`❌ Error claiming attempt:`), error.message)
+      return null
+    }
+  }
 
-      // Mark attempt as failed
-      const now = new Date()
-      const pendingAttempt = campaign.campaignConfig.attempts.find(
-        (attempt) => attempt.status === "pending" && new Date(attempt.scheduledAt) <= now,
-      )
+  // Move a claimed attempt to in_progress, provided this instance still holds its lease
+  async startClaimedAttempt(campaignId, attemptNumber) {
+    const collection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+    const objectId = await toObjectId(campaignId)
+    const attemptPath = `campaignConfig.attempts.${attemptNumber - 1}`
+
+    const result = await collection.updateOne(
+      {
+        _id: objectId,
+        [`${attemptPath}.status`]: "claimed",
+        [`${attemptPath}.lease.ownerId`]: this.instanceId,
+      },
+      {
+        $set: {
+          [`${attemptPath}.status`]: "in_progress",
+          [`${attemptPath}.executedAt`]: new Date(),
+          [`${attemptPath}.lease.expiresAt`]: this.getLeaseExpiry(),
+          updatedAt: new Date(),
+        },
+      },
+    )
 
-      if (pendingAttempt) {
-        await this.updateAttemptStatus(campaign._id, pendingAttempt.attemptNumber, "failed", "call", error.message)
-      }
+    if (result.modifiedCount === 0) {
+      this.activeLeases.delete(this.getLeaseKey(campaignId, attemptNumber))
+      return false
     }
+    return true
   }
 
-  // Execute an email campaign
-  async executeEmailCampaign(campaign) {
-    try {
-      console.log(chalk.blue(`📧 Executing email campaign for ${campaign.recordData.businessname}`))
+  // Extend the leases this instance holds; attempts that finished (here or elsewhere) or were reclaimed are dropped
+  async renewLeases() {
+    if (this.activeLeases.size === 0) {
+      return
+    }
 
-      // Mark campaign as in progress
-      await this.updateCampaignStatus(campaign._id, "in_progress", "email")
+    const collection = getCollection(this.trackingDbName, this.callCampaignsCollection)
 
-      const businessName = campaign.recordData.businessname
-      const emailAddresses = campaign.emailConfig.emailAddresses
+    for (const [key, { campaignId, attemptNumber }] of this.activeLeases) {
+      try {
+        const attemptPath = `campaignConfig.attempts.${attemptNumber - 1}`
+        const result = await collection.updateOne(
+          {
+            _id: campaignId,
+            [`${attemptPath}.status`]: { $in: ["claimed", "in_progress"] },
+            [`${attemptPath}.lease.ownerId`]: this.instanceId,
+          },
+          {
+            $set: {
+              [`${attemptPath}.lease.expiresAt`]: this.getLeaseExpiry(),
+              [`${attemptPath}.lease.renewedAt`]: new Date(),
+            },
+          },
+        )
 
-      if (!emailAddresses || emailAddresses.length === 0) {
-        throw new Error("No email addresses found in campaign record")
+        if (result.matchedCount === 0) {
+          this.activeLeases.delete(key)
+        }
+      } catch (error) {
+        console.error(chalk.red(`❌ Error renewing lease ${key}:`), error.message)
       }
+    }
+  }
 
-      // Generate email
-      const emailData = await this.outreachService.generatePersonalizedEmail(businessName)
+  // Renew held leases on a timer, independent of the scheduler interval
+  startLeaseRenewal() {
+    this.leaseRenewalInterval = setInterval(async () => {
+      try {
+        await this.renewLeases()
+      } catch (error) {
+        console.error(chalk.red("❌ Error renewing leases:"), error.message)
+      }
+    }, this.leaseConfig.RENEW_INTERVAL_SECONDS * 1000)
 
-      let totalSent = 0
-      const totalAttempted = emailAddresses.length
+    console.log(chalk.white(`   Lease owner: ${this.instanceId} (${this.leaseConfig.DURATION_SECONDS}s leases)`))
+  }
 
-      // Send emails with delay
-      for (let i = 0; i < emailAddresses.length; i++) {
-        const emailAddress = emailAddresses[i]
-        try {
-          console.log(chalk.blue(`📧 Sending email ${i + 1}/${emailAddresses.length} to ${emailAddress}`))
-          const result = await this.outreachService.sendEmail(emailAddress, emailData, businessName)
+  // Return claimed attempts whose lease expired to pending. Safe because nothing is dialed while an attempt is
+  // only claimed, and an owner can't move a reclaimed attempt to in_progress without its lease.
+  async reclaimExpiredLeases() {
+    try {
+      const collection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+      const { filter, update, arrayFilters } = this.getExpiredLeaseQuery()
 
-          if (result.success) {
-            totalSent++
-          }
+      const result = await collection.updateMany(filter, update, { arrayFilters })
 
-          if (i < emailAddresses.length - 1) {
-            console.log(
-              chalk.yellow(`⏳ Waiting ${OUTREACH_CONFIG.EMAILS.EMAIL_DELAY_SECONDS} seconds before next email...`),
-            )
-            await new Promise((resolve) => setTimeout(resolve, OUTREACH_CONFIG.EMAILS.EMAIL_DELAY_SECONDS * 1000))
-          }
-        } catch (error) {
-          console.error(chalk.red(`❌ Error sending email to ${emailAddress}:`), error.message)
-        }
+      if (result.modifiedCount > 0) {
+        console.log(chalk.yellow(`♻️ Reclaimed expired leases in ${result.modifiedCount} call campaigns`))
       }
+    } catch (error) {
+      console.error(chalk.red("❌ Error reclaiming expired leases:"), error.message)
+    }
+  }
 
-      // Update campaign with email results
-      await this.updateEmailCampaignResults(campaign._id, {
-        totalSent,
-        totalAttempted,
-        subject: emailData.subject,
-        success: totalSent > 0,
-      })
+  // Move a due attempt to a later slot (releasing its claim) and record why on the attempt
+  async deferAttempt(campaignId, attempt, deferUntil, reason) {
+    try {
+      const collection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+      const objectId = await toObjectId(campaignId)
+      const attemptPath = `campaignConfig.attempts.${attempt.attemptNumber - 1}`
 
-      // UPDATED: Update original record with email-specific status
-      await this.updateOriginalRecord(
-        campaign,
+      const deferral = {
+        from: new Date(attempt.scheduledAt),
+        to: deferUntil,
+        reason: reason,
+        deferredAt: new Date(),
+      }
+
+      await collection.updateOne(
+        { _id: objectId },
         {
-          totalSent,
-          totalAttempted,
-          subject: emailData.subject,
-          success: totalSent > 0,
+          $set: {
+            [`${attemptPath}.status`]: "pending",
+            [`${attemptPath}.lease`]: null,
+            [`${attemptPath}.scheduledAt`]: deferUntil,
+            [`${attemptPath}.originalScheduledAt`]: attempt.originalScheduledAt || new Date(attempt.scheduledAt),
+            [`${attemptPath}.lastDeferral`]: deferral,
+            updatedAt: new Date(),
+          },
+          $push: {
+            [`${attemptPath}.deferrals`]: deferral,
+          },
         },
-        "email",
       )
 
-      // Mark campaign as completed
-      await this.updateCampaignStatus(campaign._id, totalSent > 0 ? "completed" : "failed", "email")
-
       console.log(
-        chalk.green(
-          `✅ Email campaign completed for ${campaign.recordData.businessname} (${totalSent}/${totalAttempted} sent)`,
+        chalk.yellow(
+          `⏸️ Deferred attempt ${attempt.attemptNumber} for campaign ${campaignId} (${reason}) to ${this.callingWindowService.formatUKTime(deferUntil)} (UK)`,
         ),
       )
     } catch (error) {
-      console.error(chalk.red(`❌ Error executing email campaign ${campaign._id}:`), error.message)
-      await this.updateCampaignStatus(campaign._id, "failed", "email", error.message)
+      console.error(chalk.red(`❌ Error deferring attempt:`), error.message)
     }
   }
 
-  // Update campaign status
-  async updateCampaignStatus(campaignId, status, campaignType, error = null) {
+  // Hold a campaign's due attempts because its userId has reached a budget cap
+  async deferAttemptsForBudget(campaign, reason) {
     try {
-      const collectionName = campaignType === "call" ? this.callCampaignsCollection : this.emailCampaignsCollection
-
-      const collection = getCollection(this.trackingDbName, collectionName)
-      const objectId = await toObjectId(campaignId)
+      const collection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+      const objectId = await toObjectId(campaign._id)
+      const now = new Date()
 
-      const updateData = {
-        $set: {
-          overallStatus: status,
-          updatedAt: new Date(),
+      // Filter on the stored status so an attempt another instance has just claimed is left alone
+      const result = await collection.updateOne(
+        { _id: objectId },
+        {
+          $set: {
+            "campaignConfig.attempts.$[due].status": "deferred_budget",
+            "campaignConfig.attempts.$[due].budgetDeferredReason": reason,
+            "campaignConfig.attempts.$[due].budgetDeferredAt": now,
+            updatedAt: now,
+          },
         },
-      }
+        { arrayFilters: [{ "due.status": "pending", "due.scheduledAt": { $lte: now } }] },
+      )
 
-      if (status === "completed" || status === "failed") {
-        updateData.$set.completedAt = new Date()
+      if (result.modifiedCount > 0) {
+        console.log(chalk.yellow(`💸 Held due attempts for ${campaign.recordData.businessname}: ${reason}`))
       }
+    } catch (error) {
+      console.error(chalk.red(`❌ Error deferring attempts for budget:`), error.message)
+    }
+  }
 
-      if (error) {
-        updateData.$set.error = error
+  // Put attempts held for a budget back in the queue once their userId and at least one agent have room
+  async releaseBudgetDeferrals({ exhaustedUsers, exhaustedAgents }) {
+    try {
+      const enabledAgents = this.agentRegistry.getEnabledAgents()
+      if (enabledAgents.length > 0 && enabledAgents.every((agent) => exhaustedAgents.has(agent.agentId))) {
+        return
       }
 
-      await collection.updateOne({ _id: objectId }, updateData)
-      console.log(chalk.green(`✅ Updated campaign ${campaignId} status to: ${status}`))
+      const collection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+      const result = await collection.updateMany(
+        {
+          overallStatus: { $in: ["scheduled", "in_progress"] },
+          userId: { $nin: [...exhaustedUsers.keys()] },
+          "campaignConfig.attempts.status": "deferred_budget",
+        },
+        {
+          $set: {
+            "campaignConfig.attempts.$[held].status": "pending",
+            "campaignConfig.attempts.$[held].budgetReleasedAt": new Date(),
+            updatedAt: new Date(),
+          },
+        },
+        { arrayFilters: [{ "held.status": "deferred_budget" }] },
+      )
+
+      if (result.modifiedCount > 0) {
+        console.log(chalk.green(`💷 Released budget-held attempts in ${result.modifiedCount} call campaigns`))
+      }
     } catch (error) {
-      console.error(chalk.red(`❌ Error updating campaign status:`), error.message)
+      console.error(chalk.red(`❌ Error releasing budget-held attempts:`), error.message)
     }
   }
 
-  // Update attempt status
-  async updateAttemptStatus(campaignId, attemptNumber, status, campaignType, error = null) {
+  // Mark every pending attempt as skipped (e.g. the number is on the suppression list)
+  async skipRemainingAttempts(campaign, reason) {
     try {
-      const collectionName = campaignType === "call" ? this.callCampaignsCollection : this.emailCampaignsCollection
+      const collection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+      const objectId = await toObjectId(campaign._id)
 
-      const collection = getCollection(this.trackingDbName, collectionName)
-      const objectId = await toObjectId(campaignId)
-
-      const updateData = {
-        $set: {
-          [`campaignConfig.attempts.${attemptNumber - 1}.status`]: status,
-          [`campaignConfig.attempts.${attemptNumber - 1}.executedAt`]: new Date(),
-          updatedAt: new Date(),
-        },
-      }
+      const updateData = { $set: { updatedAt: new Date() } }
+      const skippedAttempts = campaign.campaignConfig.attempts.filter((attempt) =>
+        ["pending", "claimed", "deferred_budget"].includes(attempt.status),
+      )
 
-      if (error) {
-        updateData.$set[`campaignConfig.attempts.${attemptNumber - 1}.error`] = error
+      for (const attempt of skippedAttempts) {
+        const attemptPath = `campaignConfig.attempts.${attempt.attemptNumber - 1}`
+        updateData.$set[`${attemptPath}.status`] = "skipped"
+        updateData.$set[`${attemptPath}.skippedReason`] = reason
+        updateData.$set[`${attemptPath}.executedAt`] = new Date()
       }
 
       await collection.updateOne({ _id: objectId }, updateData)
+
+      console.log(
+        chalk.yellow(
+          `🚫 Skipped ${skippedAttempts.length} pending attempts for ${campaign.recordData.businessname}: ${reason}`,
+        ),
+      )
     } catch (error) {
-      console.error(chalk.red(`❌ Error updating attempt status:`), error.message)
+      console.error(chalk.red(`❌ Error skipping attempts:`), error.message)
     }
   }
 
-  // Update attempt results
-  async updateAttemptResults(campaignId, attemptNumber, callResults, callInitResult, campaignType) {
+  // Record on the source document that outreach stopped because of the suppression list
+  async markOriginalRecordSuppressed(campaign, campaignType, reason) {
     try {
-      const collectionName = campaignType === "call" ? this.callCampaignsCollection : this.emailCampaignsCollection
+      const mainCollection = getCollection(campaign.sourceDatabase, campaign.sourceCollection)
+      const objectId = await toObjectId(campaign.originalRecordId)
 
-      const collection = getCollection(this.trackingDbName, collectionName)
-      const objectId = await toObjectId(campaignId)
+      await mainCollection.updateOne(
+        { _id: objectId },
+        {
+          $set: {
+            [`outreach.${campaignType}.campaignStatus`]: "completed",
+            [`outreach.${campaignType}.suppressed`]: true,
+            [`outreach.${campaignType}.suppressionReason`]: reason,
+            "outreach.lastUpdatedAt": new Date(),
+          },
+        },
+      )
+    } catch (error) {
+      console.error(chalk.red(`❌ Error marking original record as suppressed:`), error.message)
+    }
+  }
+
+  // Store conversation details on the attempt so the webhook or reconciler can finish it later
+  async recordCallInitiated(campaignId, attemptNumber, callInitResult) {
+    try {
+      const collection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+      const objectId = await toObjectId(campaignId)
+
+      await collection.updateOne(
+        { _id: objectId },
+        {
+          $set: {
+            [`campaignConfig.attempts.${attemptNumber - 1}.conversationId`]: callInitResult.conversationId,
+            [`campaignConfig.attempts.${attemptNumber - 1}.callSid`]: callInitResult.callSid,
+            [`campaignConfig.attempts.${attemptNumber - 1}.agentUsed`]: callInitResult.agentUsed,
+            [`campaignConfig.attempts.${attemptNumber - 1}.agentUsedId`]: callInitResult.agentUsedId,
+            [`campaignConfig.attempts.${attemptNumber - 1}.agentsTried`]: callInitResult.agentsTried || [],
+            [`campaignConfig.attempts.${attemptNumber - 1}.dialedNumber`]: callInitResult.dialedNumber || null,
+            [`campaignConfig.attempts.${attemptNumber - 1}.callerPhoneNumberId`]: callInitResult.callerPhoneNumberId,
+            [`campaignConfig.attempts.${attemptNumber - 1}.dynamicVariables`]: callInitResult.dynamicVariables,
+            [`campaignConfig.attempts.${attemptNumber - 1}.callInitiatedAt`]: new Date(),
+            updatedAt: new Date(),
+          },
+        },
+      )
+    } catch (error) {
+      console.error(chalk.red(`❌ Error recording initiated call:`), error.message)
+    }
+  }
+
+  // Find the call campaign and attempt that belong to an ElevenLabs conversation
+  async findCallAttemptByConversationId(conversationId) {
+    const collection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+    const campaign = await collection.findOne({ "campaignConfig.attempts.conversationId": conversationId })
+
+    if (!campaign) {
+      return null
+    }
+
+    const attempt = campaign.campaignConfig.attempts.find((a) => a.conversationId === conversationId)
+    return { campaign, attempt }
+  }
+
+  // Handle a finished conversation (from the post-call webhook or the reconciler)
+  async handleConversationEnded(conversationDetails, completionSource = "webhook") {
+    const conversationId = conversationDetails.conversation_id
+    const match = await this.findCallAttemptByConversationId(conversationId)
+
+    if (!match) {
+      console.log(chalk.yellow(`⚠️ No call attempt found for conversation ${conversationId}`))
+      return { handled: false, reason: "No call attempt found for conversation" }
+    }
+
+    // Collected data is stored with the mapping of the agent that placed the call
+    const agent = this.agentRegistry.findAgent(match.attempt.agentUsedId || match.attempt.agentId)
+    const callResults = this.outreachService.parseConversationResults(conversationDetails, conversationId, agent)
+    await this.storeTranscript(match.campaign, match.attempt, conversationDetails, completionSource)
+    const finished = await this.finishCallAttempt(match.campaign, match.attempt, callResults, completionSource)
+
+    return {
+      handled: finished,
+      reason: finished ? "Attempt finished" : "Attempt already finished",
+      trackingId: match.campaign._id.toString(),
+      attemptNumber: match.attempt.attemptNumber,
+    }
+  }
+
+  // Keep the full transcript and analysis for the attempt and link it from the attempt
+  async storeTranscript(campaign, attempt, conversationDetails, completionSource) {
+    const transcript = await this.transcriptService.saveTranscript(
+      campaign,
+      attempt,
+      conversationDetails,
+      completionSource,
+    )
+    if (!transcript) {
+      return null
+    }
+
+    try {
+      const collection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+      await collection.updateOne(
+        { _id: campaign._id },
+        { $set: { [`campaignConfig.attempts.${attempt.attemptNumber - 1}.transcriptId`]: transcript._id } },
+      )
+    } catch (error) {
+      console.error(chalk.red(`❌ Error linking transcript to attempt:`), error.message)
+    }
+
+    return transcript
+  }
+
+  // Transcript for an attempt - fetched from ElevenLabs and stored if we don't have it yet (older calls)
+  async getAttemptTranscript(trackingId, attemptNumber) {
+    const campaign = await this.getCampaignById(trackingId, "call")
+    if (!campaign) {
+      return { found: false, reason: `Call campaign ${trackingId} not found` }
+    }
+
+    const attempt = campaign.campaignConfig.attempts.find((a) => a.attemptNumber === attemptNumber)
+    if (!attempt) {
+      return { found: false, reason: `Attempt ${attemptNumber} not found` }
+    }
+
+    const stored = await this.transcriptService.getTranscript(trackingId, attemptNumber)
+    if (stored) {
+      return { found: true, transcript: stored }
+    }
+
+    if (!attempt.conversationId) {
+      return { found: false, reason: `Attempt ${attemptNumber} has no conversation (status: ${attempt.status})` }
+    }
+
+    if (!this.agentRegistry.findAgent(attempt.agentUsedId || attempt.agentId)) {
+      return {
+        found: false,
+        reason: `Agent ${attempt.agentUsedId || attempt.agentId} that placed the call is no longer in the agent registry`,
+      }
+    }
+
+    const agent = this.outreachService.getAgentById(attempt.agentUsedId || attempt.agentId)
+    const conversationDetails = await this.outreachService.getConversationDetails(attempt.conversationId, agent.config)
+
+    if (!this.outreachService.isConversationFinished(conversationDetails)) {
+      return { found: false, reason: `Conversation ${attempt.conversationId} is still ${conversationDetails.status}` }
+    }
+
+    const transcript = await this.storeTranscript(campaign, attempt, conversationDetails, "api")
+    return transcript ? { found: true, transcript } : { found: false, reason: "Transcript could not be stored" }
+  }
+
+  // Handle a call that ElevenLabs could not connect (call_initiation_failure webhook)
+  async handleConversationFailed(conversationId, failureReason, completionSource = "webhook") {
+    const match = await this.findCallAttemptByConversationId(conversationId)
+
+    if (!match) {
+      console.log(chalk.yellow(`⚠️ No call attempt found for failed conversation ${conversationId}`))
+      return { handled: false, reason: "No call attempt found for conversation" }
+    }
+
+    const finished = await this.finishCallAttempt(
+      match.campaign,
+      match.attempt,
+      {
+        status: "failed",
+        callSuccessful: false,
+        conversationId: conversationId,
+        error: failureReason || "Call initiation failed",
+      },
+      completionSource,
+    )
+
+    return {
+      handled: finished,
+      reason: finished ? "Attempt marked as failed" : "Attempt already finished",
+      trackingId: match.campaign._id.toString(),
+      attemptNumber: match.attempt.attemptNumber,
+    }
+  }
+
+  // Finish an in-progress call attempt and roll the campaign forward (safe to call more than once)
+  async finishCallAttempt(campaign, attempt, callResults, completionSource) {
+    // Voicemail, no answer, wrong number... - stored on the attempt and used by the stop rules
+    const { outcome, reason: outcomeReason } = this.outcomeService.classify(callResults)
+    callResults = { ...callResults, outcome, outcomeReason }
+
+    const finished = await this.updateAttemptResults(
+      campaign._id,
+      attempt.attemptNumber,
+      { ...callResults, completionSource },
+      attempt,
+      "call",
+    )
+
+    if (!finished) {
+      console.log(
+        chalk.gray(
+          `⏭️ Attempt ${attempt.attemptNumber} for ${campaign.recordData.businessname} already finished, ignoring ${completionSource} result`,
+        ),
+      )
+      return false
+    }
+
+    // The call is over - stop renewing its lease
+    this.activeLeases.delete(this.getLeaseKey(campaign._id, attempt.attemptNumber))
+
+    // UPDATED: Update original record with call-specific status
+    await this.updateOriginalRecord(campaign, callResults, "call")
+
+    // Wrong and dead numbers are retired - with none left the remaining attempts are skipped
+    const numbersLeft = await this.updateNumberHealth(campaign, attempt, outcome)
+
+    // The business asked us to stop - suppress it and cancel everything still scheduled for the record
+    if (callResults.optOut?.requested) {
+      await this.handleOptOut(campaign, attempt, callResults)
+    } else {
+      // A stop rule (or running out of numbers) skipped the remaining attempts - there's nothing to ring back on
+      const stopped = !numbersLeft || (await this.applyStopRules(campaign, attempt, callResults))
+      if (!stopped) {
+        // Asked to be rung back - add that attempt before deciding whether the calls are done
+        await this.scheduleCallback(campaign, attempt, callResults)
+      }
+      await this.checkCallCampaignCompletion(campaign._id)
+    }
+
+    console.log(
+      chalk.green(
+        `✅ Call attempt ${attempt.attemptNumber} finished for ${campaign.recordData.businessname} via ${completionSource}`,
+      ),
+    )
+    return true
+  }
+
+  // Record the dialed number's outcome in its health history, and retire it from this campaign when it's a wrong
+  // number or now dead. Returns false when the campaign has no dialable numbers left (its attempts are skipped).
+  async updateNumberHealth(campaign, attempt, outcome) {
+    const number = attempt.dialedNumber || this.phoneNumberService.getCampaignNumbers(campaign)[0]?.number
+    if (!number) {
+      return true
+    }
+
+    try {
+      const health = await this.phoneNumberService.recordOutcome(number, outcome, {
+        trackingId: campaign._id.toString(),
+        attemptNumber: attempt.attemptNumber,
+        businessName: campaign.recordData.businessname,
+      })
+
+      if (health?.status !== "dead") {
+        return true
+      }
+
+      const collection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+      await collection.updateOne(
+        { _id: campaign._id, "campaignConfig.phoneNumbers.number": number },
+        {
+          $set: {
+            "campaignConfig.phoneNumbers.$.status": "retired",
+            "campaignConfig.phoneNumbers.$.retiredReason": health.deadReason,
+            "campaignConfig.phoneNumbers.$.retiredAt": new Date(),
+          },
+        },
+      )
+
+      const current = await this.getCampaignById(campaign._id, "call")
+      const nextNumber = await this.phoneNumberService.selectNumber(current)
+      if (nextNumber.number) {
+        console.log(
+          chalk.yellow(`📵 ${number} retired for ${campaign.recordData.businessname}, next: ${nextNumber.number}`),
+        )
+        return true
+      }
+
+      await this.skipRemainingAttempts(current, nextNumber.reason)
+      return false
+    } catch (error) {
+      console.error(chalk.red(`❌ Error updating health for ${number}:`), error.message)
+      return true
+    }
+  }
+
+  // Opt-out from a call (UK PECR): suppress the number and emails, cancel pending outreach, stamp the source record
+  async handleOptOut(campaign, attempt, callResults) {
+    const optOutConfig = OUTREACH_CONFIG.OPT_OUT
+    const businessName = campaign.recordData.businessname
+    const cancelReason = `Opted out during call attempt ${attempt.attemptNumber} (${callResults.optOut.field})`
+
+    console.log(chalk.red(`🛑 ${businessName} asked for no further contact - suppressing and cancelling outreach`))
+
+    try {
+      const callCollection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+      const emailCollection = getCollection(this.trackingDbName, this.emailCampaignsCollection)
+      const recordFilter = {
+        originalRecordId: campaign.originalRecordId,
+        sourceDatabase: campaign.sourceDatabase,
+        sourceCollection: campaign.sourceCollection,
+      }
+
+      // Every email address we hold for the record, across its call and email campaigns
+      const emailCampaigns = await emailCollection.find(recordFilter).toArray()
+      const emailAddresses = [
+        ...new Set(
+          [
+            campaign.recordData.email,
+            ...(campaign.emailConfig?.emailAddresses || []),
+            ...emailCampaigns.flatMap((emailCampaign) => emailCampaign.emailConfig?.emailAddresses || []),
+          ].filter((email) => this.suppressionService.normalizeEmail(email)),
+        ),
+      ]
+
+      const suppressionData = {
+        reason: optOutConfig.SUPPRESSION_REASON,
+        source: optOutConfig.SUPPRESSION_SOURCE,
+      }
+      // Every number held for the record, not just the one that was dialed
+      const phoneNumbers = this.phoneNumberService.getCampaignNumbers(campaign).map((entry) => entry.number)
+      for (const phoneNumber of phoneNumbers) {
+        await this.suppressionService.addSuppression(
+          { ...suppressionData, type: "phone", value: phoneNumber },
+          campaign.userId,
+        )
+      }
+      for (const email of emailAddresses) {
+        await this.suppressionService.addSuppression({ ...suppressionData, type: "email", value: email }, campaign.userId)
+      }
+
+      // Cancel queued call attempts (including those held for a budget) and scheduled follow-up emails in every
+      // call campaign for the record - campaigns already finished or cancelled keep their status
+      const now = new Date()
+      const openCampaignFilter = {
+        ...recordFilter,
+        overallStatus: { $nin: ["completed", "failed", "skipped", "opted_out", "cancelled"] },
+      }
+
+      await callCollection.updateMany(
+        openCampaignFilter,
+        {
+          $set: {
+            "campaignConfig.attempts.$[pending].status": "cancelled",
+            "campaignConfig.attempts.$[pending].cancelledReason": cancelReason,
+            "campaignConfig.attempts.$[pending].executedAt": now,
+            updatedAt: now,
+          },
+        },
+        { arrayFilters: [{ "pending.status": { $in: ["pending", "deferred_budget"] } }] },
+      )
+      await callCollection.updateMany(
+        { ...openCampaignFilter, "emailConfig.status": "pending" },
+        { $set: { "emailConfig.status": "cancelled", "emailConfig.error": cancelReason } },
+      )
+      const callResult = await callCollection.updateMany(openCampaignFilter, {
+        $set: { overallStatus: "opted_out", completedAt: now, error: cancelReason },
+      })
+
+      // Cancel email campaigns that haven't sent yet
+      await emailCollection.updateMany(
+        { ...recordFilter, overallStatus: "scheduled" },
+        {
+          $set: {
+            "emailConfig.attempts.$[pending].status": "cancelled",
+            overallStatus: "opted_out",
+            completedAt: now,
+            error: cancelReason,
+            updatedAt: now,
+          },
+        },
+        { arrayFilters: [{ "pending.status": "pending" }] },
+      )
+
+      // Stamp the source record so the opt-out is visible (and honoured) outside the tracking database
+      const mainCollection = getCollection(campaign.sourceDatabase, campaign.sourceCollection)
+      await mainCollection.updateOne(
+        { _id: await toObjectId(campaign.originalRecordId) },
+        {
+          $set: {
+            "outreach.optOut": {
+              requested: true,
+              requestedAt: now,
+              channel: "call",
+              conversationId: callResults.conversationId,
+              trackingId: campaign._id.toString(),
+              attemptNumber: attempt.attemptNumber,
+              field: callResults.optOut.field,
+              rationale: callResults.optOut.rationale || null,
+              suppressedPhone: attempt.dialedNumber || campaign.recordData.phonenumber || null,
+              suppressedPhones: phoneNumbers,
+              suppressedEmails: emailAddresses,
+            },
+            "outreach.call.campaignStatus": "opted_out",
+            "outreach.email.campaignStatus": "opted_out",
+            "outreach.lastUpdatedAt": now,
+          },
+        },
+      )
+
+      console.log(
+        chalk.red(
+          `🛑 Opt-out recorded for ${businessName}: ${emailAddresses.length} emails suppressed, ${callResult.modifiedCount} call campaigns closed`,
+        ),
+      )
+    } catch (error) {
+      console.error(chalk.red(`❌ Error handling opt-out for ${businessName}:`), error.message)
+    }
+  }
+
+  // Check the campaign's stop rules against a finished attempt. On a match the remaining attempts are skipped,
+  // and an "email" rule brings the follow-up email forward. A "retry" rule adds an attempt instead.
+  // Returns true when the remaining attempts were skipped.
+  async applyStopRules(campaign, attempt, callResults) {
+    const businessName = campaign.recordData.businessname
+
+    try {
+      const match = this.cadenceService.evaluate(campaign, callResults)
+      if (!match) {
+        return false
+      }
+
+      const current = await this.getCampaignById(campaign._id, "call")
+      if (!current) {
+        return false
+      }
+
+      if (match.rule.then === "retry") {
+        await this.scheduleRetry(current, attempt, match)
+        return false
+      }
+
+      const now = new Date()
+      const reason = `Stop rule: ${match.reason} on attempt ${attempt.attemptNumber}`
+      await this.skipRemainingAttempts(current, reason)
+
+      const updateData = {
+        [`campaignConfig.attempts.${attempt.attemptNumber - 1}.stopRule`]: {
+          when: match.rule.when,
+          fields: match.rule.fields || null,
+          outcomes: match.rule.outcomes || null,
+          then: match.rule.then,
+          reason: match.reason,
+          appliedAt: now,
+        },
+        updatedAt: now,
+      }
+
+      // Send the follow-up email on the scheduler's next run rather than at its scheduled time
+      const emailConfig = current.emailConfig || {}
+      const sendEmailNow =
+        match.rule.then === "email" &&
+        emailConfig.enabled &&
+        emailConfig.status === "pending" &&
+        (!emailConfig.scheduledAt || new Date(emailConfig.scheduledAt) > now)
+      if (sendEmailNow) {
+        updateData["emailConfig.scheduledAt"] = now
+        updateData["emailConfig.broughtForwardFrom"] = emailConfig.scheduledAt || null
+      }
+
+      const collection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+      await collection.updateOne({ _id: current._id }, { $set: updateData })
+
+      console.log(
+        chalk.magenta(
+          `🏁 Stop rule matched for ${businessName} (${match.reason}) - remaining attempts skipped${sendEmailNow ? ", follow-up email sending now" : ""}`,
+        ),
+      )
+      return true
+    } catch (error) {
+      console.error(chalk.red(`❌ Error applying stop rules for ${businessName}:`), error.message)
+      return false
+    }
+  }
+
+  // A retry rule matched (e.g. the line was busy) - add a pending attempt `afterMinutes` from now
+  async scheduleRetry(campaign, attempt, match) {
+    const stopRulesConfig = OUTREACH_CONFIG.STOP_RULES
+    const businessName = campaign.recordData.businessname
+    const collection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+    const now = new Date()
+
+    let retry = { scheduled: false, scheduledAt: null, retryAttemptNumber: null, reason: null }
+    const retriesSoFar = campaign.campaignConfig.attempts.filter((candidate) =>
+      candidate.tags?.includes(stopRulesConfig.RETRY_TAG),
+    ).length
+
+    if (OUTREACH_CONFIG.CAMPAIGN_CONTROL.FINISHED_STATUSES.includes(campaign.overallStatus)) {
+      retry.reason = `Campaign is ${campaign.overallStatus}`
+    } else if (retriesSoFar >= stopRulesConfig.MAX_RETRIES_PER_CAMPAIGN) {
+      retry.reason = `Campaign already has ${retriesSoFar} retry attempts`
+    } else {
+      const afterMinutes = match.rule.afterMinutes || stopRulesConfig.RETRY_AFTER_MINUTES
+      const scheduledAt = this.callingWindowService.getNextAllowedSlot(new Date(now.getTime() + afterMinutes * 60000))
+      const retryAttemptNumber = await this.appendCallAttempt(campaign, {
+        agentId: attempt.agentUsedId || attempt.agentId,
+        scheduledAt: scheduledAt,
+        tags: [stopRulesConfig.RETRY_TAG],
+        retryFor: attempt.attemptNumber,
+      })
+
+      retry = retryAttemptNumber
+        ? { scheduled: true, scheduledAt, retryAttemptNumber, reason: null }
+        : { ...retry, reason: "Campaign changed while scheduling the retry" }
+    }
+
+    await collection.updateOne(
+      { _id: campaign._id },
+      {
+        $set: {
+          [`campaignConfig.attempts.${attempt.attemptNumber - 1}.stopRule`]: {
+            when: match.rule.when,
+            outcomes: match.rule.outcomes || null,
+            then: match.rule.then,
+            reason: match.reason,
+            ...retry,
+            appliedAt: now,
+          },
+        },
+      },
+    )
+
+    if (retry.scheduled) {
+      console.log(
+        chalk.magenta(
+          `🔁 Retry rule matched for ${businessName} (${match.reason}) - attempt ${retry.retryAttemptNumber} scheduled for ${this.callingWindowService.formatUKTime(retry.scheduledAt)} (UK)`,
+        ),
+      )
+    } else {
+      console.log(
+        chalk.yellow(`⚠️ Retry rule matched for ${businessName} but no attempt was added: ${retry.reason}`),
+      )
+    }
+  }
+
+  // Add a pending attempt to the end of a call campaign. Only applies if no attempt was added since `campaign`
+  // was read - attempt numbers must match array positions. Returns the new attempt number, or null.
+  async appendCallAttempt(campaign, fields) {
+    const collection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+    const attempts = campaign.campaignConfig.attempts
+    const now = new Date()
+    const newAttempt = {
+      attemptNumber: attempts.length + 1,
+      status: "pending",
+      executedAt: null,
+      callResults: {},
+      addedAt: now,
+      ...fields,
+    }
+
+    const pushed = await collection.updateOne(
+      { _id: campaign._id, "campaignConfig.attempts": { $size: attempts.length } },
+      {
+        $push: { "campaignConfig.attempts": newAttempt },
+        $inc: { "campaignConfig.maxAttempts": 1 },
+        $set: { updatedAt: now },
+      },
+    )
+
+    return pushed.modifiedCount > 0 ? newAttempt.attemptNumber : null
+  }
+
+  // The business asked to be rung back - add a pending attempt at the requested time, linked to this attempt
+  async scheduleCallback(campaign, attempt, callResults) {
+    const callbackConfig = OUTREACH_CONFIG.CALLBACKS
+    const businessName = campaign.recordData.businessname
+
+    try {
+      const now = new Date()
+      const detection = this.callbackService.detectCallback(callResults, now)
+      if (!detection) {
+        return
+      }
+
+      const current = await this.getCampaignById(campaign._id, "call")
+      if (!current || OUTREACH_CONFIG.CAMPAIGN_CONTROL.FINISHED_STATUSES.includes(current.overallStatus)) {
+        return
+      }
+
+      const attempts = current.campaignConfig.attempts
+      const callbacksSoFar = attempts.filter((candidate) => candidate.tags?.includes(callbackConfig.TAG)).length
+
+      let plan = this.callbackService.planCallback(detection, now)
+      if (plan.scheduledAt && callbacksSoFar >= callbackConfig.MAX_PER_CAMPAIGN) {
+        plan = { scheduledAt: null, reason: `Campaign already has ${callbacksSoFar} callback attempts` }
+      }
+
+      const collection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+      const callbackAttemptNumber = attempts.length + 1
+
+      if (plan.scheduledAt) {
+        const pushed = await this.appendCallAttempt(current, {
+          agentId: attempt.agentUsedId || attempt.agentId, // The agent the business spoke to
+          scheduledAt: plan.scheduledAt,
+          tags: [callbackConfig.TAG],
+          callbackFor: attempt.attemptNumber,
+          requestedCallbackAt: detection.requestedAt,
+        })
+
+        if (!pushed) {
+          plan = { scheduledAt: null, reason: "Campaign changed while scheduling the callback" }
+        } else if (callbackConfig.SKIP_EARLIER_ATTEMPTS) {
+          // Don't ring before the time they asked for
+          const skippedReason = `Callback requested for ${this.callingWindowService.formatUKTime(plan.scheduledAt)}`
+          await collection.updateOne(
+            { _id: current._id },
+            {
+              $set: {
+                "campaignConfig.attempts.$[early].status": "skipped",
+                "campaignConfig.attempts.$[early].skippedReason": skippedReason,
+                "campaignConfig.attempts.$[early].executedAt": now,
+              },
+            },
+            { arrayFilters: [{ "early.status": "pending", "early.scheduledAt": { $lt: plan.scheduledAt } }] },
+          )
+        }
+      }
+
+      // Mark the attempt the request came from
+      await collection.updateOne(
+        { _id: current._id },
+        {
+          $set: {
+            [`campaignConfig.attempts.${attempt.attemptNumber - 1}.callbackRequest`]: {
+              source: detection.source,
+              field: detection.field,
+              text: detection.text,
+              requestedAt: detection.requestedAt,
+              scheduled: Boolean(plan.scheduledAt),
+              scheduledAt: plan.scheduledAt || null,
+              callbackAttemptNumber: plan.scheduledAt ? callbackAttemptNumber : null,
+              reason: plan.reason || null,
+              detectedAt: now,
+            },
+          },
+        },
+      )
+
+      if (plan.scheduledAt) {
+        console.log(
+          chalk.magenta(
+            `📞 ${businessName} asked for a callback - attempt ${callbackAttemptNumber} scheduled for ${this.callingWindowService.formatUKTime(plan.scheduledAt)} (UK)`,
+          ),
+        )
+      } else {
+        console.log(chalk.yellow(`📞 ${businessName} asked for a callback, none scheduled: ${plan.reason}`))
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ Error scheduling callback for ${businessName}:`), error.message)
+    }
+  }
+
+  // Move the campaign on once every call attempt has finished
+  async checkCallCampaignCompletion(campaignId) {
+    const updatedCampaign = await this.getCampaignById(campaignId, "call")
+    if (!updatedCampaign) {
+      return
+    }
+
+    const businessName = updatedCampaign.recordData.businessname
+    const allAttemptsCompleted = updatedCampaign.campaignConfig.attempts.every((attempt) =>
+      ["completed", "failed", "skipped", "removed"].includes(attempt.status),
+    )
+
+    if (allAttemptsCompleted) {
+      if (updatedCampaign.emailConfig.enabled) {
+        if (updatedCampaign.emailConfig.scheduledAt) {
+          // Emails are scheduled for a specific time
+          await this.updateCampaignStatus(campaignId, "calls_completed", "call")
+          console.log(chalk.yellow(`📧 All calls completed for ${businessName}, emails scheduled for later`))
+        } else {
+          // Send emails immediately after calls
+          await this.updateCampaignStatus(campaignId, "calls_completed", "call")
+          console.log(chalk.yellow(`📧 All calls completed for ${businessName}, emails will be sent next`))
+        }
+      } else {
+        await this.updateCampaignStatus(campaignId, "completed", "call")
+        console.log(chalk.green(`✅ Campaign completed for ${businessName}`))
+      }
+    }
+  }
+
+  // Fallback reconciler: finish in-progress attempts whose post-call webhook never arrived
+  async reconcileCallCompletions() {
+    try {
+      const collection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+      const now = new Date()
+      const graceCutoff = new Date(now.getTime() - OUTREACH_CONFIG.CALLS.COMPLETION.WEBHOOK_GRACE_SECONDS * 1000)
+      const maxWaitSeconds = OUTREACH_CONFIG.CALLS.COMPLETION.MAX_WAIT_SECONDS
+
+      const isOverdue = (attempt) =>
+        attempt.status === "in_progress" && attempt.conversationId && new Date(attempt.callInitiatedAt) <= graceCutoff
+
+      const campaigns = await collection
+        .find({
+          "campaignConfig.attempts": {
+            $elemMatch: {
+              status: "in_progress",
+              conversationId: { $ne: null },
+              callInitiatedAt: { $lte: graceCutoff },
+            },
+          },
+        })
+        .toArray()
+
+      if (campaigns.length === 0) {
+        return
+      }
+
+      console.log(chalk.blue(`🔁 Reconciling ${campaigns.length} call campaigns with overdue webhooks`))
+
+      for (const campaign of campaigns) {
+        for (const attempt of campaign.campaignConfig.attempts.filter(isOverdue)) {
+          const waitedSeconds = Math.round((now.getTime() - new Date(attempt.callInitiatedAt).getTime()) / 1000)
+          const timedOut = waitedSeconds >= maxWaitSeconds
+
+          try {
+            if (!this.agentRegistry.findAgent(attempt.agentUsedId || attempt.agentId)) {
+              await this.failAttemptForMissingAgent(campaign, attempt, "reconciler")
+              continue
+            }
+
+            const agent = this.outreachService.getAgentById(attempt.agentUsedId || attempt.agentId)
+            const conversationDetails = await this.outreachService.getConversationDetails(
+              attempt.conversationId,
+              agent.config,
+            )
+
+            if (this.outreachService.isConversationFinished(conversationDetails)) {
+              const callResults = this.outreachService.parseConversationResults(
+                conversationDetails,
+                attempt.conversationId,
+                agent.agent,
+              )
+              await this.storeTranscript(campaign, attempt, conversationDetails, "reconciler")
+              await this.finishCallAttempt(campaign, attempt, callResults, "reconciler")
+              continue
+            }
+          } catch (error) {
+            console.error(
+              chalk.red(`❌ Error reconciling conversation ${attempt.conversationId}:`),
+              error.response?.data || error.message,
+            )
+          }
+
+          if (timedOut) {
+            await this.finishCallAttempt(
+              campaign,
+              attempt,
+              {
+                status: "timeout",
+                callSuccessful: false,
+                conversationId: attempt.conversationId,
+                error: `Call did not complete within ${maxWaitSeconds} seconds`,
+              },
+              "reconciler",
+            )
+          }
+        }
+      }
+    } catch (error) {
+      console.error(chalk.red("❌ Error reconciling call completions:"), error.message)
+    }
+  }
+
+  // Crash recovery: in_progress attempts whose owner stopped renewing the lease (or, for attempts from before
+  // leases, that have been in_progress too long). With a conversation ID the outcome is fetched and the attempt
+  // finished; without one the attempt is failed or re-queued per RECOVERY.NO_CONVERSATION_POLICY.
+  async recoverStaleAttempts(trigger = "periodic") {
+    try {
+      const collection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+      const recoveryConfig = OUTREACH_CONFIG.CALLS.RECOVERY
+      const now = new Date()
+      const staleCutoff = new Date(now.getTime() - recoveryConfig.STALE_AFTER_SECONDS * 1000)
+
+      const isStale = (attempt) =>
+        attempt.status === "in_progress" &&
+        (attempt.lease
+          ? new Date(attempt.lease.expiresAt) < now
+          : !attempt.executedAt || new Date(attempt.executedAt) < staleCutoff)
+
+      const campaigns = await collection
+        .find({
+          "campaignConfig.attempts": {
+            $elemMatch: {
+              status: "in_progress",
+              $or: [{ "lease.expiresAt": { $lt: now } }, { lease: null, executedAt: { $lt: staleCutoff } }],
+            },
+          },
+        })
+        .toArray()
+
+      if (campaigns.length === 0) {
+        return
+      }
+
+      console.log(chalk.blue(`🩹 Recovering stale attempts in ${campaigns.length} call campaigns (${trigger})`))
+
+      for (const campaign of campaigns) {
+        for (const attempt of campaign.campaignConfig.attempts.filter(isStale)) {
+          const { action, detail } = await this.recoverAttempt(campaign, attempt, now)
+          // A call still live at ElevenLabs is checked again every run - only log what recovery actually did
+          if (action !== "awaiting_conversation") {
+            await this.logRecoveryAction(campaign, attempt, trigger, action, detail)
+          }
+        }
+      }
+    } catch (error) {
+      console.error(chalk.red("❌ Error recovering stale attempts:"), error.message)
+    }
+  }
+
+  // Recover one stale attempt - returns the action taken for the recovery log
+  async recoverAttempt(campaign, attempt, now) {
+    const recoveryConfig = OUTREACH_CONFIG.CALLS.RECOVERY
+    const businessName = campaign.recordData.businessname
+
+    try {
+      if (attempt.conversationId && !this.agentRegistry.findAgent(attempt.agentUsedId || attempt.agentId)) {
+        const failed = await this.failAttemptForMissingAgent(campaign, attempt, "recovery")
+        return {
+          action: failed ? "failed" : "already_finished",
+          detail: `Agent ${attempt.agentUsedId || attempt.agentId} is no longer in the agent registry, so the conversation can't be fetched`,
+        }
+      }
+
+      if (attempt.conversationId) {
+        const agent = this.outreachService.getAgentById(attempt.agentUsedId || attempt.agentId)
+        const conversationDetails = await this.outreachService.getConversationDetails(
+          attempt.conversationId,
+          agent.config,
+        )
+
+        // Still live at ElevenLabs - the webhook or reconciler will finish it
+        if (!this.outreachService.isConversationFinished(conversationDetails)) {
+          return { action: "awaiting_conversation", detail: `Conversation status ${conversationDetails.status}` }
+        }
+
+        const callResults = this.outreachService.parseConversationResults(
+          conversationDetails,
+          attempt.conversationId,
+          agent.agent,
+        )
+        await this.storeTranscript(campaign, attempt, conversationDetails, "recovery")
+        const finished = await this.finishCallAttempt(campaign, attempt, callResults, "recovery")
+
+        console.log(chalk.green(`🩹 Recovered attempt ${attempt.attemptNumber} for ${businessName} from its call`))
+        return {
+          action: finished ? "finished" : "already_finished",
+          detail: `Conversation ${conversationDetails.status}, call ${callResults.callSuccessful ? "successful" : "unsuccessful"}`,
+        }
+      }
+
+      if (recoveryConfig.NO_CONVERSATION_POLICY === "requeue") {
+        const requeued = await this.requeueStaleAttempt(campaign, attempt, now)
+        if (requeued) {
+          console.log(chalk.yellow(`🩹 Re-queued attempt ${attempt.attemptNumber} for ${businessName} after a crash`))
+        }
+        return {
+          action: requeued ? "requeued" : "unchanged",
+          detail: requeued ? "No conversation was recorded - dialing again" : "Attempt changed before it was re-queued",
+        }
+      }
+
+      const failed = await this.finishCallAttempt(
+        campaign,
+        attempt,
+        { status: "failed", callSuccessful: false, error: recoveryConfig.FAILURE_REASON },
+        "recovery",
+      )
+      console.log(chalk.yellow(`🩹 Failed attempt ${attempt.attemptNumber} for ${businessName} after a crash`))
+      return {
+        action: failed ? "failed" : "already_finished",
+        detail: "No conversation was recorded - the call may or may not have been placed",
+      }
+    } catch (error) {
+      console.error(
+        chalk.red(`❌ Error recovering attempt ${attempt.attemptNumber} for ${businessName}:`),
+        error.response?.data || error.message,
+      )
+      return { action: "error", detail: error.message }
+    }
+  }
+
+  // Finish a live attempt whose agent was deleted from the registry - without the agent's API key its conversation
+  // can't be read, so it would otherwise stay in_progress forever
+  async failAttemptForMissingAgent(campaign, attempt, completionSource) {
+    console.log(
+      chalk.yellow(
+        `🩹 Agent ${attempt.agentUsedId || attempt.agentId} for attempt ${attempt.attemptNumber} for ${campaign.recordData.businessname} is no longer registered, failing the attempt`,
+      ),
+    )
+    return this.finishCallAttempt(
+      campaign,
+      attempt,
+      {
+        status: "failed",
+        callSuccessful: false,
+        conversationId: attempt.conversationId,
+        error: OUTREACH_CONFIG.CALLS.RECOVERY.AGENT_MISSING_REASON,
+      },
+      completionSource,
+    )
+  }
+
+  // Put a stale attempt back in the queue - only if nobody has touched it since it went stale
+  async requeueStaleAttempt(campaign, attempt, now) {
+    const collection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+    const attemptPath = `campaignConfig.attempts.${attempt.attemptNumber - 1}`
+
+    const leaseFilter = attempt.lease
+      ? { [`${attemptPath}.lease.ownerId`]: attempt.lease.ownerId, [`${attemptPath}.lease.expiresAt`]: { $lt: now } }
+      : { [`${attemptPath}.lease`]: null }
+
+    const result = await collection.updateOne(
+      { _id: campaign._id, [`${attemptPath}.status`]: "in_progress", ...leaseFilter },
+      {
+        $set: {
+          [`${attemptPath}.status`]: "pending",
+          [`${attemptPath}.scheduledAt`]: now,
+          [`${attemptPath}.lease`]: null,
+          [`${attemptPath}.recoveredAt`]: now,
+          [`${attemptPath}.recoveryReason`]: OUTREACH_CONFIG.CALLS.RECOVERY.FAILURE_REASON,
+          updatedAt: now,
+        },
+      },
+    )
+
+    return result.modifiedCount > 0
+  }
+
+  // Report a recovery action in the recovery_log collection
+  async logRecoveryAction(campaign, attempt, trigger, action, detail) {
+    try {
+      const collection = getCollection(this.trackingDbName, this.recoveryLogCollection)
+      await collection.insertOne({
+        trackingId: campaign._id.toString(),
+        attemptNumber: attempt.attemptNumber,
+        originalRecordId: campaign.originalRecordId,
+        businessName: campaign.recordData?.businessname || null,
+        conversationId: attempt.conversationId || null,
+        previousLease: attempt.lease || null,
+        trigger: trigger,
+        action: action,
+        detail: detail,
+        policy: OUTREACH_CONFIG.CALLS.RECOVERY.NO_CONVERSATION_POLICY,
+        recoveredBy: this.instanceId,
+        createdAt: new Date(),
+      })
+    } catch (error) {
+      console.error(chalk.red("❌ Error writing recovery log:"), error.message)
+    }
+  }
+
+  // Execute an email campaign
+  async executeEmailCampaign(campaign) {
+    if (this.shutdownRequested) {
+      return
+    }
+
+    try {
+      console.log(chalk.blue(`📧 Executing email campaign for ${campaign.recordData.businessname}`))
+
+      // Mark campaign as in progress
+      await this.updateCampaignStatus(campaign._id, "in_progress", "email")
+
+      const businessName = campaign.recordData.businessname
+
+      // Re-check the suppression list - addresses may have opted out since scheduling
+      const emailCheck = await this.suppressionService.filterEmails(campaign.emailConfig.emailAddresses || [])
+
+      // Addresses already sent to before a shutdown handed this campaign back
+      const alreadySent = campaign.emailConfig.sentAddresses || []
+      const emailAddresses = emailCheck.allowed.filter((emailAddress) => !alreadySent.includes(emailAddress))
+
+      if (emailAddresses.length === 0 && alreadySent.length === 0 && emailCheck.suppressed.length > 0) {
+        const reason = emailCheck.suppressed.map((entry) => entry.reason).join("; ")
+        console.log(chalk.yellow(`🚫 All email addresses for ${businessName} are suppressed, skipping`))
+        await this.updateCampaignStatus(campaign._id, "skipped", "email", reason)
+        await this.markOriginalRecordSuppressed(campaign, "email", reason)
+        return
+      }
+
+      if (emailAddresses.length === 0 && alreadySent.length === 0) {
+        throw new Error("No email addresses found in campaign record")
+      }
+
+      // Generate email
+      const emailData = await this.outreachService.generatePersonalizedEmail(businessName)
+
+      let totalSent = alreadySent.length
+      const totalAttempted = alreadySent.length + emailAddresses.length
+      const sentAddresses = []
+
+      // Send emails with delay
+      for (let i = 0; i < emailAddresses.length; i++) {
+        const emailAddress = emailAddresses[i]
+        try {
+          console.log(chalk.blue(`📧 Sending email ${i + 1}/${emailAddresses.length} to ${emailAddress}`))
+          const result = await this.outreachService.sendEmail(emailAddress, emailData, businessName)
+
+          if (result.success) {
+            totalSent++
+            sentAddresses.push(emailAddress)
+          }
+
+          if (i < emailAddresses.length - 1) {
+            console.log(
+              chalk.yellow(`⏳ Waiting ${OUTREACH_CONFIG.EMAILS.EMAIL_DELAY_SECONDS} seconds before next email...`),
+            )
+            await this.pause(OUTREACH_CONFIG.EMAILS.EMAIL_DELAY_SECONDS * 1000)
+          }
+        } catch (error) {
+          console.error(chalk.red(`❌ Error sending email to ${emailAddress}:`), error.message)
+        }
+
+        // Shutting down - hand the remaining addresses back for another instance
+        if (this.shutdownRequested && i < emailAddresses.length - 1) {
+          await this.handBackEmailSends(campaign, "email", sentAddresses)
+          return
+        }
+      }
+
+      // Update campaign with email results
+      await this.updateEmailCampaignResults(campaign._id, {
+        totalSent,
+        totalAttempted,
+        subject: emailData.subject,
+        success: totalSent > 0,
+      })
+
+      // UPDATED: Update original record with email-specific status
+      await this.updateOriginalRecord(
+        campaign,
+        {
+          totalSent,
+          totalAttempted,
+          subject: emailData.subject,
+          success: totalSent > 0,
+        },
+        "email",
+      )
+
+      // Mark campaign as completed
+      await this.updateCampaignStatus(campaign._id, totalSent > 0 ? "completed" : "failed", "email")
+
+      console.log(
+        chalk.green(
+          `✅ Email campaign completed for ${campaign.recordData.businessname} (${totalSent}/${totalAttempted} sent)`,
+        ),
+      )
+    } catch (error) {
+      console.error(chalk.red(`❌ Error executing email campaign ${campaign._id}:`), error.message)
+      await this.updateCampaignStatus(campaign._id, "failed", "email", error.message)
+    }
+  }
+
+  // Update campaign status
+  async updateCampaignStatus(campaignId, status, campaignType, error = null) {
+    try {
+      const collectionName = campaignType === "call" ? this.callCampaignsCollection : this.emailCampaignsCollection
+
+      const collection = getCollection(this.trackingDbName, collectionName)
+      const objectId = await toObjectId(campaignId)
+
+      const updateData = {
+        $set: {
+          overallStatus: status,
+          updatedAt: new Date(),
+        },
+      }
+
+      if (["completed", "failed", "skipped"].includes(status)) {
+        updateData.$set.completedAt = new Date()
+      }
+
+      if (error) {
+        updateData.$set.error = error
+      }
+
+      await collection.updateOne({ _id: objectId }, updateData)
+      console.log(chalk.green(`✅ Updated campaign ${campaignId} status to: ${status}`))
+    } catch (error) {
+      console.error(chalk.red(`❌ Error updating campaign status:`), error.message)
+    }
+  }
+
+  // Update attempt status (extraFields are set on the attempt alongside the status)
+  async updateAttemptStatus(campaignId, attemptNumber, status, campaignType, error = null, extraFields = {}) {
+    try {
+      const collectionName = campaignType === "call" ? this.callCampaignsCollection : this.emailCampaignsCollection
+
+      const collection = getCollection(this.trackingDbName, collectionName)
+      const objectId = await toObjectId(campaignId)
+
+      const updateData = {
+        $set: {
+          [`campaignConfig.attempts.${attemptNumber - 1}.status`]: status,
+          [`campaignConfig.attempts.${attemptNumber - 1}.executedAt`]: new Date(),
+          updatedAt: new Date(),
+        },
+      }
+
+      if (error) {
+        updateData.$set[`campaignConfig.attempts.${attemptNumber - 1}.error`] = error
+      }
+
+      for (const [field, value] of Object.entries(extraFields)) {
+        updateData.$set[`campaignConfig.attempts.${attemptNumber - 1}.${field}`] = value
+      }
+
+      await collection.updateOne({ _id: objectId }, updateData)
+    } catch (error) {
+      console.error(chalk.red(`❌ Error updating attempt status:`), error.message)
+    }
+  }
+
+  // Update attempt results (only finishes attempts that are still in progress)
+  async updateAttemptResults(campaignId, attemptNumber, callResults, callInitResult, campaignType) {
+    try {
+      const collectionName = campaignType === "call" ? this.callCampaignsCollection : this.emailCampaignsCollection
+
+      const collection = getCollection(this.trackingDbName, collectionName)
+      const objectId = await toObjectId(campaignId)
 
       const updateData = {
         $set: {
@@ -784,17 +2297,51 @@ export class ScheduledOutreachService {
             callSuccessful: callResults.callSuccessful,
             duration: callResults.callDuration,
             conversationId: callResults.conversationId,
-            isPartneredWithInfinityClub: callResults.isPartneredWithInfinityClub,
+            collectedData: callResults.mappedData?.fields || {},
+            optOutRequested: callResults.optOut?.requested || false,
+            outcome: callResults.outcome || null,
+            terminationReason: callResults.terminationReason || null,
+            userTurns: callResults.userTurns ?? null,
             agentUsed: callInitResult.agentUsed,
+            agentId: callInitResult.agentUsedId || null,
             callSid: callInitResult.callSid,
+            completionSource: callResults.completionSource || null,
           },
           updatedAt: new Date(),
         },
       }
 
-      await collection.updateOne({ _id: objectId }, updateData)
+      if (callResults.outcome) {
+        updateData.$set[`campaignConfig.attempts.${attemptNumber - 1}.outcome`] = callResults.outcome
+        updateData.$set[`campaignConfig.attempts.${attemptNumber - 1}.outcomeReason`] = callResults.outcomeReason
+      }
+
+      // What ElevenLabs charged for the call, rolled up by the cost endpoints and budget checks
+      if (callResults.cost) {
+        updateData.$set[`campaignConfig.attempts.${attemptNumber - 1}.cost`] = callResults.cost
+      }
+
+      if (callResults.error) {
+        updateData.$set[`campaignConfig.attempts.${attemptNumber - 1}.error`] = callResults.error
+      }
+
+      // Collected data at the attempt paths from the agent's mapping, plus any values that failed coercion
+      if (callResults.mappedData) {
+        for (const [path, value] of Object.entries(callResults.mappedData.attemptUpdates)) {
+          updateData.$set[`campaignConfig.attempts.${attemptNumber - 1}.${path}`] = value
+        }
+        updateData.$set[`campaignConfig.attempts.${attemptNumber - 1}.dataCollectionErrors`] =
+          callResults.mappedData.errors
+      }
+
+      const result = await collection.updateOne(
+        { _id: objectId, [`campaignConfig.attempts.${attemptNumber - 1}.status`]: "in_progress" },
+        updateData,
+      )
+      return result.modifiedCount > 0
     } catch (error) {
       console.error(chalk.red(`❌ Error updating attempt results:`), error.message)
+      return false
     }
   }
 
@@ -834,11 +2381,12 @@ export class ScheduledOutreachService {
         updateData.$set = {
           ...updateData.$set,
           "outreach.call.lastCallStatus": results.callSuccessful ? "successful" : "failed",
+          "outreach.call.lastCallOutcome": results.outcome || null,
           "outreach.call.lastCallAt": new Date(),
           "outreach.call.lastCallDuration": results.callDuration,
           "outreach.call.lastConversationId": results.conversationId,
           "outreach.call.campaignStatus": "completed", // NEW: Call campaign specific status
-          "outreach.alignment.status": results.isPartneredWithInfinityClub,
+          ...(results.mappedData?.recordUpdates || {}), // Collected data, per the agent's mapping
         }
       } else if (campaignType === "email") {
         updateData.$set = {
@@ -898,6 +2446,133 @@ export class ScheduledOutreachService {
     }
   }
 
+  // Persist the addresses sent so far and put an interrupted email send back in the queue
+  async handBackEmailSends(campaign, campaignType, sentAddresses) {
+    try {
+      const collectionName = campaignType === "call" ? this.callCampaignsCollection : this.emailCampaignsCollection
+      const collection = getCollection(this.trackingDbName, collectionName)
+
+      // Call campaigns hold the follow-up email in emailConfig.status, email campaigns in overallStatus
+      const requeue = campaignType === "call" ? { "emailConfig.status": "pending" } : { overallStatus: "scheduled" }
+
+      await collection.updateOne(
+        { _id: campaign._id },
+        {
+          $set: { ...requeue, "emailConfig.handedBackAt": new Date(), updatedAt: new Date() },
+          $addToSet: { "emailConfig.sentAddresses": { $each: sentAddresses } },
+        },
+      )
+
+      console.log(
+        chalk.yellow(
+          `↩️ Handed back email send for ${campaign.recordData.businessname} after ${sentAddresses.length} sent`,
+        ),
+      )
+    } catch (error) {
+      console.error(chalk.red(`❌ Error handing back email send:`), error.message)
+    }
+  }
+
+  // Release every lease this instance still holds: claimed attempts go back to pending, live calls get an expired
+  // lease so another instance's recovery pass finishes them from the conversation outcome
+  async handBackLeases() {
+    if (this.activeLeases.size === 0) {
+      return 0
+    }
+
+    const collection = getCollection(this.trackingDbName, this.callCampaignsCollection)
+    let handedBack = 0
+
+    for (const [key, { campaignId, attemptNumber }] of this.activeLeases) {
+      try {
+        const attemptPath = `campaignConfig.attempts.${attemptNumber - 1}`
+        const owned = { _id: campaignId, [`${attemptPath}.lease.ownerId`]: this.instanceId }
+        const now = new Date()
+
+        const claimed = await collection.updateOne(
+          { ...owned, [`${attemptPath}.status`]: "claimed" },
+          { $set: { [`${attemptPath}.status`]: "pending", [`${attemptPath}.lease`]: null, updatedAt: now } },
+        )
+
+        const live = await collection.updateOne(
+          { ...owned, [`${attemptPath}.status`]: "in_progress" },
+          {
+            $set: {
+              [`${attemptPath}.lease.expiresAt`]: now,
+              [`${attemptPath}.lease.handedBackAt`]: now,
+              updatedAt: now,
+            },
+          },
+        )
+
+        handedBack += claimed.modifiedCount + live.modifiedCount
+      } catch (error) {
+        console.error(chalk.red(`❌ Error handing back lease ${key}:`), error.message)
+      }
+      this.activeLeases.delete(key)
+    }
+
+    return handedBack
+  }
+
+  // Graceful shutdown: stop claiming work, wait up to the deadline for the scheduler run and live calls in flight,
+  // then hand back whatever is unfinished
+  async shutdown(deadlineSeconds = OUTREACH_CONFIG.SHUTDOWN.DEADLINE_SECONDS) {
+    if (this.shutdownRequested) {
+      return null
+    }
+
+    this.shutdownRequested = true
+    this.signalShutdown()
+
+    // No new scheduler runs; lease renewal keeps going while we drain
+    clearInterval(this.schedulerInterval)
+    clearTimeout(this.startupTimeout)
+    this.schedulerInterval = null
+    this.startupTimeout = null
+
+    const deadline = Date.now() + deadlineSeconds * 1000
+    const sleep = (milliseconds) => new Promise((resolve) => setTimeout(resolve, Math.max(milliseconds, 0)))
+
+    console.log(
+      chalk.yellow(
+        `🛑 Draining: ${this.activeRuns.size} scheduler runs, ${this.activeLeases.size} claimed or live calls (up to ${deadlineSeconds}s)`,
+      ),
+    )
+
+    // Dialing and email loops finish their current step (pauses between emails end early)
+    await Promise.race([Promise.allSettled([...this.activeRuns]), sleep(deadline - Date.now())])
+
+    // Live calls finish when their webhook lands on any instance - renewing notices and drops them
+    while (this.activeLeases.size > 0 && Date.now() < deadline) {
+      await sleep(Math.min(1000, deadline - Date.now()))
+      await this.renewLeases()
+    }
+
+    const drained = this.activeRuns.size === 0 && this.activeLeases.size === 0
+    const handedBack = await this.handBackLeases()
+    this.stopScheduler()
+
+    console.log(
+      chalk.yellow(
+        `🛑 Scheduler drained${drained ? "" : " (deadline reached)"}, handed back ${handedBack} call attempts`,
+      ),
+    )
+    return { drained, handedBack }
+  }
+
+  // Scheduler status for the status endpoint - dispatch queue and limits, plus this instance's state
+  async getSchedulerStatus() {
+    return {
+      instanceId: this.instanceId,
+      running: !!this.schedulerInterval,
+      shuttingDown: this.shutdownRequested,
+      checkIntervalMinutes: OUTREACH_CONFIG.CALLS.SCHEDULER.CHECK_INTERVAL_MINUTES,
+      leasesHeld: this.activeLeases.size,
+      ...(await this.callDispatchService.describeStatus()),
+    }
+  }
+
   // Stop scheduler
   stopScheduler() {
     if (this.schedulerInterval) {
@@ -905,6 +2580,11 @@ export class ScheduledOutreachService {
       this.schedulerInterval = null
       console.log(chalk.red("🛑 Scheduler stopped"))
     }
+
+    if (this.leaseRenewalInterval) {
+      clearInterval(this.leaseRenewalInterval)
+      this.leaseRenewalInterval = null
+    }
   }
 }
 
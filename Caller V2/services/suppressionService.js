@@ -0,0 +1,310 @@
+import { getCollection, toObjectId } from "../database/mongodb.js"
+import OUTREACH_CONFIG from "../config/constants.js"
+import PhoneNormalizationService from "./phoneNormalizationService.js"
+import chalk from "chalk"
+
+// Do-Not-Call / do-not-email list. Entries are keyed by type + normalized value:
+//   phone  - E.164 number (same parsing as the dialer, so "020 7946 0018" and "+442079460018" match)
+//   email  - lower-cased address
+//   domain - lower-cased email domain (suppresses every address at it)
+export class SuppressionService {
+  constructor() {
+    this.trackingDbName = OUTREACH_CONFIG.DATABASE.TRACKING_DB_NAME
+    this.suppressionsCollection = OUTREACH_CONFIG.DATABASE.SUPPRESSIONS_COLLECTION
+    this.suppressionConfig = OUTREACH_CONFIG.SUPPRESSIONS
+    this.phoneNormalizationService = new PhoneNormalizationService()
+  }
+
+  // Initialize the suppressions collection
+  async initialize() {
+    try {
+      const collection = getCollection(this.trackingDbName, this.suppressionsCollection)
+      await collection.createIndex({ type: 1, value: 1 }, { unique: true })
+      await collection.createIndex({ source: 1 })
+      await collection.createIndex({ expiresAt: 1 })
+
+      const count = await collection.countDocuments({})
+      console.log(chalk.green(`✅ Suppression list initialized with ${count} entries`))
+    } catch (error) {
+      console.error(chalk.red("❌ Error initializing suppression list:"), error.message)
+      throw error
+    }
+  }
+
+  // Normalize a phone number to E.164 the same way the dialer does. Invalid numbers are kept too -
+  // a suppression should match whatever the number was written as.
+  normalizePhone(phoneNumber) {
+    return this.phoneNormalizationService.toE164Loose(phoneNumber)
+  }
+
+  normalizeEmail(email) {
+    const cleaned = String(email || "")
+      .trim()
+      .toLowerCase()
+    return cleaned.includes("@") ? cleaned : null
+  }
+
+  getEmailDomain(email) {
+    const normalized = this.normalizeEmail(email)
+    return normalized ? normalized.split("@").pop() : null
+  }
+
+  normalizeValue(type, value) {
+    switch (type) {
+      case "phone":
+        return this.normalizePhone(value)
+      case "email":
+        return this.normalizeEmail(value)
+      case "domain": {
+        const cleaned = String(value || "")
+          .trim()
+          .toLowerCase()
+          .replace(/^@/, "")
+        return cleaned.includes(".") ? cleaned : null
+      }
+      default:
+        return null
+    }
+  }
+
+  // Active = not expired
+  activeFilter(now = new Date()) {
+    return { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] }
+  }
+
+  // Validate a suppression entry from a request body
+  validateSuppressionData(data) {
+    const errors = []
+
+    if (!this.suppressionConfig.TYPES.includes(data.type)) {
+      errors.push(`type must be one of: ${this.suppressionConfig.TYPES.join(", ")}`)
+    } else if (typeof data.value !== "string" || !this.normalizeValue(data.type, data.value)) {
+      errors.push(`value must be a valid ${data.type}`)
+    }
+
+    if (data.reason !== undefined && typeof data.reason !== "string") {
+      errors.push("reason must be a string")
+    }
+
+    if (data.source !== undefined && typeof data.source !== "string") {
+      errors.push("source must be a string")
+    }
+
+    if (data.expiresAt !== undefined && data.expiresAt !== null) {
+      const expiresAt = new Date(data.expiresAt)
+      if (isNaN(expiresAt.getTime())) {
+        errors.push("expiresAt must be a valid date")
+      } else if (expiresAt <= new Date()) {
+        errors.push("expiresAt must be in the future")
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors: errors,
+    }
+  }
+
+  // Upsert operation for one validated entry (re-adding refreshes reason, source and expiry)
+  buildUpsert(data, userId = null) {
+    const now = new Date()
+    return {
+      filter: { type: data.type, value: this.normalizeValue(data.type, data.value) },
+      update: {
+        $set: {
+          reason: data.reason || null,
+          source: data.source || this.suppressionConfig.DEFAULT_SOURCE,
+          expiresAt: data.expiresAt ? new Date(data.expiresAt) : null,
+          updatedAt: now,
+        },
+        $setOnInsert: {
+          originalValue: data.value,
+          createdBy: userId,
+          createdAt: now,
+        },
+      },
+    }
+  }
+
+  // Add (or refresh) a suppression
+  async addSuppression(data, userId = null) {
+    const collection = getCollection(this.trackingDbName, this.suppressionsCollection)
+    const { filter, update } = this.buildUpsert(data, userId)
+
+    await collection.updateOne(filter, update, { upsert: true })
+    const suppression = await collection.findOne(filter)
+
+    console.log(chalk.yellow(`🚫 Suppressed ${filter.type} ${filter.value} (${suppression.source})`))
+    return this.describeSuppression(suppression)
+  }
+
+  // Import many suppressions at once - invalid entries are reported, valid ones are upserted
+  async bulkImport(entries, defaults = {}, userId = null) {
+    const invalid = []
+    const operations = []
+
+    entries.forEach((entry, index) => {
+      const data = { ...defaults, ...entry }
+      const validation = this.validateSuppressionData(data)
+
+      if (!validation.valid) {
+        invalid.push({ index, value: entry?.value ?? null, errors: validation.errors })
+        return
+      }
+
+      const { filter, update } = this.buildUpsert(data, userId)
+      operations.push({ updateOne: { filter, update, upsert: true } })
+    })
+
+    let inserted = 0
+    let updated = 0
+
+    if (operations.length > 0) {
+      const collection = getCollection(this.trackingDbName, this.suppressionsCollection)
+      const result = await collection.bulkWrite(operations, { ordered: false })
+      inserted = result.upsertedCount
+      updated = result.matchedCount
+    }
+
+    console.log(
+      chalk.yellow(`🚫 Imported suppressions: ${inserted} new, ${updated} refreshed, ${invalid.length} invalid`),
+    )
+
+    return {
+      totalEntries: entries.length,
+      inserted: inserted,
+      updated: updated,
+      invalidEntries: invalid.length,
+      invalid: invalid,
+    }
+  }
+
+  // Remove a suppression by ID, or by type + value
+  async removeSuppression({ id = null, type = null, value = null }) {
+    const collection = getCollection(this.trackingDbName, this.suppressionsCollection)
+
+    let filter
+    if (id) {
+      try {
+        filter = { _id: await toObjectId(id) }
+      } catch {
+        return null
+      }
+    } else {
+      const normalized = this.normalizeValue(type, value)
+      if (!normalized) {
+        return null
+      }
+      filter = { type, value: normalized }
+    }
+
+    const suppression = await collection.findOne(filter)
+    if (!suppression) {
+      return null
+    }
+
+    await collection.deleteOne({ _id: suppression._id })
+
+    console.log(chalk.green(`✅ Removed suppression for ${suppression.type} ${suppression.value}`))
+    return this.describeSuppression(suppression)
+  }
+
+  // List suppressions, newest first
+  async listSuppressions({ type = null, source = null, search = null, includeExpired = false, limit = 100, skip = 0 } = {}) {
+    const collection = getCollection(this.trackingDbName, this.suppressionsCollection)
+
+    const query = includeExpired ? {} : this.activeFilter()
+    if (type) query.type = type
+    if (source) query.source = source
+    if (search) query.value = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), $options: "i" }
+
+    const [suppressions, total] = await Promise.all([
+      collection.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
+      collection.countDocuments(query),
+    ])
+
+    return {
+      suppressions: suppressions.map((suppression) => this.describeSuppression(suppression)),
+      total: total,
+    }
+  }
+
+  // Active suppressions matching a phone number and/or email addresses
+  async findMatches({ phone = null, emails = [] } = {}) {
+    const keys = []
+
+    const normalizedPhone = phone ? this.normalizePhone(phone) : null
+    if (normalizedPhone) {
+      keys.push({ type: "phone", value: normalizedPhone })
+    }
+
+    for (const email of emails || []) {
+      const normalizedEmail = this.normalizeEmail(email)
+      if (normalizedEmail) {
+        keys.push({ type: "email", value: normalizedEmail })
+        keys.push({ type: "domain", value: this.getEmailDomain(normalizedEmail) })
+      }
+    }
+
+    if (keys.length === 0) {
+      return []
+    }
+
+    const collection = getCollection(this.trackingDbName, this.suppressionsCollection)
+    return await collection.find({ $and: [{ $or: keys }, this.activeFilter()] }).toArray()
+  }
+
+  // Is this phone number suppressed? Returns a skip reason, or null when it may be called
+  async checkPhone(phone) {
+    const [match] = await this.findMatches({ phone })
+    return match ? this.describeMatch(match) : null
+  }
+
+  // Split email addresses into those we may send to and those that are suppressed
+  async filterEmails(emails) {
+    const matches = await this.findMatches({ emails })
+    const allowed = []
+    const suppressed = []
+
+    for (const email of emails || []) {
+      const normalized = this.normalizeEmail(email)
+      const match = matches.find(
+        (suppression) =>
+          (suppression.type === "email" && suppression.value === normalized) ||
+          (suppression.type === "domain" && suppression.value === this.getEmailDomain(normalized)),
+      )
+
+      if (match) {
+        suppressed.push({ email, reason: this.describeMatch(match) })
+      } else {
+        allowed.push(email)
+      }
+    }
+
+    return { allowed, suppressed }
+  }
+
+  // Human-readable skip reason for a matching suppression
+  describeMatch(suppression) {
+    return `Suppressed ${suppression.type} ${suppression.value} (${suppression.source}${suppression.reason ? `: ${suppression.reason}` : ""})`
+  }
+
+  // Public view of a suppression
+  describeSuppression(suppression) {
+    return {
+      id: suppression._id.toString(),
+      type: suppression.type,
+      value: suppression.value,
+      originalValue: suppression.originalValue || null,
+      reason: suppression.reason,
+      source: suppression.source,
+      expiresAt: suppression.expiresAt,
+      active: !suppression.expiresAt || suppression.expiresAt > new Date(),
+      createdBy: suppression.createdBy || null,
+      createdAt: suppression.createdAt,
+      updatedAt: suppression.updatedAt,
+    }
+  }
+}
+
+export default SuppressionService
@@ -0,0 +1,141 @@
+import { getCollection } from "../database/mongodb.js"
+import OUTREACH_CONFIG from "../config/constants.js"
+import chalk from "chalk"
+
+// Full transcripts and post-call analysis, one document per call attempt (linked by trackingId + attemptNumber)
+export class TranscriptService {
+  constructor() {
+    this.trackingDbName = OUTREACH_CONFIG.DATABASE.TRACKING_DB_NAME
+    this.transcriptsCollection = OUTREACH_CONFIG.DATABASE.CALL_TRANSCRIPTS_COLLECTION
+  }
+
+  // Initialize the call_transcripts collection
+  async initialize() {
+    try {
+      const collection = getCollection(this.trackingDbName, this.transcriptsCollection)
+      await collection.createIndex({ conversationId: 1 }, { unique: true })
+      await collection.createIndex({ trackingId: 1, attemptNumber: 1 })
+      await collection.createIndex({ originalRecordId: 1 })
+      await collection.createIndex({ createdAt: 1 })
+    } catch (error) {
+      console.error(chalk.red("❌ Error initializing call transcripts collection:"), error.message)
+      throw error
+    }
+  }
+
+  // Seconds since the epoch -> Date
+  fromUnixSeconds(seconds) {
+    return typeof seconds === "number" ? new Date(seconds * 1000) : null
+  }
+
+  // Turn an ElevenLabs conversation (webhook payload or GET /conversations/:id) into a transcript document
+  buildTranscriptDocument(campaign, attempt, conversationDetails, completionSource) {
+    const metadata = conversationDetails.metadata || {}
+    const analysis = conversationDetails.analysis || {}
+    const startedAt = this.fromUnixSeconds(metadata.start_time_unix_secs)
+
+    const turns = (conversationDetails.transcript || []).map((turn, index) => ({
+      index: index,
+      role: turn.role,
+      message: turn.message,
+      timeInCallSecs: turn.time_in_call_secs ?? null,
+      at:
+        startedAt && typeof turn.time_in_call_secs === "number"
+          ? new Date(startedAt.getTime() + turn.time_in_call_secs * 1000)
+          : null,
+      interrupted: turn.interrupted || false,
+      originalMessage: turn.original_message || null,
+      sourceMedium: turn.source_medium || null,
+      toolCalls: turn.tool_calls || [],
+      toolResults: turn.tool_results || [],
+    }))
+
+    return {
+      conversationId: conversationDetails.conversation_id,
+      trackingId: campaign._id.toString(),
+      attemptNumber: attempt.attemptNumber,
+      originalRecordId: campaign.originalRecordId,
+      userId: campaign.userId || null,
+      businessName: campaign.recordData?.businessname || null,
+
+      // Who placed the call
+      elevenLabsAgentId: conversationDetails.agent_id || null,
+      agentUsed: attempt.agentUsed || null,
+      agentUsedId: attempt.agentUsedId || null,
+
+      // The conversation
+      status: conversationDetails.status,
+      turns: turns,
+      turnCount: turns.length,
+      userTurnCount: turns.filter((turn) => turn.role === "user").length,
+      startedAt: startedAt,
+      acceptedAt: this.fromUnixSeconds(metadata.accepted_time_unix_secs),
+      durationSecs: metadata.call_duration_secs ?? null,
+      mainLanguage: metadata.main_language || null,
+      terminationReason: metadata.termination_reason || null,
+      error: metadata.error || null,
+      phoneCall: metadata.phone_call
+        ? {
+            direction: metadata.phone_call.direction || null,
+            agentNumber: metadata.phone_call.agent_number || null,
+            externalNumber: metadata.phone_call.external_number || null,
+            callSid: metadata.phone_call.call_sid || null,
+            phoneNumberId: metadata.phone_call.phone_number_id || null,
+          }
+        : null,
+
+      // Post-call analysis
+      summary: analysis.transcript_summary || conversationDetails.transcript_summary || null,
+      callSuccessful: analysis.call_successful || null,
+      evaluationCriteriaResults: analysis.evaluation_criteria_results || {},
+      dataCollectionResults: analysis.data_collection_results || {},
+
+      // What ElevenLabs charged for the call
+      cost: metadata.cost ?? null,
+      llmPrice: metadata.charging?.llm_price ?? null,
+
+      completionSource: completionSource,
+    }
+  }
+
+  // Store (or refresh) the transcript for an attempt - webhook and reconciler may both deliver it
+  async saveTranscript(campaign, attempt, conversationDetails, completionSource) {
+    try {
+      const collection = getCollection(this.trackingDbName, this.transcriptsCollection)
+      const document = this.buildTranscriptDocument(campaign, attempt, conversationDetails, completionSource)
+
+      const saved = await collection.findOneAndUpdate(
+        { conversationId: document.conversationId },
+        {
+          $set: { ...document, updatedAt: new Date() },
+          $setOnInsert: { createdAt: new Date() },
+        },
+        { upsert: true, returnDocument: "after" },
+      )
+
+      console.log(
+        chalk.gray(
+          `📝 Stored transcript for ${document.businessName} attempt ${attempt.attemptNumber} (${document.turnCount} turns)`,
+        ),
+      )
+      return saved
+    } catch (error) {
+      console.error(chalk.red(`❌ Error storing transcript for ${conversationDetails.conversation_id}:`), error.message)
+      return null
+    }
+  }
+
+  // Transcript for a tracking record's attempt
+  async getTranscript(trackingId, attemptNumber) {
+    const collection = getCollection(this.trackingDbName, this.transcriptsCollection)
+    return await collection.findOne({ trackingId: trackingId, attemptNumber: attemptNumber })
+  }
+
+  // Public view of a transcript
+  describeTranscript(transcript) {
+    const { _id, ...rest } = transcript
+    return { id: _id.toString(), ...rest }
+  }
+}
+
+export default TranscriptService
@@ -1,8 +1,15 @@
 import OUTREACH_CONFIG from "../config/constants.js"
+import CallingWindowService from "./callingWindowService.js"
+import CadenceService from "./cadenceService.js"
+import ConversationTemplateService from "./conversationTemplateService.js"
 import chalk from "chalk"
 
 export class ValidationService {
-  constructor() {
+  constructor(agentRegistry) {
+    this.agentRegistry = agentRegistry
+    this.callingWindowService = new CallingWindowService()
+    this.cadenceService = new CadenceService()
+    this.conversationTemplateService = new ConversationTemplateService()
     this.maxFutureDays = OUTREACH_CONFIG.CALLS.MAX_FUTURE_DAYS
   }
 
@@ -91,23 +98,23 @@ export class ValidationService {
     }
   }
 
-  // Map friendly agent names to actual agent IDs
+  // Map registry names (e.g. "agent_1") or registry/ElevenLabs IDs to the ElevenLabs agent ID
   mapAgentId(agentId) {
-    const agentMapping = {
-      agent_1: process.env.ELEVEN_LABS_AGENT_ID_1,
-      agent_2: process.env.ELEVEN_LABS_AGENT_ID_2,
-      // Also allow direct agent IDs
-      [process.env.ELEVEN_LABS_AGENT_ID_1]: process.env.ELEVEN_LABS_AGENT_ID_1,
-      [process.env.ELEVEN_LABS_AGENT_ID_2]: process.env.ELEVEN_LABS_AGENT_ID_2,
+    const agent = this.agentRegistry.findAgent(agentId)
+
+    // Unknown or disabled agents are rejected rather than silently re-routed at dial time
+    if (!agent || !agent.enabled) {
+      return null
     }
 
-    return agentMapping[agentId] || agentId
+    return agent.agentId
   }
 
   // Validate call attempts configuration
   validateCallAttempts(attempts) {
     const maxAttempts = OUTREACH_CONFIG.CALLS.MAX_ATTEMPTS
     const errors = []
+    const warnings = []
 
     if (!Array.isArray(attempts)) {
       return {
@@ -144,7 +151,7 @@ export class ValidationService {
         const mappedAgentId = this.mapAgentId(attempt.agentId)
         if (!mappedAgentId) {
           errors.push(
-            `Attempt ${index + 1}: Invalid agentId "${attempt.agentId}". Use "agent_1", "agent_2", or actual agent IDs`,
+            `Attempt ${index + 1}: Invalid agentId "${attempt.agentId}". Use the name or ID of an enabled agent in the registry`,
           )
         } else {
           // Update the attempt with the mapped agent ID
@@ -169,6 +176,15 @@ export class ValidationService {
             `🕐 Attempt ${attempt.attemptNumber} scheduled for UK time: ${dateValidation.parsedDate.toLocaleString("en-GB", { timeZone: "Europe/London" })}`,
           ),
         )
+
+        // Outside the calling window is allowed, but the scheduler will defer it
+        const windowCheck = this.callingWindowService.checkCallingWindow(dateValidation.parsedDate)
+        if (!windowCheck.allowed) {
+          const nextSlot = this.callingWindowService.getNextAllowedSlot(dateValidation.parsedDate)
+          warnings.push(
+            `Attempt ${index + 1}: ${this.callingWindowService.formatUKTime(dateValidation.parsedDate)} is outside the calling window (${windowCheck.reason}) and will be deferred to ${this.callingWindowService.formatUKTime(nextSlot)} (UK)`,
+          )
+        }
       }
     })
 
@@ -182,6 +198,7 @@ export class ValidationService {
     return {
       valid: errors.length === 0,
       errors: errors,
+      warnings: warnings,
     }
   }
 
@@ -228,6 +245,24 @@ export class ValidationService {
     return emailRegex.test(email)
   }
 
+  // Validate a campaign priority level (optional - campaigns without one get the default)
+  validatePriority(priority) {
+    const levels = Object.keys(OUTREACH_CONFIG.PRIORITY.LEVELS)
+
+    if (priority === undefined || priority === null) {
+      return { valid: true }
+    }
+
+    if (!levels.includes(priority)) {
+      return {
+        valid: false,
+        error: `priority must be one of: ${levels.join(", ")}`,
+      }
+    }
+
+    return { valid: true }
+  }
+
   // Validate records array
   validateRecords(records) {
     const errors = []
@@ -250,6 +285,19 @@ export class ValidationService {
       if (!record.recordId || typeof record.recordId !== "string") {
         errors.push(`Record ${index + 1}: recordId is required and must be a string`)
       }
+
+      // Optional ordered list of numbers to dial, instead of the record's own
+      if (record.phoneNumbers !== undefined) {
+        const maxNumbers = OUTREACH_CONFIG.PHONE_NUMBERS.MAX_PER_RECORD
+        const validNumbers =
+          Array.isArray(record.phoneNumbers) &&
+          record.phoneNumbers.length > 0 &&
+          record.phoneNumbers.length <= maxNumbers &&
+          record.phoneNumbers.every((number) => ["string", "number"].includes(typeof number))
+        if (!validNumbers) {
+          errors.push(`Record ${index + 1}: phoneNumbers must be a list of 1 to ${maxNumbers} phone numbers`)
+        }
+      }
     })
 
     return {
@@ -275,6 +323,7 @@ export class ValidationService {
     if (!attemptsValidation.valid) {
       errors.push(...attemptsValidation.errors)
     }
+    const warnings = attemptsValidation.warnings || []
 
     // Validate email config
     const emailValidation = this.validateEmailConfig(requestData.emailConfig)
@@ -282,6 +331,28 @@ export class ValidationService {
       errors.push(...emailValidation.errors)
     }
 
+    const priorityValidation = this.validatePriority(requestData.priority)
+    if (!priorityValidation.valid) {
+      errors.push(priorityValidation.error)
+    }
+
+    const strategies = OUTREACH_CONFIG.PHONE_NUMBERS.STRATEGIES
+    if (requestData.numberStrategy !== undefined && !strategies.includes(requestData.numberStrategy)) {
+      errors.push(`numberStrategy must be one of: ${strategies.join(", ")}`)
+    }
+
+    // Validate stop rules (optional - the default rules apply when not given)
+    const stopRulesValidation = this.cadenceService.validateRules(requestData.stopRules)
+    if (!stopRulesValidation.valid) {
+      errors.push(...stopRulesValidation.errors)
+    }
+
+    // Validate the conversation template (optional - only the default dynamic variables are sent without one)
+    const templateValidation = this.conversationTemplateService.validateTemplate(requestData.conversationTemplate)
+    if (!templateValidation.valid) {
+      errors.push(...templateValidation.errors)
+    }
+
     const isValid = errors.length === 0
 
     if (isValid) {
@@ -296,9 +367,12 @@ export class ValidationService {
       errors.forEach((error) => console.log(chalk.red(`   - ${error}`)))
     }
 
+    warnings.forEach((warning) => console.log(chalk.yellow(`   ⚠️ ${warning}`)))
+
     return {
       valid: isValid,
       errors: errors,
+      warnings: warnings,
     }
   }
 
@@ -325,6 +399,11 @@ export class ValidationService {
       }
     }
 
+    const priorityValidation = this.validatePriority(requestData.priority)
+    if (!priorityValidation.valid) {
+      errors.push(priorityValidation.error)
+    }
+
     // Validate email addresses for each record
     requestData.records.forEach((record, index) => {
       if (!record.emailAddresses || !Array.isArray(record.emailAddresses)) {
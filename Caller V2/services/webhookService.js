@@ -0,0 +1,87 @@
+import crypto from "crypto"
+import OUTREACH_CONFIG from "../config/constants.js"
+import chalk from "chalk"
+
+export class WebhookService {
+  constructor(scheduledOutreachService, webhookConfig) {
+    this.scheduledOutreachService = scheduledOutreachService
+    this.webhookConfig = webhookConfig
+    this.signatureToleranceSeconds = OUTREACH_CONFIG.WEBHOOKS.SIGNATURE_TOLERANCE_SECONDS
+  }
+
+  // Webhooks can only be accepted once a signing secret is configured
+  isConfigured() {
+    return !!this.webhookConfig.secret
+  }
+
+  // Verify the ElevenLabs-Signature header ("t=<timestamp>,v0=<hmac>") against the raw request body
+  verifySignature(rawBody, signatureHeader) {
+    if (!signatureHeader) {
+      return { valid: false, error: "Missing ElevenLabs-Signature header" }
+    }
+
+    if (!rawBody) {
+      return { valid: false, error: "Missing request body" }
+    }
+
+    const parts = Object.fromEntries(
+      signatureHeader.split(",").map((part) => {
+        const [key, ...value] = part.trim().split("=")
+        return [key, value.join("=")]
+      }),
+    )
+
+    const timestamp = Number.parseInt(parts.t)
+    if (!timestamp || !parts.v0) {
+      return { valid: false, error: "Malformed ElevenLabs-Signature header" }
+    }
+
+    const ageSeconds = Math.abs(Date.now() / 1000 - timestamp)
+    if (ageSeconds > this.signatureToleranceSeconds) {
+      return { valid: false, error: `Signature timestamp is ${Math.round(ageSeconds)} seconds old` }
+    }
+
+    const expected = crypto
+      .createHmac("sha256", this.webhookConfig.secret)
+      .update(`${timestamp}.${rawBody.toString("utf8")}`)
+      .digest("hex")
+
+    const expectedBuffer = Buffer.from(expected, "hex")
+    const receivedBuffer = Buffer.from(parts.v0, "hex")
+
+    if (expectedBuffer.length !== receivedBuffer.length || !crypto.timingSafeEqual(expectedBuffer, receivedBuffer)) {
+      return { valid: false, error: "Signature does not match" }
+    }
+
+    return { valid: true }
+  }
+
+  // Handle an ElevenLabs post-call webhook payload
+  async handlePostCallEvent(payload) {
+    const eventType = payload?.type
+    const data = payload?.data || {}
+
+    console.log(chalk.cyan(`🪝 Received ElevenLabs ${eventType} webhook for conversation ${data.conversation_id}`))
+
+    if (!data.conversation_id) {
+      return { handled: false, reason: "Payload has no conversation_id" }
+    }
+
+    if (eventType === "post_call_transcription") {
+      return await this.scheduledOutreachService.handleConversationEnded(data, "webhook")
+    }
+
+    if (eventType === "call_initiation_failure") {
+      return await this.scheduledOutreachService.handleConversationFailed(
+        data.conversation_id,
+        data.failure_reason,
+        "webhook",
+      )
+    }
+
+    console.log(chalk.gray(`⏭️ Ignoring ElevenLabs webhook type: ${eventType}`))
+    return { handled: false, reason: `Ignored webhook type: ${eventType}` }
+  }
+}
+
+export default WebhookService
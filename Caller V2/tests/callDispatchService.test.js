@@ -0,0 +1,105 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import CallDispatchService from "../services/callDispatchService.js"
+
+const agents = [
+  { name: "agent_a", agentId: "agent_a", enabled: true, maxConcurrentCalls: 1 },
+  { name: "agent_b", agentId: "agent_b", enabled: true, maxConcurrentCalls: 5 },
+  { name: "agent_old", agentId: "agent_old", enabled: false },
+]
+const agentRegistry = {
+  agents: agents,
+  getEnabledAgents: () => agents.filter((agent) => agent.enabled),
+  findAgent: (identifier) => agents.find((agent) => agent.agentId === identifier) || null,
+  isAgentHealthy: () => true,
+}
+
+const due = new Date(Date.now() - 60 * 1000)
+const campaign = (id, agentId, attemptNumber = 1) => ({
+  _id: id,
+  userId: "user_1",
+  campaignConfig: { attempts: [{ attemptNumber, status: "pending", scheduledAt: due, agentId }] },
+})
+
+// Run dispatch with the given live calls per agent, collecting what was started and deferred
+const dispatch = async (t, campaigns, activeCalls = {}, options = {}) => {
+  const service = new CallDispatchService(agentRegistry)
+  t.mock.method(service, "loadUsage", async () => ({
+    activeCalls: Object.values(activeCalls).reduce((sum, calls) => sum + calls, 0),
+    agents: new Map(Object.entries(activeCalls).map(([id, calls]) => [id, { activeCalls: calls, callsLastMinute: 0 }])),
+  }))
+
+  const started = []
+  const deferred = []
+  const summary = await service.dispatch(campaigns, {
+    execute: async (entry, { agentId }) => started.push([entry._id, agentId]),
+    deferForBudget: async (entry, reason) => deferred.push([entry._id, reason]),
+    ...options,
+  })
+  return { started, deferred, summary }
+}
+
+describe("CallDispatchService.dispatch", () => {
+  it("starts each attempt on the agent chosen for it", async (t) => {
+    const { started } = await dispatch(t, [campaign("c1", "agent_a"), campaign("c2", "agent_b")])
+
+    assert.deepEqual(started, [
+      ["c1", "agent_a"],
+      ["c2", "agent_b"],
+    ])
+  })
+
+  it("keeps attempts queued when their agent is at its limit instead of using another agent", async (t) => {
+    const { started, summary } = await dispatch(t, [campaign("c1", "agent_a"), campaign("c2", "agent_a")])
+
+    assert.deepEqual(started, [["c1", "agent_a"]])
+    assert.deepEqual(summary.waitingReasons, { "agent limits": 1 })
+  })
+
+  it("counts calls already live on the agent", async (t) => {
+    const { started, summary } = await dispatch(t, [campaign("c1", "agent_a"), campaign("c2", "agent_b")], {
+      agent_a: 1,
+    })
+
+    assert.deepEqual(started, [["c2", "agent_b"]])
+    assert.equal(summary.waiting, 1)
+  })
+
+  it("rotates attempts created without an agent by attempt number", async (t) => {
+    const { started } = await dispatch(t, [campaign("c1", null, 1), campaign("c2", null, 2)])
+
+    assert.deepEqual(started, [
+      ["c1", "agent_a"],
+      ["c2", "agent_b"],
+    ])
+  })
+
+  it("hands attempts whose agent is disabled to execute without an agent or capacity", async (t) => {
+    const { started, summary } = await dispatch(t, [campaign("c1", "agent_old"), campaign("c2", "agent_a")])
+
+    assert.deepEqual(started, [
+      ["c1", null],
+      ["c2", "agent_a"],
+    ])
+    assert.equal(summary.dispatched, 1)
+  })
+
+  it("defers attempts when every agent is over budget", async (t) => {
+    const budgetExhaustedAgents = new Map([
+      ["agent_a", "agent_a daily budget reached"],
+      ["agent_b", "agent_b daily budget reached"],
+    ])
+    const { started, deferred } = await dispatch(t, [campaign("c1", "agent_a")], {}, { budgetExhaustedAgents })
+
+    assert.deepEqual(started, [])
+    assert.deepEqual(deferred, [["c1", "No agents within budget - agent_a daily budget reached"]])
+  })
+
+  it("still starts an attempt whose agent is over budget when failover has another agent", async (t) => {
+    const budgetExhaustedAgents = new Map([["agent_a", "agent_a daily budget reached"]])
+    const { started, deferred } = await dispatch(t, [campaign("c1", "agent_a")], {}, { budgetExhaustedAgents })
+
+    assert.deepEqual(started, [["c1", "agent_a"]])
+    assert.deepEqual(deferred, [])
+  })
+})
@@ -0,0 +1,63 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import CallbackService from "../services/callbackService.js"
+
+const service = new CallbackService(null)
+// Wednesday 4 June 2025, 11:00 - dates are built in local time, as the service reads them
+const reference = new Date(2025, 5, 4, 11, 0)
+const on = (month, day, hour = 10, minute = 0, year = 2025) => new Date(year, month - 1, day, hour, minute)
+const parse = (text) => service.parseCallbackTime(text, reference)
+
+describe("CallbackService.parseCallbackTime", () => {
+  it("reads ISO times from data collection as UK time", () => {
+    assert.deepEqual(parse("2025-06-05T15:30:00"), on(6, 5, 15, 30))
+    assert.deepEqual(parse("2025-06-05T15:30:00Z"), on(6, 5, 15, 30))
+    assert.deepEqual(parse("2025-06-05"), on(6, 5, 10, 0))
+    assert.equal(parse("2025-13-45"), null)
+  })
+
+  it("reads relative times", () => {
+    assert.deepEqual(parse("in half an hour"), on(6, 4, 11, 30))
+    assert.deepEqual(parse("Call back in 20 minutes"), on(6, 4, 11, 20))
+    assert.deepEqual(parse("in two hours"), on(6, 4, 13, 0))
+    assert.deepEqual(parse("in a couple of days"), on(6, 6, 10, 0))
+    assert.deepEqual(parse("try again in a week"), on(6, 11, 10, 0))
+  })
+
+  it("combines a day with a time of day", () => {
+    assert.deepEqual(parse("tomorrow 3pm"), on(6, 5, 15, 0))
+    assert.deepEqual(parse("Thursday at 2:30 p.m."), on(6, 5, 14, 30))
+    assert.deepEqual(parse("the day after tomorrow around 4"), on(6, 6, 16, 0))
+    assert.deepEqual(parse("this afternoon"), on(6, 4, 14, 0))
+    assert.deepEqual(parse("Friday lunchtime"), on(6, 6, 12, 0))
+  })
+
+  it("uses the default time when only a day is given", () => {
+    assert.deepEqual(parse("ring back Thursday"), on(6, 5))
+    assert.deepEqual(parse("next week"), on(6, 9))
+  })
+
+  it("takes a weekday naming today to mean next week, unless it says 'this'", () => {
+    assert.deepEqual(parse("Wednesday"), on(6, 11))
+    assert.deepEqual(parse("this Wednesday at 4pm"), on(6, 4, 16, 0))
+  })
+
+  it("reads dates, rolling past ones into next year", () => {
+    assert.deepEqual(parse("18/06 at 11am"), on(6, 18, 11, 0))
+    assert.deepEqual(parse("18th January"), on(1, 18, 10, 0, 2026))
+    assert.deepEqual(parse("on 3/7/26"), on(7, 3, 10, 0, 2026))
+  })
+
+  it("puts a time without a day today while it's still ahead, otherwise tomorrow", () => {
+    assert.deepEqual(parse("at 3"), on(6, 4, 15, 0))
+    assert.deepEqual(parse("9am"), on(6, 5, 9, 0))
+    assert.deepEqual(parse("noon"), on(6, 4, 12, 0))
+  })
+
+  it("returns null when no time can be worked out", () => {
+    assert.equal(parse("call back later today"), null)
+    assert.equal(parse("please call back"), null)
+    assert.equal(parse(""), null)
+    assert.equal(service.parseCallbackTime(true, reference), null)
+  })
+})
@@ -0,0 +1,111 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { Query } from "mingo"
+import CallerIdService from "../services/callerIdService.js"
+
+const service = new CallerIdService()
+const now = new Date(2025, 5, 4, 11, 0)
+const minutesAgo = (value) => new Date(now.getTime() - value * 60 * 1000)
+
+const pool = [
+  { phoneNumberId: "phnum_a" },
+  { phoneNumberId: "phnum_b" },
+  { phoneNumberId: "phnum_c", enabled: false },
+  { phoneNumberId: "phnum_d" },
+]
+// Usage from minutes since each number was last used
+const usageOf = (lastUsed) =>
+  new Map(Object.entries(lastUsed).map(([id, minutes]) => [id, { lastUsedAt: minutesAgo(minutes) }]))
+
+const order = async (strategy, lastUsed = {}, context = {}) => {
+  const agent = { name: "agent_1", callerIdStrategy: strategy }
+  const candidates = await service.orderCandidates(agent, pool, context, usageOf(lastUsed))
+  return candidates.map((entry) => entry.phoneNumberId)
+}
+
+describe("CallerIdService.orderCandidates", () => {
+  it("leaves disabled numbers out", async () => {
+    for (const strategy of ["round_robin", "lru", "sticky"]) {
+      assert.equal((await order(strategy)).includes("phnum_c"), false)
+    }
+  })
+
+  it("round robin starts after the number used last and wraps round", async () => {
+    assert.deepEqual(await order("round_robin"), ["phnum_a", "phnum_b", "phnum_d"])
+    assert.deepEqual(await order("round_robin", { phnum_a: 30, phnum_b: 5 }), ["phnum_d", "phnum_a", "phnum_b"])
+    assert.deepEqual(await order("round_robin", { phnum_d: 1, phnum_a: 10 }), ["phnum_a", "phnum_b", "phnum_d"])
+  })
+
+  it("lru tries unused numbers first, then the one unused for longest", async () => {
+    assert.deepEqual(await order("lru", { phnum_a: 5, phnum_b: 60 }), ["phnum_d", "phnum_b", "phnum_a"])
+    assert.deepEqual(await order("lru", { phnum_a: 5, phnum_b: 60, phnum_d: 30 }), ["phnum_b", "phnum_d", "phnum_a"])
+  })
+
+  it("sticky puts the number the business was last called from first", async (t) => {
+    t.mock.method(service, "findStickyNumber", async () => "phnum_b")
+
+    assert.deepEqual(await order("sticky", { phnum_a: 60, phnum_b: 5 }, { originalRecordId: "record_1" }), [
+      "phnum_b",
+      "phnum_d",
+      "phnum_a",
+    ])
+  })
+
+  it("sticky falls back to lru when the last number is disabled or gone", async (t) => {
+    t.mock.method(service, "findStickyNumber", async () => "phnum_c")
+    assert.deepEqual(await order("sticky", { phnum_a: 60, phnum_b: 5 }), ["phnum_d", "phnum_a", "phnum_b"])
+
+    t.mock.method(service, "findStickyNumber", async () => null)
+    assert.deepEqual(await order("sticky", { phnum_a: 60, phnum_b: 5 }), ["phnum_d", "phnum_a", "phnum_b"])
+  })
+})
+
+describe("CallerIdService.getReserveQuery", () => {
+  // Apply the reserve upsert to usage documents the way MongoDB does, with the { phoneNumberId, day } unique index
+  const reserve = (documents, phoneNumberId, dailyCap) => {
+    const { filter, update } = service.getReserveQuery(phoneNumberId, dailyCap, now)
+    const match = documents.find((document) => new Query(filter).test(document))
+    if (match) {
+      match.calls += update.$inc.calls
+      return true
+    }
+
+    if (documents.some((document) => document.phoneNumberId === phoneNumberId && document.day === filter.day)) {
+      return false // Duplicate key
+    }
+    documents.push({ phoneNumberId, day: filter.day, calls: update.$inc.calls })
+    return true
+  }
+
+  it("counts calls on the number's document for the UK day", () => {
+    const { filter, update } = service.getReserveQuery("phnum_a", 10, now)
+
+    assert.deepEqual(filter, { phoneNumberId: "phnum_a", day: "2025-06-04", calls: { $lt: 10 } })
+    assert.deepEqual(update, { $inc: { calls: 1 }, $set: { lastUsedAt: now }, $setOnInsert: { createdAt: now } })
+  })
+
+  it("reserves up to the daily cap and no further", () => {
+    const documents = []
+    const results = Array.from({ length: 4 }, () => reserve(documents, "phnum_a", 3))
+
+    assert.deepEqual(results, [true, true, true, false])
+    assert.deepEqual(documents, [{ phoneNumberId: "phnum_a", day: "2025-06-04", calls: 3 }])
+  })
+
+  it("keeps each number's and each day's count separate", () => {
+    const documents = [
+      { phoneNumberId: "phnum_a", day: "2025-06-03", calls: 3 },
+      { phoneNumberId: "phnum_b", day: "2025-06-04", calls: 3 },
+    ]
+
+    assert.equal(reserve(documents, "phnum_a", 3), true)
+    assert.equal(reserve(documents, "phnum_b", 3), false)
+  })
+
+  it("never refuses a number without a cap", () => {
+    const documents = [{ phoneNumberId: "phnum_a", day: "2025-06-04", calls: 500 }]
+
+    assert.equal(reserve(documents, "phnum_a", null), true)
+    assert.equal(documents[0].calls, 501)
+  })
+})
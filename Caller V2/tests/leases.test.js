@@ -0,0 +1,114 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { Query } from "mingo"
+import ScheduledOutreachService from "../services/scheduledOutreachService.js"
+import OUTREACH_CONFIG from "../config/constants.js"
+
+const service = new ScheduledOutreachService({}, {}, {}, {})
+const now = new Date("2025-06-02T10:00:00Z")
+const minutes = (value) => new Date(now.getTime() + value * 60 * 1000)
+
+// A call campaign whose second attempt is due
+const campaign = (overrides = {}, secondAttempt = {}) => ({
+  _id: "campaign_1",
+  overallStatus: "in_progress",
+  campaignConfig: {
+    attempts: [
+      { attemptNumber: 1, status: "completed", scheduledAt: minutes(-120) },
+      { attemptNumber: 2, status: "pending", scheduledAt: minutes(-1), ...secondAttempt },
+      { attemptNumber: 3, status: "pending", scheduledAt: minutes(60) },
+    ],
+  },
+  ...overrides,
+})
+
+// Does a MongoDB filter match the document
+const matches = (filter, document) => new Query(filter).test(document)
+
+const claimable = (document, attemptNumber = 2) =>
+  matches(service.getClaimQuery("campaign_1", attemptNumber, "agent_a", now).filter, document)
+
+describe("ScheduledOutreachService.getClaimQuery", () => {
+  it("claims a due pending attempt on an open campaign", () => {
+    assert.equal(claimable(campaign()), true)
+    assert.equal(claimable(campaign({ overallStatus: "scheduled" })), true)
+  })
+
+  it("doesn't claim an attempt that isn't due yet", () => {
+    assert.equal(claimable(campaign(), 3), false)
+  })
+
+  it("doesn't claim an attempt that isn't pending", () => {
+    assert.equal(claimable(campaign({}, { status: "claimed" })), false)
+    assert.equal(claimable(campaign({}, { status: "deferred_budget" })), false)
+    assert.equal(claimable(campaign({}, { status: "cancelled" })), false)
+  })
+
+  it("doesn't claim while another attempt of the campaign is claimed or live", () => {
+    const live = campaign()
+    live.campaignConfig.attempts[0].status = "in_progress"
+    assert.equal(claimable(live), false)
+
+    const claimed = campaign()
+    claimed.campaignConfig.attempts[2].status = "claimed"
+    assert.equal(claimable(claimed), false)
+  })
+
+  it("doesn't claim on a paused or finished campaign", () => {
+    assert.equal(claimable(campaign({ paused: true })), false)
+    assert.equal(claimable(campaign({ paused: false })), true)
+    assert.equal(claimable(campaign({ overallStatus: "cancelled" })), false)
+    assert.equal(claimable(campaign({ overallStatus: "opted_out" })), false)
+  })
+
+  it("doesn't claim another campaign's attempt", () => {
+    assert.equal(claimable(campaign({ _id: "campaign_2" })), false)
+  })
+
+  it("records the owner, lease expiry and dispatching agent", () => {
+    const { $set } = service.getClaimQuery("campaign_1", 2, "agent_a", now).update
+
+    assert.equal($set["campaignConfig.attempts.1.status"], "claimed")
+    assert.equal($set["campaignConfig.attempts.1.dispatchedAgentId"], "agent_a")
+    assert.deepEqual($set["campaignConfig.attempts.1.lease"], {
+      ownerId: service.instanceId,
+      claimedAt: now,
+      expiresAt: new Date(now.getTime() + OUTREACH_CONFIG.CALLS.LEASE.DURATION_SECONDS * 1000),
+      renewedAt: null,
+    })
+  })
+})
+
+describe("ScheduledOutreachService.getExpiredLeaseQuery", () => {
+  const query = service.getExpiredLeaseQuery(now)
+  const [arrayFilter] = query.arrayFilters
+  const lease = (expiresAt) => ({ ownerId: "instance-1", claimedAt: minutes(-5), expiresAt })
+
+  it("finds campaigns with a claimed attempt whose lease expired", () => {
+    assert.equal(matches(query.filter, campaign({}, { status: "claimed", lease: lease(minutes(-1)) })), true)
+  })
+
+  it("leaves claims whose lease is still running", () => {
+    assert.equal(matches(query.filter, campaign({}, { status: "claimed", lease: lease(minutes(1)) })), false)
+  })
+
+  it("leaves expired in_progress attempts to crash recovery", () => {
+    assert.equal(matches(query.filter, campaign({}, { status: "in_progress", lease: lease(minutes(-1)) })), false)
+  })
+
+  it("only resets the expired claimed attempts within a campaign", () => {
+    const reclaims = (attempt) => matches(arrayFilter, { expired: attempt })
+
+    assert.equal(reclaims({ status: "claimed", lease: lease(minutes(-1)) }), true)
+    assert.equal(reclaims({ status: "claimed", lease: lease(minutes(1)) }), false)
+    assert.equal(reclaims({ status: "in_progress", lease: lease(minutes(-1)) }), false)
+    assert.equal(reclaims({ status: "pending", lease: null }), false)
+  })
+
+  it("returns reclaimed attempts to pending without a lease and counts the reclaim", () => {
+    assert.equal(query.update.$set["campaignConfig.attempts.$[expired].status"], "pending")
+    assert.equal(query.update.$set["campaignConfig.attempts.$[expired].lease"], null)
+    assert.equal(query.update.$set["campaignConfig.attempts.$[expired].leaseReclaimedAt"], now)
+    assert.equal(query.update.$inc["campaignConfig.attempts.$[expired].leaseReclaims"], 1)
+  })
+})
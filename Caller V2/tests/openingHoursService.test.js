@@ -0,0 +1,115 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import OpeningHoursService from "../services/openingHoursService.js"
+
+const service = new OpeningHoursService()
+const at = (hours, minutes = 0) => hours * 60 + minutes
+
+describe("OpeningHoursService.parseIntervals", () => {
+  it("parses 24-hour ranges with any dash", () => {
+    assert.deepEqual(service.parseIntervals("12:00-14:30, 17:00 – 22:00"), [
+      [at(12), at(14, 30)],
+      [at(17), at(22)],
+    ])
+    assert.deepEqual(service.parseIntervals("09:00 — 17:00"), [[at(9), at(17)]])
+  })
+
+  it("parses am/pm times, dotted minutes and 'to'", () => {
+    assert.deepEqual(service.parseIntervals("9am - 5.30pm"), [[at(9), at(17, 30)]])
+    assert.deepEqual(service.parseIntervals("12:30 PM to 11 pm"), [[at(12, 30), at(23)]])
+    assert.deepEqual(service.parseIntervals("noon-midnight"), [[at(12), at(24)]])
+  })
+
+  it("treats closing at or after midnight as open until the end of the day", () => {
+    assert.deepEqual(service.parseIntervals("18:00-02:00"), [[at(18), at(24)]])
+  })
+
+  it("understands closed days and 24-hour opening", () => {
+    assert.deepEqual(service.parseIntervals("Closed"), [])
+    assert.deepEqual(service.parseIntervals("Open 24 hours"), [[0, at(24)]])
+  })
+
+  it("parses { open, close } and { start, end } objects", () => {
+    assert.deepEqual(service.parseIntervals({ open: "09:00", close: "17:00" }), [[at(9), at(17)]])
+    assert.deepEqual(service.parseIntervals({ start: "22:00", end: "01:00" }), [[at(22), at(24)]])
+    assert.deepEqual(service.parseIntervals({ open: "whenever" }), [])
+  })
+
+  it("flattens arrays of ranges", () => {
+    assert.deepEqual(service.parseIntervals(["12:00-14:00", "17:00-22:00"]), [
+      [at(12), at(14)],
+      [at(17), at(22)],
+    ])
+  })
+
+  it("returns null when there is nothing usable", () => {
+    assert.equal(service.parseIntervals(""), null)
+    assert.equal(service.parseIntervals(undefined), null)
+    assert.equal(service.parseIntervals("by appointment"), null)
+    assert.equal(service.parseIntervals("25:00-26:00"), null)
+  })
+
+  it("skips unusable parts and keeps the rest", () => {
+    assert.deepEqual(service.parseIntervals("ask us; 17:00-22:00"), [[at(17), at(22)]])
+  })
+})
+
+describe("OpeningHoursService.parseDays", () => {
+  it("parses full and short day names", () => {
+    assert.deepEqual(service.parseDays("Monday"), [1])
+    assert.deepEqual(service.parseDays("sun"), [0])
+    assert.deepEqual(service.parseDays(" Sat "), [6])
+  })
+
+  it("expands ranges written with a dash or 'to'", () => {
+    assert.deepEqual(service.parseDays("Mon-Fri"), [1, 2, 3, 4, 5])
+    assert.deepEqual(service.parseDays("Monday to Friday"), [1, 2, 3, 4, 5])
+    assert.deepEqual(service.parseDays("Tue – Thu"), [2, 3, 4])
+  })
+
+  it("wraps ranges across the weekend", () => {
+    assert.deepEqual(service.parseDays("Fri-Mon"), [5, 6, 0, 1])
+  })
+
+  it("returns no days for text it doesn't recognise", () => {
+    assert.deepEqual(service.parseDays("weekdays"), [])
+    assert.deepEqual(service.parseDays("Mon-Someday"), [])
+  })
+})
+
+describe("OpeningHoursService.getOpeningHours", () => {
+  it("reads Google-style weekday lines", () => {
+    const schedule = service.getOpeningHours({
+      openingHours: "Monday: 12:00 – 22:00\nTuesday: Closed\nWednesday-Friday: 12:00-14:00, 17:00-23:00",
+    })
+
+    assert.deepEqual(schedule, {
+      1: [[at(12), at(22)]],
+      2: [],
+      3: [
+        [at(12), at(14)],
+        [at(17), at(23)],
+      ],
+      4: [
+        [at(12), at(14)],
+        [at(17), at(23)],
+      ],
+      5: [
+        [at(12), at(14)],
+        [at(17), at(23)],
+      ],
+    })
+  })
+
+  it("reads per-day objects", () => {
+    assert.deepEqual(service.getOpeningHours({ hours: { mon: "9-17", sunday: "closed" } }), {
+      1: [[at(9), at(17)]],
+      0: [],
+    })
+  })
+
+  it("returns null without usable opening hours", () => {
+    assert.equal(service.getOpeningHours({ businessname: "No Hours Ltd" }), null)
+    assert.equal(service.getOpeningHours({ openingHours: "Call for hours" }), null)
+  })
+})
@@ -0,0 +1,90 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import PhoneNormalizationService from "../services/phoneNormalizationService.js"
+
+const service = new PhoneNormalizationService("GB")
+
+describe("PhoneNormalizationService.normalize", () => {
+  it("reads national numbers in the default region", () => {
+    assert.deepEqual(service.normalize("07400 123456"), {
+      valid: true,
+      e164: "+447400123456",
+      type: "mobile",
+      country: "GB",
+    })
+    assert.deepEqual(service.normalize("(020) 7946-0018"), {
+      valid: true,
+      e164: "+442079460018",
+      type: "landline",
+      country: "GB",
+    })
+  })
+
+  it("accepts +44 and 0044 prefixes", () => {
+    assert.equal(service.normalize("+44 7400 123456").e164, "+447400123456")
+    assert.equal(service.normalize("0044 20 7946 0018").e164, "+442079460018")
+  })
+
+  it("keeps the country of international numbers", () => {
+    assert.deepEqual(service.normalize("+353 1 234 5678"), {
+      valid: true,
+      e164: "+35312345678",
+      type: "landline",
+      country: "IE",
+    })
+  })
+
+  it("reads national numbers in the region it is given", () => {
+    assert.equal(service.normalize("01 234 5678", "IE").e164, "+35312345678")
+    assert.equal(new PhoneNormalizationService("IE").normalize("01 234 5678").country, "IE")
+  })
+
+  it("groups freephone and shared-cost numbers as non-geographic", () => {
+    assert.equal(service.normalize("0800 123 4567").type, "non_geographic")
+    assert.equal(service.normalize("0300 123 4567").type, "non_geographic")
+    assert.equal(service.normalize("0800 123 4567").valid, true)
+  })
+
+  it("rejects premium-rate numbers but still reports their E.164", () => {
+    assert.deepEqual(service.normalize("0909 879 0123"), {
+      valid: false,
+      e164: "+449098790123",
+      type: "premium",
+      country: "GB",
+      reason: "+449098790123 is a premium-rate number",
+    })
+  })
+
+  it("rejects numbers of the wrong length", () => {
+    const result = service.normalize("+44 20 1234")
+    assert.equal(result.valid, false)
+    assert.equal(result.reason, "Invalid phone number: +44201234")
+    assert.equal(service.normalize("07400 1234567").valid, false)
+  })
+
+  it("rejects empty values and text that isn't a number", () => {
+    assert.deepEqual(service.normalize(""), {
+      valid: false,
+      e164: null,
+      type: null,
+      country: null,
+      reason: "No phone number",
+    })
+    assert.equal(service.normalize(null).reason, "No phone number")
+    assert.equal(service.normalize("hello").reason, 'Not a phone number: "hello"')
+  })
+})
+
+describe("PhoneNormalizationService.toE164 / toE164Loose", () => {
+  it("only gives a dialable E.164 for valid, allowed numbers", () => {
+    assert.equal(service.toE164("020 7946 0018"), "+442079460018")
+    assert.equal(service.toE164("0909 879 0123"), null)
+    assert.equal(service.toE164("+44 20 1234"), null)
+  })
+
+  it("gives E.164 for matching even when the number can't be dialed", () => {
+    assert.equal(service.toE164Loose("0909 879 0123"), "+449098790123")
+    assert.equal(service.toE164Loose("+44 20 1234"), "+44201234")
+    assert.equal(service.toE164Loose("hello"), null)
+  })
+})
@@ -0,0 +1,57 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import crypto from "crypto"
+import WebhookService from "../services/webhookService.js"
+
+const secret = "wsec_test"
+const service = new WebhookService(null, { secret })
+const body = Buffer.from(JSON.stringify({ type: "post_call_transcription", data: { conversation_id: "conv_1" } }))
+
+const sign = (rawBody, timestamp = Math.floor(Date.now() / 1000), key = secret) => {
+  const hmac = crypto.createHmac("sha256", key).update(`${timestamp}.${rawBody.toString("utf8")}`).digest("hex")
+  return `t=${timestamp},v0=${hmac}`
+}
+
+describe("WebhookService.verifySignature", () => {
+  it("accepts a body signed with the secret", () => {
+    assert.deepEqual(service.verifySignature(body, sign(body)), { valid: true })
+  })
+
+  it("accepts the header with spaces after the commas", () => {
+    assert.equal(service.verifySignature(body, sign(body).replace(",", ", ")).valid, true)
+  })
+
+  it("rejects a missing header or body", () => {
+    assert.equal(service.verifySignature(body, undefined).error, "Missing ElevenLabs-Signature header")
+    assert.equal(service.verifySignature(null, sign(body)).error, "Missing request body")
+  })
+
+  it("rejects a header without a timestamp or signature", () => {
+    assert.equal(service.verifySignature(body, "v0=abc").error, "Malformed ElevenLabs-Signature header")
+    assert.equal(service.verifySignature(body, "t=1700000000").error, "Malformed ElevenLabs-Signature header")
+  })
+
+  it("rejects a signature older than the tolerance", () => {
+    const timestamp = Math.floor(Date.now() / 1000) - service.signatureToleranceSeconds - 60
+    const result = service.verifySignature(body, sign(body, timestamp))
+
+    assert.equal(result.valid, false)
+    assert.match(result.error, /seconds old/)
+  })
+
+  it("rejects a body that was changed after signing", () => {
+    const header = sign(body)
+    const tampered = Buffer.from(body.toString("utf8").replace("conv_1", "conv_2"))
+
+    assert.deepEqual(service.verifySignature(tampered, header), { valid: false, error: "Signature does not match" })
+  })
+
+  it("rejects a signature made with another secret", () => {
+    assert.equal(service.verifySignature(body, sign(body, undefined, "wsec_other")).error, "Signature does not match")
+  })
+
+  it("rejects a truncated signature without throwing", () => {
+    const header = sign(body).slice(0, -8)
+    assert.equal(service.verifySignature(body, header).error, "Signature does not match")
+  })
+})